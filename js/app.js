@@ -6,76 +6,153 @@
  * To optimize performance and avoid re-fetching/re-rendering:
  * 1. Post Details: Full rendered post pages cached after first view
  * 2. Post List Items: Individual post cards cached for lists
- * 3. Images: All images preloaded and cached on initial load
- * 4. Filter Results: Filter operations cached by filter state
+ * 3. Post Bodies: Lists render from posts/index.json alone; a post's JSON is
+ *    fetched when it is opened, or prefetched when its card is seen or hovered
+ * 4. Images: Banner and gallery images preloaded only for hovered/focused cards
+ * 5. Filter Results: Filter operations cached by filter state
  * 
  * Use window.cacheManager.stats() in console to view cache statistics
  */
 
 // Global state
-let posts = [];
+let posts = []; // Post metadata from posts/index.json (no content)
 let currentView = 'home';
-let navigationHistory = []; // Track navigation history for back button
+// Owner details from site.json (js/siteConfig.js); defaults until init loads it
+let site = SiteConfig.DEFAULTS;
+// Tag descriptions from tags.json, loaded the first time a tag page is shown (a promise)
+let tagDescriptions = null;
+// ?preview on a local server also shows drafts, scheduled and unlisted posts
+const previewMode = isPreviewMode();
 
 // DOM Cache for rendered content
 const domCache = {
     postDetails: new Map(), // Cache full post detail pages
     postListItems: new Map(), // Cache post list items HTML
+    postBodies: new Map(), // Cache full post JSON requests (promises) by id
     images: new Map() // Cache loaded Image objects
 };
 
-// Preload and cache an image
-function preloadImage(src) {
+// Posts whose images were already preloaded from a hover/focus
+const preloadedPostImages = new Set();
+
+// Every post field interpolated into markup goes through this (js/sanitizer.js)
+const escapeHtml = text => HtmlSanitizer.escapeHtml(text);
+let postPrefetchObserver = null;
+
+// Markup for a site image: responsive variants, size and placeholder when PostRenderer has them
+function imageHTML(src, options) {
+    if (window.postRenderer) {
+        return window.postRenderer.imageHTML(src, options);
+    }
+    return `<img src="${escapeHtml(src)}" alt="${escapeHtml(options.alt || '')}" ${options.attrs || ''}>`;
+}
+
+// Preload and cache an image, fetching the same variant the page will show at that size
+function preloadImage(src, sizes) {
     if (!src || domCache.images.has(src)) {
         return Promise.resolve(domCache.images.get(src));
     }
     
     return new Promise((resolve, reject) => {
-        const img = new Image();
+        // A detached <picture> picks its source just like the rendered one
+        const holder = document.createElement('div');
+        holder.innerHTML = imageHTML(src, { sizes });
+        const img = holder.querySelector('img');
         img.onload = () => {
             domCache.images.set(src, img);
             resolve(img);
         };
         img.onerror = reject;
-        img.src = src;
     });
 }
 
-// Preload all images from posts
-function preloadPostImages() {
+// Preload a post's banner and gallery images
+function preloadPostImages(post) {
     const imagesToLoad = [];
+    const imageSizes = window.postRenderer?.imageSizes || {};
     
-    posts.forEach(post => {
-        // Thumbnail/main image
-        if (post.image) {
-            imagesToLoad.push(preloadImage(post.image));
-        }
-        
-        // Gallery images
-        if (post.images?.gallery) {
-            post.images.gallery.forEach(img => {
-                imagesToLoad.push(preloadImage(img.src));
-            });
-        } else if (post.gallery) {
-            post.gallery.forEach(img => {
-                imagesToLoad.push(preloadImage(img.src));
-            });
-        }
+    // Thumbnail/main image
+    const banner = post.image || post.images?.thumbnail;
+    if (banner) {
+        imagesToLoad.push(preloadImage(banner, imageSizes.banner));
+    }
+    
+    // Gallery images
+    const gallery = post.images?.gallery || post.gallery || [];
+    gallery.forEach(img => {
+        imagesToLoad.push(preloadImage(img.src, imageSizes.gallery));
     });
     
     return Promise.allSettled(imagesToLoad);
 }
 
+// Fetch a post's full JSON once; concurrent callers share the same request
+function loadPostBody(postId) {
+    if (!domCache.postBodies.has(postId)) {
+        const request = fetch(`posts/${encodeURIComponent(postId)}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load post ${postId}: ${response.statusText}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                // Allow a retry next time the post is requested
+                domCache.postBodies.delete(postId);
+                throw error;
+            });
+        domCache.postBodies.set(postId, request);
+    }
+    return domCache.postBodies.get(postId);
+}
+
+// Warm the cache for a post that is likely to be opened
+function prefetchPost(postId, { images = false } = {}) {
+    loadPostBody(postId)
+        .then(post => {
+            if (images && !preloadedPostImages.has(postId)) {
+                preloadedPostImages.add(postId);
+                preloadPostImages(post);
+            }
+        })
+        .catch(() => {
+            // Errors are reported when the post is actually opened
+        });
+}
+
+// Prefetch post bodies as cards scroll into view, and bodies plus images on hover/focus
+function setupPostPrefetching(container) {
+    // The cards scroll inside #posts-container, not the page, so watch them against it
+    const root = container.closest('#posts-container');
+    if (!postPrefetchObserver || postPrefetchObserver.root !== root) {
+        postPrefetchObserver?.disconnect();
+        postPrefetchObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    prefetchPost(entry.target.dataset.postId);
+                    postPrefetchObserver.unobserve(entry.target);
+                }
+            });
+        }, { root, rootMargin: '100px' });
+    }
+    
+    container.querySelectorAll('.post-item[data-post-id]').forEach(item => {
+        postPrefetchObserver.observe(item);
+    });
+}
+
 // Clear cache for a specific post
 function clearPostCache(postId) {
     domCache.postDetails.delete(postId);
-    domCache.postListItems.delete(postId);
+    domCache.postListItems.delete(`${postId}-list`);
+    domCache.postBodies.delete(postId);
 }
 
 // Clear all DOM cache
 function clearAllCache() {
     domCache.postDetails.clear();
     domCache.postListItems.clear();
+    domCache.postBodies.clear();
     // Keep image cache as images are reusable
 }
 
@@ -84,10 +161,12 @@ function getCacheStats() {
     return {
         postDetails: domCache.postDetails.size,
         postListItems: domCache.postListItems.size,
+        postBodies: domCache.postBodies.size,
         images: domCache.images.size,
         totalMemory: {
             postDetails: `${domCache.postDetails.size} posts cached`,
             postListItems: `${domCache.postListItems.size} list items cached`,
+            postBodies: `${domCache.postBodies.size} post bodies fetched`,
             images: `${domCache.images.size} images preloaded`
         }
     };
@@ -98,44 +177,68 @@ window.cacheManager = {
     clear: clearAllCache,
     clearPost: clearPostCache,
     stats: getCacheStats,
-    preloadImages: preloadPostImages
+    prefetch: prefetchPost
 };
 
-// Load posts data
+// Preview is for checking posts before they go live, so it only turns on for a local server.
+// It lasts for the tab's session; ?preview=0 turns it off.
+function isPreviewMode() {
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(location.hostname) || location.protocol === 'file:';
+    if (!local) return false;
+    const param = new URLSearchParams(location.search).get('preview');
+    const requested = param !== null && param !== '0' && param !== 'false';
+    try {
+        if (param !== null) {
+            if (requested) sessionStorage.setItem('preview', '1');
+            else sessionStorage.removeItem('preview');
+        }
+        return sessionStorage.getItem('preview') === '1';
+    } catch (error) {
+        return requested;
+    }
+}
+
+// Posts that belong in lists: published ones, or every post in preview mode
+function listedPosts(postList) {
+    return previewMode ? postList : postList.filter(post => PostRenderer.postStatus(post) === 'published');
+}
+
+// Badge for a post that isn't published yet (only seen in preview mode)
+function postStatusHTML(post) {
+    const status = PostRenderer.postStatus(post);
+    if (status === 'published') return '';
+    const label = status === 'scheduled'
+        ? `Scheduled for ${PostRenderer.publishTime(post).toLocaleString()}`
+        : status.charAt(0).toUpperCase() + status.slice(1);
+    return `<span class="post-status post-status-${status}">${escapeHtml(label)}</span>`;
+}
+
+// Load post metadata; bodies are fetched on demand by loadPostBody
 async function loadPosts() {
     try {
-        // First try loading from /posts/index.json
-        const response = await fetch('posts/index.json');
+        // First try loading from /posts/index.json (with the image manifest, for card images).
+        // Preview mode reads the local build's preview-index.json, which adds unpublished posts.
+        let [response] = await Promise.all([
+            fetch(previewMode ? 'posts/preview-index.json' : 'posts/index.json'),
+            window.postRenderer?.loadImages()
+        ]);
+        if (previewMode && !response.ok) {
+            console.warn('posts/preview-index.json not found; run the build to preview unpublished posts');
+            response = await fetch('posts/index.json');
+        }
         const postIndex = await response.json();
         
-        // Load individual post files
-        posts = await Promise.all(
-            postIndex.map(postMeta => 
-                fetch(`posts/${postMeta.id}.json`)
-                    .then(r => r.json())
-                    .catch(err => {
-                        console.warn(`Failed to load post ${postMeta.id}:`, err);
-                        return null;
-                    })
-            )
-        );
-        
-        // Filter out failed loads and sort by date
-        posts = posts.filter(p => p !== null).sort((a, b) => new Date(b.date) - new Date(a.date));
-        
-        // Preload images in background
-        preloadPostImages().then(() => {
-            console.log('Post images preloaded');
-        });
-        
+        posts = listedPosts(postIndex).sort((a, b) => new Date(b.date) - new Date(a.date));
         return posts;
     } catch (error) {
         console.error('Error loading posts from /posts/:',  error);
         
-        // Fallback: try loading from root posts.json (legacy)
+        // Fallback: try loading from root posts.json (legacy, full posts)
         try {
             const fallbackResponse = await fetch('posts.json');
-            posts = await fallbackResponse.json();
+            const legacyPosts = await fallbackResponse.json();
+            legacyPosts.forEach(post => domCache.postBodies.set(post.id, Promise.resolve(post)));
+            posts = listedPosts(legacyPosts);
             return posts;
         } catch (fallbackError) {
             console.error('Error loading fallback posts.json:', fallbackError);
@@ -149,62 +252,50 @@ function buildHeader() {
     const header = document.getElementById('header');
     header.className = 'header-bar';
     header.innerHTML = `
-        <div class="site-name" onclick="navigateTo('home')">Jaden Vaught</div>
+        <div class="site-name" onclick="navigateTo('home')">${escapeHtml(site.name)}</div>
         <nav>
-            <a href="#home" onclick="navigateTo('home')">Home</a>
-            <a href="#posts" onclick="navigateTo('posts')">Projects</a>
+            ${site.nav.map(item => linkHTML(item.href, escapeHtml(item.label))).join('')}
+            ${window.themeManager ? themeManager.toggleHTML() : ''}
         </nav>
     `;
+    window.themeManager?.bindToggle(header.querySelector('.theme-toggle'));
 }
 
 // Build footer
 function buildFooter() {
     const footer = document.getElementById('footer');
+    const year = site.copyrightYear || new Date().getFullYear();
     footer.innerHTML = `
-        <p>&copy; 2025 Jaden Vaught</p>
+        ${site.social.length ? `
+            <div class="social-links">
+                ${site.social.map(item => linkHTML(item.url, `<i class="${escapeHtml(item.icon)}" aria-hidden="true"></i>`, `aria-label="${escapeHtml(item.label)}" title="${escapeHtml(item.label)}"`)).join('')}
+            </div>
+        ` : ''}
+        <p>&copy; ${year} ${escapeHtml(site.name)}</p>
+        ${site.footer ? `<p class="footer-text">${escapeHtml(site.footer)}</p>` : ''}
     `;
 }
 
-// Navigation handler
-function navigateTo(view, postId = null) {
-    // Store current state in history before navigating
-    const currentRoute = getCurrentRoute();
-    navigationHistory.push({
-        view: currentRoute.view,
-        postId: currentRoute.postId
-    });
-
-    // Limit history to last 10 entries to prevent memory issues
-    if (navigationHistory.length > 10) {
-        navigationHistory.shift();
-    }
+// A link from site.json: site paths are left to the router, others open in a new tab
+function linkHTML(href, content, attrs = '') {
+    const external = !href.startsWith('/') ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${escapeHtml(href)}"${external}${attrs ? ` ${attrs}` : ''}>${content}</a>`;
+}
 
+// Navigation handler
+function navigateTo(view, postId = null, params = null) {
     currentView = view;
-    window.location.hash = view + (postId ? '/' + postId : '');
-    renderContent();
+    return router.navigate(router.buildPath(view, postId, params));
 }
 
-// Back navigation function
+// Back navigation function (follows the browser's own history)
 function goBack() {
-    if (navigationHistory.length > 0) {
-        const previousState = navigationHistory.pop();
-        currentView = previousState.view;
-        window.location.hash = previousState.view + (previousState.postId ? '/' + previousState.postId : '');
-        renderContent();
-    } else {
-        // If no history, go to home
-        navigateTo('home');
-    }
+    router.back();
 }
 
-// Parse current route from hash
+// Parse current route from the URL
 function getCurrentRoute() {
-    const hash = window.location.hash.substring(1); // Remove #
-    const parts = hash.split('/');
-    return {
-        view: parts[0] || 'home',
-        postId: parts[1] || null
-    };
+    return router.getRoute();
 }
 
 // Render content based on current view
@@ -218,81 +309,110 @@ async function renderContent() {
             break;
         case 'posts':
             if (route.postId) {
-                await renderPostDetail(content, route.postId);
+                // Opening, moving through or closing the lightbox keeps the post as it is
+                if (!isShowingPost(content, route.postId)) {
+                    await renderPostDetail(content, route.postId);
+                }
+                if (route.gallery === null) galleryEntryPushed = false;
+                window.postRenderer?.showGallery(route.postId, route.gallery === null ? null : route.gallery - 1);
+            } else {
+                renderPostsList(content, route.params);
+            }
+            break;
+        case 'tags':
+            if (route.tag) {
+                await renderTagPage(content, route.tag, route.params);
             } else {
-                renderPostsList(content);
+                renderTagsIndex(content);
             }
             break;
+        case 'archive':
+            renderArchive(content);
+            break;
         default:
             renderHome(content);
     }
 }
 
+// Whether the post is already rendered in the container (pre-rendered pages still need hydrating)
+function isShowingPost(container, postId) {
+    const article = container.querySelector('.post-article[data-post-id]');
+    return !container.dataset.prerendered && Boolean(article) && article.getAttribute('data-post-id') === postId;
+}
+
+// Lightbox deep links: opening the gallery adds /posts/<id>/gallery/<n> to history, moving
+// between images replaces it, and closing goes back to the post
+let galleryEntryPushed = false;
+
+function setupGalleryRoutes() {
+    if (!window.postRenderer) return;
+
+    window.postRenderer.onGalleryChange = (postId, galleryIndex, { opened }) => {
+        const postPath = router.buildPath('posts', postId);
+        if (galleryIndex === null) {
+            // Back if we added the entry; a deep link that opened the gallery is replaced instead
+            if (galleryEntryPushed) {
+                router.back();
+            } else {
+                router.navigate(postPath, { replace: true });
+            }
+            galleryEntryPushed = false;
+            return;
+        }
+        router.navigate(`${postPath}/gallery/${galleryIndex + 1}`, { replace: !opened || galleryEntryPushed });
+        if (opened) galleryEntryPushed = true;
+    };
+}
+
 // Render home view
 function renderHome(container) {
     const { accomplishmentsSection, workHistorySection } = timelineRenderer.buildHomeSection();
     
+    const { education } = site;
+    // Bio paragraphs take the same inline markup as posts
+    const bio = site.bio.map(paragraph => `<p>${window.postRenderer ? window.postRenderer.renderInline(paragraph) : escapeHtml(paragraph)}</p>`);
+    
     container.innerHTML = `
         <div id="home-top-section">
             <section id="about">
                 <div class="about-content">
                     <div class="about-text">
-                        <h1>Jaden Vaught</h1>
-                        <h2>Software Developer</h2>
-                        <p>
-                            Welcome to my digital portfolio. Here you can see my diverse range of projects and accomplishments.
-                            I am currently engaged in a full-stack implmentation utlizing AWS services to build a fedRAMP compliant application.
-                            However i strive to continuously expand my skills and hope to utlize my experience in gooverment compliance to help
-                            design and build secure and compliant applications in the future specifically for the EV industry.
-                        </p>
-                        <p>
-                            My biggest passion is finding optmial solutions to complex problems and building applications that make a positive 
-                            impact. I am always eager to learn new technologies and take on new challenges. As i have the most fun when i am 
-                            learning and building at the same time.
-                        </p>
+                        <h1>${escapeHtml(site.name)}</h1>
+                        ${site.tagline ? `<h2>${escapeHtml(site.tagline)}</h2>` : ''}
+                        ${bio.join('')}
                     </div>
+                    ${site.photo || education ? `
                     <div class="about-image">
-                        <img src="img/Pondering.JPG" alt="Jaden Vaught - Software Developer" />
+                        ${site.photo ? `<img src="${escapeHtml(site.photo.src)}" alt="${escapeHtml(site.photo.alt)}" />` : ''}
+                        ${education ? `
                         <div class="education-section">
                             <div class="education-header">
-                                <object data="img/Kentucky_Wildcats_logo.svg" type="image/svg+xml" class="education-logo" style="width: 32px; height: 32px; vertical-align: middle;"></object>
-                                <h3>Education</h3>
+                                ${education.logo ? `<object data="${escapeHtml(education.logo)}" type="image/svg+xml" class="education-logo" style="width: 32px; height: 32px; vertical-align: middle;"></object>` : ''}
+                                <h3>${escapeHtml(education.title)}</h3>
                             </div>
                             <div class="education-badges">
+                                ${education.badges.map(badge => `
                                 <div class="badge">
-                                    <i class="fas fa-university"></i>
-                                    <span class="badge-text">University of Kentucky</span>
-                                </div>
-                                <div class="badge">
-                                    <i class="fas fa-scroll"></i>
-                                    <span class="badge-text">Bachelor's of Computer Science</span>
-                                </div>
-                                <div class="badge">
-                                    <i class="fas fa-book"></i>
-                                    <span class="badge-text">Minor in Mathematics</span>
-                                </div>
-                                <div class="badge">
-                                    <i class="fas fa-award"></i>
-                                    <span class="badge-text">Cybersecurity Certificate</span>
+                                    <i class="${escapeHtml(badge.icon)}"></i>
+                                    <span class="badge-text">${escapeHtml(badge.text)}</span>
                                 </div>
+                                `).join('')}
                             </div>
                         </div>
+                        ` : ''}
                     </div>
+                    ` : ''}
                 </div>
+                ${site.highlights.length ? `
                 <div class="about-highlights">
+                    ${site.highlights.map(highlight => `
                     <div class="highlight">
-                        <h3>Full-Stack Development</h3>
-                        <p>Building end-to-end web applications with modern frameworks</p>
-                    </div>
-                    <div class="highlight">
-                        <h3>Problem Solving</h3>
-                        <p>Tackling complex challenges with creative and efficient solutions</p>
-                    </div>
-                    <div class="highlight">
-                        <h3>Continuous Learning</h3>
-                        <p>Always exploring new technologies and best practices</p>
+                        <h3>${escapeHtml(highlight.title)}</h3>
+                        ${highlight.text ? `<p>${escapeHtml(highlight.text)}</p>` : ''}
                     </div>
+                    `).join('')}
                 </div>
+                ` : ''}
             </section>
             ${workHistorySection}
         </div>
@@ -305,9 +425,10 @@ function renderHome(container) {
 }
 
 // Render posts list view
-function renderPostsList(container) {
-    // Initialize filter UI with posts
-    window.postFilterUI.init(posts);
+function renderPostsList(container, params = new URLSearchParams()) {
+    // Initialize filter UI with posts and the filters in the URL (/posts?q=x&tags=a,b&sort=oldest&view=list)
+    window.postFilterUI.init(posts, { tagAliases: site.tagAliases });
+    window.postFilterUI.setStateFromParams(params);
     
     container.innerHTML = `
         <div id="posts-header">
@@ -319,29 +440,56 @@ function renderPostsList(container) {
         <div id="posts-filter-area">
             ${window.postFilterUI.buildUI()}
         </div>
-        <section id="posts-section">
-            <div id="posts-container"></div>
-            <div id="posts-scroll-indicator" class="posts-scroll-indicator" style="display: none;">
-                <span>📜 Scroll to see more posts</span>
-            </div>
+        <section id="posts-section" data-keep-scroll>
+            <div id="posts-container" data-keep-scroll></div>
         </section>
     `;
     
-    // Display initial posts
+    // Display initial posts (coming back to the list restores the pages loaded before)
     const { filteredPosts, filterState } = window.postFilterUI.getState();
-    displayPosts(filteredPosts, filterState.viewMode);
+    displayPosts(filteredPosts, filterState, { restore: true });
     
     // Setup filter listeners with callback
     window.postFilterUI.setupListeners((filteredPosts, filterState) => {
-        displayPosts(filteredPosts, filterState.viewMode);
+        displayPosts(filteredPosts, filterState);
+    });
+    
+    setupPostCards(document.getElementById('posts-container'));
+}
+
+// Prefetch cards that are hovered or focused, and open a card's post when it's clicked
+function setupPostCards(postsContainer) {
+    // Hovering or focusing a card suggests it's about to be opened
+    ['mouseover', 'focusin'].forEach(eventType => {
+        postsContainer.addEventListener(eventType, (e) => {
+            const item = e.target.closest('.post-item[data-post-id]');
+            if (item) {
+                prefetchPost(item.dataset.postId, { images: true });
+            }
+        });
+    });
+
+    // Cards open their post; links inside them are left to the router
+    const openCard = (e) => {
+        const item = e.target.closest('.post-item[data-post-id]');
+        if (item && !e.target.closest('a[href]')) {
+            navigateTo('posts', item.dataset.postId);
+        }
+    };
+    postsContainer.addEventListener('click', openCard);
+    postsContainer.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') openCard(e);
     });
 }
 
-// Create cached post list item HTML
-function createPostListItemHTML(post) {
+// Shown in a card whose image fails to load
+const CARD_FALLBACK_IMAGE = 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22200%22 height=%22200%22%3E%3Crect fill=%22%23f0f0f0%22 width=%22200%22 height=%22200%22/%3E%3Ctext x=%2250%25%22 y=%2250%25%22 dominant-baseline=%22middle%22 text-anchor=%22middle%22 font-family=%22Arial%22 font-size=%2214%22 fill=%22%23999%22%3EImage Unavailable%3C/text%3E%3C/svg%3E';
+
+// Create cached post list item HTML, optionally with a highlighted search snippet
+function createPostListItemHTML(post, snippet = '') {
     // Check cache first
     const cacheKey = `${post.id}-list`;
-    if (domCache.postListItems.has(cacheKey)) {
+    if (!snippet && domCache.postListItems.has(cacheKey)) {
         return domCache.postListItems.get(cacheKey);
     }
     
@@ -359,34 +507,41 @@ function createPostListItemHTML(post) {
     const description = post.shortDescription || '';
 
     const html = `
-        <article class="post-item" role="link" tabindex="0" onclick="navigateTo('posts', '${post.id}')" onkeydown="if(event.key === 'Enter') navigateTo('posts', '${post.id}')">
+        <article class="post-item" data-post-id="${escapeHtml(post.id)}" role="link" tabindex="0">
             ${imageUrl ? `
                 <div class="post-item-image-square">
-                    <img src="${imageUrl}" alt="${post.title}" loading="lazy" onerror="if(!this.hasAttribute('data-fallback-tried')){this.setAttribute('data-fallback-tried','true');this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22200%22 height=%22200%22%3E%3Crect fill=%22%23f0f0f0%22 width=%22200%22 height=%22200%22/%3E%3Ctext x=%2250%25%22 y=%2250%25%22 dominant-baseline=%22middle%22 text-anchor=%22middle%22 font-family=%22Arial%22 font-size=%2214%22 fill=%22%23999%22%3EImage Unavailable%3C/text%3E%3C/svg%3E';}" />
+                    ${imageHTML(imageUrl, { alt: post.title, sizes: window.postRenderer?.imageSizes.card, attrs: 'loading="lazy"', fallback: CARD_FALLBACK_IMAGE })}
                 </div>
             ` : ''}
             <div class="post-item-content">
-                <h3><a href="#posts/${post.id}" onclick="event.stopPropagation(); navigateTo('posts', '${post.id}')">${post.title}</a></h3>
-                <time datetime="${post.date}">${new Date(post.date).toLocaleDateString()}</time>
-                ${description ? `<p>${description}</p>` : ''}
-                ${post.tags ? `<div class="tags">${post.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}</div>` : ''}
+                ${postStatusHTML(post)}
+                <h3><a href="/posts/${encodeURIComponent(post.id)}">${escapeHtml(post.title)}</a></h3>
+                <div class="post-item-meta">
+                    <time datetime="${escapeHtml(post.date)}">${new Date(post.date).toLocaleDateString()}</time>
+                    ${post.readingTime ? `<span class="post-reading-time">${post.readingTime} min read</span>` : ''}
+                </div>
+                ${snippet ? `<p class="post-item-snippet">${snippet}</p>` : description ? `<p>${escapeHtml(description)}</p>` : ''}
+                ${post.tags ? `<div class="tags">${post.tags.map(tag => `<a class="tag" href="${escapeHtml(PostRenderer.tagPath(tag))}">${escapeHtml(tag)}</a>`).join('')}</div>` : ''}
             </div>
         </article>
     `;
     
-    // Cache the HTML
-    domCache.postListItems.set(cacheKey, html);
+    // Cache the HTML (snippets depend on the search term, so those aren't cached)
+    if (!snippet) {
+        domCache.postListItems.set(cacheKey, html);
+    }
     return html;
 }
 
-// Display posts in grid or list view
-function displayPosts(postsToDisplay, viewMode) {
+// Display posts in grid or list view, a page at a time (js/postList.js)
+function displayPosts(postsToDisplay, filterState, { restore = false } = {}) {
     const container = document.getElementById('posts-container');
     if (!container) return;
     
-    container.className = `posts-${viewMode}`;
+    container.className = `posts-${filterState.viewMode}`;
     
     if (postsToDisplay.length === 0) {
+        window.postListView.disconnect();
         container.innerHTML = `
             <div class="no-results">
                 <p>No projects found.</p>
@@ -395,60 +550,222 @@ function displayPosts(postsToDisplay, viewMode) {
         return;
     }
     
-    // Use cached HTML for each post
-    container.innerHTML = postsToDisplay.map(post => createPostListItemHTML(post)).join('');
-    
-    // Check for overflow and show scroll indicator if needed
-    checkPostsContainerOverflow();
+    // A new list: stop watching the old cards for prefetching
+    postPrefetchObserver?.disconnect();
+    // Use cached HTML for each post (search snippets are rendered fresh)
+    window.postListView.render(container, postsToDisplay, {
+        page: filterState.page,
+        restore,
+        renderCard: post => createPostListItemHTML(post, window.postFilterUI.getSnippet(post.id)),
+        onRender: chunk => setupPostPrefetching(chunk),
+        onPageChange: page => window.postFilterUI.setPage(page)
+    });
 }
 
-// Check if posts container exceeds available space and show scroll indicator
-function checkPostsContainerOverflow() {
-    const container = document.getElementById('posts-container');
-    if (!container) return;
-    
-    // Use setTimeout to ensure CSS has fully reflowed after class change
-    // This is important for grid vs list view calculations
-    setTimeout(() => {
-        const hasOverflow = container.scrollHeight > container.clientHeight;
-        
-        // Log overflow status for debugging
-        console.log('Posts Container Overflow Check:', {
-            scrollHeight: container.scrollHeight,
-            clientHeight: container.clientHeight,
-            hasOverflow: hasOverflow,
-            overflowAmount: hasOverflow ? container.scrollHeight - container.clientHeight : 0,
-            viewMode: container.className // Show which view mode is active
-        });
-        
-        // Show/hide scroll indicator
-        const scrollIndicator = document.getElementById('posts-scroll-indicator');
-        if (scrollIndicator) {
-            scrollIndicator.style.display = hasOverflow ? 'flex' : 'none';
-        }
-    }, 100); // 100ms delay ensures layout reflow is complete
+// Posts of each canonical tag, from the same tag data the posts filter uses (js/filterUI.js)
+function getPostsByTag() {
+    window.postFilterUI.init(posts, { tagAliases: site.tagAliases });
+    return window.postFilterUI.getPostsByTag();
 }
 
-// Render individual post
-async function renderPostDetail(container, postId) {
-    const post = posts.find(p => p.id === postId);
-    if (!post) {
-        container.innerHTML = '<p>Post not found.</p>';
+function loadTagDescriptions() {
+    if (!tagDescriptions) {
+        tagDescriptions = SiteConfig.loadTagDescriptions();
+    }
+    return tagDescriptions;
+}
+
+// Render the tag cloud: every tag with its post count, sized by how many posts use it
+function renderTagsIndex(container) {
+    const postsByTag = getPostsByTag();
+    const counts = [...postsByTag.values()].map(tagged => tagged.length);
+    const least = Math.min(...counts);
+    const most = Math.max(...counts);
+
+    container.innerHTML = `
+        <div class="browse-page">
+            <div class="browse-header">
+                <h1>Tags</h1>
+                <p class="posts-description">${postsByTag.size} tags across ${posts.length} posts. Looking for a date instead? See the <a href="/archive">archive</a>.</p>
+            </div>
+            ${postsByTag.size ? `
+            <ul class="tag-cloud">
+                ${[...postsByTag].map(([tag, tagged]) => `
+                <li>
+                    <a href="${escapeHtml(PostRenderer.tagPath(tag))}" style="--tag-weight: ${most > least ? ((tagged.length - least) / (most - least)).toFixed(2) : 0.5}">
+                        ${escapeHtml(tag)} <span class="tag-count">${tagged.length}</span>
+                    </a>
+                </li>
+                `).join('')}
+            </ul>
+            ` : '<div class="no-results"><p>No tags yet.</p></div>'}
+        </div>
+    `;
+}
+
+// Render one tag's page: its description from tags.json, related tags and its posts
+async function renderTagPage(container, tagName, params) {
+    const postsByTag = getPostsByTag();
+    const tag = window.postFilterUI.normalizeTag(tagName);
+    if (!tag) {
+        container.innerHTML = `
+            <div class="no-results">
+                <p>No posts are tagged &ldquo;${escapeHtml(tagName)}&rdquo;.</p>
+                <p><a href="/tags">See all tags</a></p>
+            </div>
+        `;
         return;
     }
+    // Other spellings and aliases show the tag under its own name
+    if (tag !== tagName) {
+        return router.navigate(PostRenderer.tagPath(tag) + window.location.search, { replace: true });
+    }
+
+    const descriptions = await loadTagDescriptions();
+    // The user may have navigated elsewhere while tags.json was loading
+    if (getCurrentRoute().tag !== tag) return;
+
+    const description = Object.entries(descriptions).find(([name]) => window.postFilterUI.normalizeTag(name) === tag)?.[1];
+    const tagged = postsByTag.get(tag);
+    const parents = window.postFilterUI.tagAncestors(tag).reverse();
+    const children = window.postFilterUI.allTags.filter(other => window.postFilterUI.tagParents.get(other) === tag);
+    const tagLink = name => `<a class="tag" href="${escapeHtml(PostRenderer.tagPath(name))}">${escapeHtml(name)}</a>`;
+
+    container.innerHTML = `
+        <div id="posts-header">
+            <div class="posts-title-area">
+                <nav class="tag-breadcrumbs" aria-label="Tag">
+                    <a href="/tags">Tags</a>
+                    ${parents.map(parent => `/ <a href="${escapeHtml(PostRenderer.tagPath(parent))}">${escapeHtml(parent)}</a>`).join(' ')}
+                </nav>
+                <h1>${escapeHtml(tag)}</h1>
+                ${description ? `<p class="posts-description">${window.postRenderer ? window.postRenderer.renderInline(description) : escapeHtml(description)}</p>` : ''}
+                <p class="tag-page-meta">
+                    ${tagged.length} ${tagged.length === 1 ? 'post' : 'posts'} &middot;
+                    <a href="${escapeHtml(router.buildPath('posts', null, { tags: tag }))}">Filter all posts by this tag</a>
+                </p>
+                ${children.length ? `<div class="tags">${children.map(tagLink).join('')}</div>` : ''}
+            </div>
+        </div>
+        <section id="posts-section" data-keep-scroll>
+            <div id="posts-container" data-keep-scroll></div>
+        </section>
+    `;
+
+    // Same cards, view and pages as the posts list; the page is kept in the URL (?page=2)
+    const postsContainer = document.getElementById('posts-container');
+    postsContainer.className = `posts-${window.postFilterUI.filterState.viewMode}`;
+    postPrefetchObserver?.disconnect();
+    const showPage = (page, restore = false) => window.postListView.render(postsContainer, tagged, {
+        page,
+        restore,
+        renderCard: post => createPostListItemHTML(post),
+        onRender: chunk => setupPostPrefetching(chunk),
+        onPageChange: (page) => {
+            router.setParams(page > 1 ? { page } : {});
+            showPage(page);
+        }
+    });
+    showPage(Number(params.get('page')) || 1, true);
+    setupPostCards(postsContainer);
+}
 
+// Render the archive: posts grouped by the year and month of their date, newest first
+function renderArchive(container) {
+    // 'YYYY' -> Map of 'YYYY-MM' -> posts; posts are already newest first
+    const years = new Map();
+    posts.forEach(post => {
+        const month = String(post.date).slice(0, 7);
+        if (!/^\d{4}-\d{2}$/.test(month)) return;
+        const year = month.slice(0, 4);
+        if (!years.has(year)) years.set(year, new Map());
+        const months = years.get(year);
+        if (!months.has(month)) months.set(month, []);
+        months.get(month).push(post);
+    });
+    const monthName = month => new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', timeZone: 'UTC' });
+    const postCount = count => `${count} ${count === 1 ? 'post' : 'posts'}`;
+
+    container.innerHTML = `
+        <div class="browse-page">
+            <div class="browse-header">
+                <h1>Archive</h1>
+                <p class="posts-description">Every post by date. Looking for a topic instead? See the <a href="/tags">tags</a>.</p>
+                ${years.size > 1 ? `
+                <nav class="archive-years" aria-label="Years">
+                    ${[...years.keys()].map(year => `<a href="#archive-${year}">${year}</a>`).join('')}
+                </nav>
+                ` : ''}
+            </div>
+            ${[...years].map(([year, months]) => `
+            <section class="archive-year" id="archive-${year}">
+                <h2>${year} <a class="archive-count" href="${escapeHtml(router.buildPath('posts', null, { date: year }))}">${postCount([...months.values()].flat().length)}</a></h2>
+                ${[...months].map(([month, monthPosts]) => `
+                <h3>${escapeHtml(monthName(month))} <a class="archive-count" href="${escapeHtml(router.buildPath('posts', null, { date: month }))}">${postCount(monthPosts.length)}</a></h3>
+                <ul class="archive-posts">
+                    ${monthPosts.map(post => `
+                    <li>
+                        <time datetime="${escapeHtml(post.date)}">${new Date(post.date).toLocaleDateString()}</time>
+                        <a href="/posts/${encodeURIComponent(post.id)}">${escapeHtml(post.title)}</a>
+                        ${postStatusHTML(post)}
+                    </li>
+                    `).join('')}
+                </ul>
+                `).join('')}
+            </section>
+            `).join('') || '<div class="no-results"><p>No posts yet.</p></div>'}
+        </div>
+    `;
+}
+
+// Render individual post
+async function renderPostDetail(container, postId) {
     // Check if we have cached rendered content
     if (domCache.postDetails.has(postId)) {
         const cachedContent = domCache.postDetails.get(postId);
+        delete container.dataset.prerendered;
         container.innerHTML = '';
         container.appendChild(cachedContent.cloneNode(true));
+        window.postRenderer?.setupTableOfContents(container, postId);
         return;
     }
 
+    // Pre-rendered pages already show the article while the body loads
+    if (!container.dataset.prerendered) {
+        container.innerHTML = '<p class="post-loading">Loading post&hellip;</p>';
+    }
+
+    let post = null;
+    try {
+        post = await loadPostBody(postId);
+    } catch (error) {
+        console.warn(error);
+    }
+
+    // The user may have navigated elsewhere while the post was loading
+    const route = getCurrentRoute();
+    if (route.view !== 'posts' || route.postId !== postId) return;
+
+    if (!post) {
+        // Keep the pre-rendered article if the post failed to load
+        if (container.dataset.prerendered) return;
+        container.innerHTML = '<p>Post not found.</p>';
+        return;
+    }
+
+    // Drafts and scheduled posts aren't out yet (unlisted posts are, for anyone with the link)
+    if (!previewMode && ['draft', 'scheduled'].includes(PostRenderer.postStatus(post))) {
+        delete container.dataset.prerendered;
+        container.innerHTML = '<p>Post not found.</p>';
+        return;
+    }
+    delete container.dataset.prerendered;
+
     // Create post navigation
     container.innerHTML = `
         <div class="post-navigation">
             <button onclick="goBack()" class="back-button">&larr; Back</button>
+            ${previewMode ? postStatusHTML(post) : ''}
         </div>
         <div id="post-container"></div>
     `;
@@ -477,16 +794,16 @@ async function renderPostDetail(container, postId) {
 function renderPostDetailFallback(container, post) {
     container.innerHTML = `
         <article>
-            <h1>${post.title}</h1>
+            <h1>${escapeHtml(post.title)}</h1>
             <div class="post-meta">
-                <time datetime="${post.date}">${new Date(post.date).toLocaleDateString()}</time>
+                <time datetime="${escapeHtml(post.date)}">${new Date(post.date).toLocaleDateString()}</time>
                 ${post.tags && post.tags.length > 0 ? `
                     <div class="post-tags">
-                        ${post.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                        ${post.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
                     </div>
                 ` : ''}
             </div>
-            <div class="post-content">${post.content}</div>
+            <div class="post-content">${typeof post.content === 'string' ? HtmlSanitizer.sanitize(post.content) : ''}</div>
         </article>
     `;
 }
@@ -504,22 +821,29 @@ async function displayFeaturedPosts() {
             class="post-card"
             role="link"
             tabindex="0"
-            onclick="navigateTo('posts', '${post.id}')"
-            onkeydown="if (event.key === 'Enter') navigateTo('posts', '${post.id}')"
+            data-post-id="${escapeHtml(post.id)}"
         >
-            ${post.images && post.images.thumbnail ? `
-                <img src="${post.images.thumbnail}" alt="${post.title}" class="post-card-image">
+            ${post.image ? `
+                ${imageHTML(post.image, { alt: post.title, sizes: window.postRenderer?.imageSizes.card, attrs: 'class="post-card-image"', fallback: CARD_FALLBACK_IMAGE })}
             ` : ''}
-            <h4>${post.title}</h4>
-            <time datetime="${post.date}">
+            <h4>${escapeHtml(post.title)}</h4>
+            <time datetime="${escapeHtml(post.date)}">
                 ${new Date(post.date).toLocaleDateString()}
             </time>
-            <p>${post.shortDescription}</p>
+            <p>${escapeHtml(post.shortDescription)}</p>
             <div class="tags">
-                ${post.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                ${post.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
             </div>
         </article>
     `).join('');
+
+    container.onclick = (e) => {
+        const card = e.target.closest('.post-card[data-post-id]');
+        if (card) navigateTo('posts', card.dataset.postId);
+    };
+    container.onkeydown = (e) => {
+        if (e.key === 'Enter') container.onclick(e);
+    };
 }
 
 
@@ -544,17 +868,18 @@ function displayAllPosts(view = 'grid') {
         const description = post.shortDescription || '';
 
         return `
-        <article class="post-item" role="link" tabindex="0" onclick="navigateTo('posts', '${post.id}')" onkeydown="if(event.key === 'Enter') navigateTo('posts', '${post.id}')">
+        <article class="post-item" data-post-id="${escapeHtml(post.id)}" role="link" tabindex="0">
             ${imageUrl ? `
                 <div class="post-item-image-square">
-                    <img src="${imageUrl}" alt="${post.title}" />
+                    ${imageHTML(imageUrl, { alt: post.title, sizes: window.postRenderer?.imageSizes.card, attrs: 'loading="lazy"', fallback: CARD_FALLBACK_IMAGE })}
                 </div>
             ` : ''}
             <div class="post-item-content">
-                <h3><a href="#posts/${post.id}" onclick="event.stopPropagation(); navigateTo('posts', '${post.id}')">${post.title}</a></h3>
-                <time datetime="${post.date}">${new Date(post.date).toLocaleDateString()}</time>
-                ${description ? `<p>${description}</p>` : ''}
-                ${post.tags ? `<div class="tags">${post.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}</div>` : ''}
+                ${postStatusHTML(post)}
+                <h3><a href="/posts/${encodeURIComponent(post.id)}">${escapeHtml(post.title)}</a></h3>
+                <time datetime="${escapeHtml(post.date)}">${new Date(post.date).toLocaleDateString()}</time>
+                ${description ? `<p>${escapeHtml(description)}</p>` : ''}
+                ${post.tags ? `<div class="tags">${post.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
             </div>
         </article>
     `;
@@ -615,17 +940,33 @@ function initTimeline() {
 }
 // Initialize app
 async function init() {
-    await loadPosts();
+    [site] = await Promise.all([SiteConfig.load(), loadPosts()]);
+    window.postListView.configure(site.postList);
     await timelineRenderer.loadTimelineData();
+    // Full-text search index loads in the background; filtering falls back until it's ready,
+    // then a search opened from a link is run again against the index
+    window.postSearch.load().then(loaded => {
+        const route = getCurrentRoute();
+        if (loaded && route.view === 'posts' && !route.postId && route.params.get('q')) {
+            window.postFilterUI.refresh();
+        }
+    });
     buildHeader();
     buildFooter();
 
-    // Handle initial route
-    window.addEventListener('hashchange', renderContent);
-    // Handle browser back/forward buttons
-    window.addEventListener('popstate', renderContent);
-    renderContent();
+    // Handle initial route and browser back/forward buttons
+    setupGalleryRoutes();
+    router.start(renderContent);
+}
+
+// Register the service worker for offline support (see sw.js)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
 }
 
 // Start the app
-document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', init);
+window.addEventListener('load', registerServiceWorker);
\ No newline at end of file
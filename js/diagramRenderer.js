@@ -0,0 +1,917 @@
+// diagramRenderer.js - Dependency-free Mermaid-style diagrams to SVG
+//
+// Understands the common core of Mermaid's text syntax for two diagram kinds:
+//   - flowcharts ("graph TD" / "flowchart LR"): nodes in the usual shapes, solid,
+//     dotted and thick edges with optional labels, chains (A --> B --> C) and "&".
+//     Layout is layered: ranks by longest path (cycles broken by reversing back
+//     edges), long edges routed through dummy nodes, barycenter ordering to reduce
+//     crossings, then curves between rank ports.
+//   - sequence diagrams: participants and actors, messages, notes, autonumber and
+//     loop/alt/opt/par/critical/break frames.
+// Colors are presentation attributes so the SVG stands alone (feeds, pre-rendered
+// pages); the diagram-* classes let the site stylesheet theme them.
+// Shared by the build (scripts/render-figures.js) and the browser fallback in PostRenderer.
+
+class DiagramRenderer {
+    static FONT_SIZE = 14;
+    static LINE_HEIGHT = 18;
+    static MARGIN = 12;
+    // Flowcharts with more nodes plus edge bends than this are refused rather than laid out
+    static MAX_LAYOUT_VERTICES = 20000;
+    // Barycenter sweeps when ordering ranks to reduce edge crossings
+    static ORDER_SWEEPS = 8;
+
+    static COLORS = {
+        nodeFill: '#f0f2ff',
+        nodeStroke: '#667eea',
+        edge: '#555',
+        text: '#333',
+        labelFill: '#fff',
+        noteFill: '#fff8c5',
+        noteStroke: '#d4b106',
+        frameStroke: '#999'
+    };
+
+    // Opening bracket -> [closing bracket, shape]; longest openers first
+    static SHAPES = [
+        ['([', '])', 'stadium'],
+        ['((', '))', 'circle'],
+        ['[(', ')]', 'cylinder'],
+        ['[[', ']]', 'subroutine'],
+        ['{{', '}}', 'hexagon'],
+        ['[', ']', 'rect'],
+        ['(', ')', 'round'],
+        ['{', '}', 'diamond'],
+        ['>', ']', 'flag']
+    ];
+
+    // Mermaid statements that only affect styling; the site stylesheet handles that
+    static IGNORED = /^(?:classDef|class|style|linkStyle|click|accTitle|accDescr|title|activate|deactivate)\b/;
+
+    /**
+     * Render diagram source to an SVG string.
+     * Throws a SyntaxError naming the offending line for anything it can't parse.
+     */
+    static render(source) {
+        const lines = DiagramRenderer.sourceLines(source);
+        if (lines.length === 0) throw new SyntaxError('Diagram is empty');
+
+        const header = lines[0].text;
+        if (/^(?:graph|flowchart)\b/.test(header)) {
+            return DiagramRenderer.renderFlowchart(DiagramRenderer.parseFlowchart(lines));
+        }
+        if (/^sequenceDiagram\b/.test(header)) {
+            return DiagramRenderer.renderSequence(DiagramRenderer.parseSequence(lines));
+        }
+        throw new SyntaxError(`Line ${lines[0].number}: unknown diagram type "${header.split(/\s+/)[0]}" (use graph, flowchart or sequenceDiagram)`);
+    }
+
+    // Non-blank, non-comment lines with their 1-based line numbers
+    static sourceLines(source) {
+        return String(source ?? '').split('\n')
+            .map((text, i) => ({ text: text.trim(), number: i + 1 }))
+            .filter(line => line.text && !line.text.startsWith('%%'));
+    }
+
+    static lineError(line, message) {
+        return new SyntaxError(`Line ${line.number}: ${message}`);
+    }
+
+    static escapeXml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Label text split on <br>, with surrounding quotes removed
+    static labelLines(label) {
+        return String(label ?? '').replace(/^"([\s\S]*)"$/, '$1').split(/<br\s*\/?>/i).map(line => line.trim());
+    }
+
+    // Approximate width of sans-serif text at FONT_SIZE
+    static textWidth(text) {
+        let width = 0;
+        for (const char of String(text)) {
+            if (/[ilIj.,:;'|!()[\]]/.test(char)) width += 4.2;
+            else if (/[mwMW@]/.test(char)) width += 12;
+            else if (/[A-Z]/.test(char)) width += 9.4;
+            else if (char === ' ') width += 4;
+            else width += 7.6;
+        }
+        return width * DiagramRenderer.FONT_SIZE / 14;
+    }
+
+    static linesWidth(lines) {
+        return Math.max(0, ...lines.map(line => DiagramRenderer.textWidth(line)));
+    }
+
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    static textElement(lines, x, y, className = 'diagram-text', extra = '') {
+        const { LINE_HEIGHT, COLORS, round } = DiagramRenderer;
+        return lines.map((line, i) => {
+            const lineY = y + (i - (lines.length - 1) / 2) * LINE_HEIGHT;
+            return `<text class="${className}" x="${round(x)}" y="${round(lineY)}" fill="${COLORS.text}"${extra}>${DiagramRenderer.escapeXml(line)}</text>`;
+        }).join('');
+    }
+
+    static svg(kind, width, height, title, body) {
+        const { MARGIN, FONT_SIZE, round } = DiagramRenderer;
+        const w = round(width + 2 * MARGIN);
+        const h = round(height + 2 * MARGIN);
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="diagram-svg diagram-${kind}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" role="img" aria-label="${DiagramRenderer.escapeXml(title)}">`
+            + `<title>${DiagramRenderer.escapeXml(title)}</title>`
+            + `<g transform="translate(${MARGIN} ${MARGIN})" font-family="system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif" font-size="${FONT_SIZE}" text-anchor="middle" dominant-baseline="central">${body}</g></svg>`;
+    }
+
+    // Filled arrowhead with its tip at (x, y) pointing along (dx, dy)
+    static arrowhead(x, y, dx, dy, className = 'diagram-arrow') {
+        const length = Math.hypot(dx, dy) || 1;
+        const ux = dx / length;
+        const uy = dy / length;
+        const baseX = x - ux * 9;
+        const baseY = y - uy * 9;
+        const points = [[x, y], [baseX - uy * 4.5, baseY + ux * 4.5], [baseX + uy * 4.5, baseY - ux * 4.5]]
+            .map(([px, py]) => `${DiagramRenderer.round(px)},${DiagramRenderer.round(py)}`).join(' ');
+        return `<polygon class="${className}" points="${points}" fill="${DiagramRenderer.COLORS.edge}"/>`;
+    }
+
+    // ------------------------------------------------------------------ flowcharts
+
+    static parseFlowchart(lines) {
+        const [header, ...body] = lines;
+        const match = /^(?:graph|flowchart)(?:\s+(TD|TB|BT|LR|RL))?\s*;?$/.exec(header.text);
+        if (!match) throw DiagramRenderer.lineError(header, 'expected a direction: TD, TB, BT, LR or RL');
+
+        const graph = { direction: match[1] === 'TD' || !match[1] ? 'TB' : match[1], nodes: new Map(), edges: [] };
+        body.forEach(line => {
+            line.text.split(';').map(text => text.trim()).filter(Boolean).forEach(text => {
+                if (DiagramRenderer.IGNORED.test(text) || text.startsWith('direction ')) return;
+                if (/^subgraph\b/.test(text) || text === 'end') {
+                    throw DiagramRenderer.lineError(line, 'subgraphs are not supported');
+                }
+                DiagramRenderer.parseFlowStatement(text, line, graph);
+            });
+        });
+        if (graph.nodes.size === 0) throw DiagramRenderer.lineError(header, 'flowchart has no nodes');
+        return graph;
+    }
+
+    // A chain of node groups joined by edges: A & B --> C -->|yes| D
+    static parseFlowStatement(text, line, graph) {
+        let pos = 0;
+        const rest = () => text.slice(pos);
+        const skipSpaces = () => {
+            while (/\s/.test(text[pos] || '')) pos++;
+        };
+
+        const parseNode = () => {
+            skipSpaces();
+            const idMatch = /^[A-Za-z0-9_À-￿]+/.exec(rest());
+            if (!idMatch) throw DiagramRenderer.lineError(line, rest() ? `expected a node id at "${rest().slice(0, 20)}"` : 'edge has no target node');
+            const id = idMatch[0];
+            pos += id.length;
+
+            let label = null;
+            let shape = null;
+            const opener = DiagramRenderer.SHAPES.find(([open]) => rest().startsWith(open));
+            if (opener) {
+                const [open, close, shapeName] = opener;
+                pos += open.length;
+                let end;
+                if (text[pos] === '"') {
+                    const quoteEnd = text.indexOf('"', pos + 1);
+                    if (quoteEnd === -1) throw DiagramRenderer.lineError(line, 'unterminated quoted label');
+                    end = text.indexOf(close, quoteEnd);
+                } else {
+                    end = text.indexOf(close, pos);
+                }
+                if (end === -1) throw DiagramRenderer.lineError(line, `missing "${close}" after node ${id}`);
+                label = text.slice(pos, end).trim();
+                shape = shapeName;
+                pos = end + close.length;
+            }
+            // :::className only styles the node
+            const classMatch = /^:::[\w-]+/.exec(rest());
+            if (classMatch) pos += classMatch[0].length;
+
+            const existing = graph.nodes.get(id);
+            if (existing) {
+                if (shape) Object.assign(existing, { label, shape });
+            } else {
+                graph.nodes.set(id, { id, label: label ?? id, shape: shape || 'rect' });
+            }
+            return id;
+        };
+
+        const parseGroup = () => {
+            const ids = [parseNode()];
+            for (;;) {
+                skipSpaces();
+                if (text[pos] !== '&') return ids;
+                pos++;
+                ids.push(parseNode());
+            }
+        };
+
+        const parseEdge = () => {
+            skipSpaces();
+            const plain = /^(<?)(-{2,}>|-{3,}|-\.+->|-\.+-|={2,}>|={3,})(?:\s*\|([^|]*)\|)?/.exec(rest());
+            const texted = /^(<?)(--|-\.|==)\s+(.+?)\s*(-{2,}>|-{3,}|\.+->|\.+-|={2,}>|={3,})/.exec(rest());
+            const match = plain || texted;
+            if (!match) return null;
+            pos += match[0].length;
+            const token = plain ? match[2] : match[2] + match[4];
+            return {
+                label: ((plain ? match[3] : match[3]) || '').trim(),
+                style: token.includes('.') ? 'dotted' : token.includes('=') ? 'thick' : 'solid',
+                arrow: token.endsWith('>'),
+                back: match[1] === '<'
+            };
+        };
+
+        let previous = parseGroup();
+        for (;;) {
+            skipSpaces();
+            if (pos >= text.length) break;
+            const edge = parseEdge();
+            if (!edge) throw DiagramRenderer.lineError(line, `expected an edge like --> at "${rest().slice(0, 20)}"`);
+            const next = parseGroup();
+            previous.forEach(from => next.forEach(to => graph.edges.push({ from, to, ...edge })));
+            previous = next;
+        }
+    }
+
+    static nodeSize(node) {
+        const { LINE_HEIGHT } = DiagramRenderer;
+        const lines = DiagramRenderer.labelLines(node.label);
+        const textWidth = DiagramRenderer.linesWidth(lines);
+        const textHeight = lines.length * LINE_HEIGHT;
+        switch (node.shape) {
+            case 'circle': {
+                const diameter = Math.max(textWidth + 24, textHeight + 24);
+                return { w: diameter, h: diameter };
+            }
+            case 'diamond':
+                // The text box must fit inside the rhombus: x/W + y/H <= 1
+                return { w: textWidth * 1.6 + 24, h: textHeight * 2 + 12 };
+            case 'hexagon':
+                return { w: textWidth + 48, h: textHeight + 22 };
+            case 'cylinder':
+                return { w: Math.max(textWidth + 32, 60), h: textHeight + 36 };
+            default:
+                return { w: Math.max(textWidth + 32, 60), h: textHeight + 22 };
+        }
+    }
+
+    /**
+     * Layered layout. Works in "across" (within a rank) and "along" (rank to rank)
+     * coordinates so TB/BT and LR/RL share one implementation.
+     */
+    static layoutFlowchart(graph) {
+        const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+        const ids = [...graph.nodes.keys()];
+        const vertices = new Map();
+        graph.nodes.forEach((node, id) => {
+            const { w, h } = DiagramRenderer.nodeSize(node);
+            vertices.set(id, { id, node, w, h, across: horizontal ? h : w, along: horizontal ? w : h, loop: false });
+        });
+
+        // Break cycles: edges that point back into the current DFS path are laid out reversed
+        const outgoing = new Map(ids.map(id => [id, []]));
+        graph.edges.forEach(edge => {
+            if (edge.from === edge.to) vertices.get(edge.from).loop = true;
+            else outgoing.get(edge.from).push(edge);
+        });
+        const state = new Map();
+        const reversed = new Set();
+        // Depth-first with an explicit stack, so long chains can't overflow the call stack
+        const visit = start => {
+            state.set(start, 'active');
+            const stack = [[start, 0]];
+            while (stack.length) {
+                const top = stack[stack.length - 1];
+                const edge = outgoing.get(top[0])[top[1]++];
+                if (!edge) {
+                    state.set(top[0], 'done');
+                    stack.pop();
+                } else if (state.get(edge.to) === 'active') {
+                    reversed.add(edge);
+                } else if (!state.has(edge.to)) {
+                    state.set(edge.to, 'active');
+                    stack.push([edge.to, 0]);
+                }
+            }
+        };
+        const hasIncoming = new Set(graph.edges.filter(edge => edge.from !== edge.to).map(edge => edge.to));
+        ids.filter(id => !hasIncoming.has(id)).forEach(id => !state.has(id) && visit(id));
+        ids.forEach(id => !state.has(id) && visit(id));
+
+        // Rank by longest path from the sources
+        const dagEdges = graph.edges.filter(edge => edge.from !== edge.to).map(edge => (reversed.has(edge)
+            ? { edge, from: edge.to, to: edge.from, reversed: true }
+            : { edge, from: edge.from, to: edge.to, reversed: false }));
+        const rank = new Map(ids.map(id => [id, 0]));
+        const indegree = new Map(ids.map(id => [id, 0]));
+        const successors = new Map(ids.map(id => [id, []]));
+        dagEdges.forEach(e => {
+            indegree.set(e.to, indegree.get(e.to) + 1);
+            successors.get(e.from).push(e);
+        });
+        const queue = ids.filter(id => indegree.get(id) === 0);
+        while (queue.length) {
+            const id = queue.shift();
+            successors.get(id).forEach(e => {
+                rank.set(e.to, Math.max(rank.get(e.to), rank.get(id) + 1));
+                indegree.set(e.to, indegree.get(e.to) - 1);
+                if (indegree.get(e.to) === 0) queue.push(e.to);
+            });
+        }
+
+        // Long edges pass through one dummy vertex per rank they cross
+        const bends = dagEdges.reduce((sum, e) => sum + Math.max(0, rank.get(e.to) - rank.get(e.from) - 1), 0);
+        if (ids.length + bends > DiagramRenderer.MAX_LAYOUT_VERTICES) {
+            throw new SyntaxError(`Flowchart is too large to lay out (${ids.length} nodes and ${bends} edge bends; at most ${DiagramRenderer.MAX_LAYOUT_VERTICES} in all)`);
+        }
+        const layerCount = Math.max(...rank.values()) + 1;
+        const layers = Array.from({ length: layerCount }, () => []);
+        ids.forEach(id => layers[rank.get(id)].push(id));
+        const segments = [];
+        dagEdges.forEach((e, index) => {
+            const path = [e.from];
+            for (let r = rank.get(e.from) + 1; r < rank.get(e.to); r++) {
+                const id = `\u0000${index}-${r}`;
+                const labelled = e.edge.label && r === rank.get(e.from) + 1;
+                const labelWidth = labelled ? DiagramRenderer.linesWidth(DiagramRenderer.labelLines(e.edge.label)) + 12 : 0;
+                const labelHeight = labelled ? DiagramRenderer.labelLines(e.edge.label).length * DiagramRenderer.LINE_HEIGHT + 4 : 0;
+                vertices.set(id, {
+                    id, dummy: true, w: labelWidth, h: labelHeight,
+                    across: Math.max(horizontal ? labelHeight : labelWidth, 8), along: horizontal ? labelWidth : labelHeight
+                });
+                rank.set(id, r);
+                layers[r].push(id);
+                path.push(id);
+            }
+            path.push(e.to);
+            e.path = path;
+            for (let i = 1; i < path.length; i++) segments.push([path[i - 1], path[i]]);
+        });
+
+        DiagramRenderer.orderLayers(layers, segments);
+        const across = DiagramRenderer.placeAcross(layers, segments, vertices);
+
+        // Rank positions; gaps grow to fit labels on single-rank edges
+        const rankGap = layers.map(() => 50);
+        dagEdges.forEach(e => {
+            if (e.edge.label && e.path.length === 2) {
+                const lines = DiagramRenderer.labelLines(e.edge.label);
+                const size = horizontal ? DiagramRenderer.linesWidth(lines) + 24 : lines.length * DiagramRenderer.LINE_HEIGHT + 24;
+                rankGap[rank.get(e.from)] = Math.max(rankGap[rank.get(e.from)], size);
+            }
+        });
+        const along = new Map();
+        let cursor = 0;
+        layers.forEach((layer, r) => {
+            const thickness = Math.max(0, ...layer.map(id => vertices.get(id).along));
+            layer.forEach(id => along.set(id, cursor + thickness / 2));
+            cursor += thickness + rankGap[r];
+        });
+        const alongTotal = cursor - rankGap[layers.length - 1];
+        const acrossTotal = Math.max(...[...vertices.values()].map(v => across.get(v.id) + v.across / 2 + (v.loop ? 36 : 0)));
+
+        // Map (across, along) to (x, y) for the diagram's direction
+        const point = (a, l) => {
+            switch (graph.direction) {
+                case 'BT': return [a, alongTotal - l];
+                case 'LR': return [l, a];
+                case 'RL': return [alongTotal - l, a];
+                default: return [a, l];
+            }
+        };
+
+        const nodes = ids.map(id => {
+            const v = vertices.get(id);
+            const [x, y] = point(across.get(id), along.get(id));
+            return { ...v.node, x, y, w: v.w, h: v.h, loop: v.loop };
+        });
+
+        const edges = dagEdges.map(e => {
+            // Ports: the far side of the source and the near side of the target along the rank axis
+            const points = e.path.map((id, i) => {
+                const v = vertices.get(id);
+                const offset = i === 0 ? v.along / 2 : i === e.path.length - 1 ? -v.along / 2 : 0;
+                return [across.get(id), along.get(id) + offset];
+            });
+            const labelDummy = e.path.length > 2 ? e.path[1] : null;
+            let labelAt;
+            if (labelDummy) {
+                labelAt = [across.get(labelDummy), along.get(labelDummy)];
+            } else {
+                labelAt = [(points[0][0] + points[1][0]) / 2, (points[0][1] + points[1][1]) / 2];
+            }
+
+            // Each hop is a cubic leaving and entering parallel to the rank axis
+            const curves = [];
+            for (let i = 1; i < points.length; i++) {
+                const [a0, l0] = points[i - 1];
+                const [a1, l1] = points[i];
+                const mid = (l0 + l1) / 2;
+                curves.push([[a0, l0], [a0, mid], [a1, mid], [a1, l1]]);
+            }
+            let mapped = curves.map(curve => curve.map(([a, l]) => point(a, l)));
+            if (e.reversed) mapped = mapped.reverse().map(curve => curve.slice().reverse());
+            return { ...e.edge, curves: mapped, labelAt: point(...labelAt) };
+        });
+
+        const [width, height] = horizontal ? [alongTotal, acrossTotal] : [acrossTotal, alongTotal];
+        return { nodes, edges, width, height, loops: graph.edges.filter(edge => edge.from === edge.to), horizontal };
+    }
+
+    // Barycenter ordering: sweep down and up, keeping the order with the fewest crossings
+    static orderLayers(layers, segments) {
+        const upper = new Map();
+        const lower = new Map();
+        segments.forEach(([from, to]) => {
+            if (!lower.has(from)) lower.set(from, []);
+            if (!upper.has(to)) upper.set(to, []);
+            lower.get(from).push(to);
+            upper.get(to).push(from);
+        });
+
+        const positions = () => {
+            const map = new Map();
+            layers.forEach(layer => layer.forEach((id, i) => map.set(id, i)));
+            return map;
+        };
+        // Every segment spans exactly one rank, so only segments leaving the same rank can cross
+        const rankOf = new Map();
+        layers.forEach((layer, r) => layer.forEach(id => rankOf.set(id, r)));
+        const byRank = layers.map(() => []);
+        segments.forEach(segment => byRank[rankOf.get(segment[0])].push(segment));
+        const crossings = () => {
+            const pos = positions();
+            let count = 0;
+            byRank.forEach((rankSegments, r) => {
+                if (rankSegments.length < 2) return;
+                // Sorted by upper then lower position, a crossing is a later segment whose lower end
+                // is further left; a Fenwick tree over the lower rank counts them in O(n log n)
+                const ends = rankSegments.map(([a, b]) => [pos.get(a), pos.get(b)]).sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+                const size = layers[r + 1].length;
+                const tree = new Array(size + 1).fill(0);
+                ends.forEach(([, b], seen) => {
+                    // Earlier segments whose lower end is at or left of b
+                    let atOrLeft = 0;
+                    for (let i = b + 1; i > 0; i -= i & -i) atOrLeft += tree[i];
+                    count += seen - atOrLeft;
+                    for (let i = b + 1; i <= size; i += i & -i) tree[i]++;
+                });
+            });
+            return count;
+        };
+        const sortBy = (layer, neighbours, pos) => {
+            const keyed = layer.map((id, i) => {
+                const linked = (neighbours.get(id) || []).map(other => pos.get(other));
+                return { id, key: linked.length ? linked.reduce((sum, p) => sum + p, 0) / linked.length : i };
+            });
+            keyed.sort((a, b) => a.key - b.key);
+            return keyed.map(item => item.id);
+        };
+
+        let best = layers.map(layer => layer.slice());
+        let bestCount = crossings();
+        for (let pass = 0; pass < DiagramRenderer.ORDER_SWEEPS && bestCount > 0; pass++) {
+            const down = pass % 2 === 0;
+            const order = down ? layers.map((_, i) => i).slice(1) : layers.map((_, i) => i).reverse().slice(1);
+            const pos = positions();
+            order.forEach(r => {
+                layers[r] = sortBy(layers[r], down ? upper : lower, pos);
+                layers[r].forEach((id, i) => pos.set(id, i));
+            });
+            const count = crossings();
+            if (count < bestCount) {
+                bestCount = count;
+                best = layers.map(layer => layer.slice());
+            }
+        }
+        best.forEach((layer, r) => {
+            layers[r] = layer;
+        });
+    }
+
+    // Positions within each rank: pulled toward connected vertices, never overlapping
+    static placeAcross(layers, segments, vertices) {
+        const across = new Map();
+        const gapBetween = (a, b) => (vertices.get(a).dummy || vertices.get(b).dummy ? 16 : 32) + (vertices.get(a).loop ? 36 : 0);
+        const pack = (layer, desired) => {
+            let x = -Infinity;
+            const placed = layer.map((id, i) => {
+                const v = vertices.get(id);
+                const min = i === 0 ? -Infinity : x + vertices.get(layer[i - 1]).across / 2 + gapBetween(layer[i - 1], id) + v.across / 2;
+                x = Math.max(desired[i], min);
+                return x;
+            });
+            // Shift the packed rank so it sits, on average, where it wants to be
+            const drift = layer.reduce((sum, _, i) => sum + desired[i] - placed[i], 0) / (layer.length || 1);
+            layer.forEach((id, i) => across.set(id, placed[i] + drift));
+        };
+
+        layers.forEach(layer => pack(layer, layer.map(() => 0)));
+
+        const neighbours = new Map();
+        segments.forEach(([a, b]) => {
+            if (!neighbours.has(a)) neighbours.set(a, { up: [], down: [] });
+            if (!neighbours.has(b)) neighbours.set(b, { up: [], down: [] });
+            neighbours.get(a).down.push(b);
+            neighbours.get(b).up.push(a);
+        });
+        for (let pass = 0; pass < 6; pass++) {
+            const down = pass % 2 === 0;
+            const order = down ? layers.slice(1) : layers.slice(0, -1).reverse();
+            order.forEach(layer => {
+                const desired = layer.map(id => {
+                    const linked = neighbours.get(id) ? neighbours.get(id)[down ? 'up' : 'down'] : [];
+                    return linked.length ? linked.reduce((sum, other) => sum + across.get(other), 0) / linked.length : across.get(id);
+                });
+                pack(layer, desired);
+            });
+        }
+
+        const min = Math.min(...[...across.entries()].map(([id, a]) => a - vertices.get(id).across / 2));
+        across.forEach((a, id) => across.set(id, a - min));
+        return across;
+    }
+
+    static nodeShape(node) {
+        const { COLORS, round } = DiagramRenderer;
+        const { x, y, w, h } = node;
+        const paint = `fill="${COLORS.nodeFill}" stroke="${COLORS.nodeStroke}" stroke-width="1.5"`;
+        const polygon = points => `<polygon class="diagram-shape" points="${points.map(([px, py]) => `${round(px)},${round(py)}`).join(' ')}" ${paint}/>`;
+        const rect = rx => `<rect class="diagram-shape" x="${round(x - w / 2)}" y="${round(y - h / 2)}" width="${round(w)}" height="${round(h)}" rx="${round(rx)}" ${paint}/>`;
+
+        switch (node.shape) {
+            case 'round':
+                return rect(10);
+            case 'stadium':
+                return rect(h / 2);
+            case 'circle':
+                return `<circle class="diagram-shape" cx="${round(x)}" cy="${round(y)}" r="${round(w / 2)}" ${paint}/>`;
+            case 'diamond':
+                return polygon([[x, y - h / 2], [x + w / 2, y], [x, y + h / 2], [x - w / 2, y]]);
+            case 'hexagon': {
+                const inset = Math.min(h / 2, w / 4);
+                return polygon([[x - w / 2, y], [x - w / 2 + inset, y - h / 2], [x + w / 2 - inset, y - h / 2], [x + w / 2, y], [x + w / 2 - inset, y + h / 2], [x - w / 2 + inset, y + h / 2]]);
+            }
+            case 'flag':
+                return polygon([[x - w / 2, y - h / 2], [x + w / 2, y - h / 2], [x + w / 2, y + h / 2], [x - w / 2, y + h / 2], [x - w / 2 + 12, y]]);
+            case 'cylinder': {
+                const ry = 7;
+                const left = round(x - w / 2);
+                const right = round(x + w / 2);
+                const top = round(y - h / 2 + ry);
+                const bottom = round(y + h / 2 - ry);
+                const rx = round(w / 2);
+                return `<path class="diagram-shape" d="M${left} ${top}A${rx} ${ry} 0 0 1 ${right} ${top}V${bottom}A${rx} ${ry} 0 0 1 ${left} ${bottom}Z" ${paint}/>`
+                    + `<path class="diagram-shape-line" d="M${left} ${top}A${rx} ${ry} 0 0 0 ${right} ${top}" fill="none" stroke="${COLORS.nodeStroke}" stroke-width="1.5"/>`;
+            }
+            case 'subroutine':
+                return rect(0) + [x - w / 2 + 7, x + w / 2 - 7].map(lineX =>
+                    `<line class="diagram-shape-line" x1="${round(lineX)}" y1="${round(y - h / 2)}" x2="${round(lineX)}" y2="${round(y + h / 2)}" stroke="${COLORS.nodeStroke}" stroke-width="1.5"/>`).join('');
+            default:
+                return rect(3);
+        }
+    }
+
+    static edgeStroke(edge) {
+        const { COLORS } = DiagramRenderer;
+        const width = edge.style === 'thick' ? 3 : 1.5;
+        const dash = edge.style === 'dotted' ? ' stroke-dasharray="4 4"' : '';
+        return `fill="none" stroke="${COLORS.edge}" stroke-width="${width}"${dash}`;
+    }
+
+    static edgeLabel(label, [x, y]) {
+        const { COLORS, LINE_HEIGHT, round } = DiagramRenderer;
+        const lines = DiagramRenderer.labelLines(label);
+        const w = DiagramRenderer.linesWidth(lines) + 8;
+        const h = lines.length * LINE_HEIGHT + 2;
+        return `<rect class="diagram-label-bg" x="${round(x - w / 2)}" y="${round(y - h / 2)}" width="${round(w)}" height="${round(h)}" rx="3" fill="${COLORS.labelFill}"/>`
+            + DiagramRenderer.textElement(lines, x, y, 'diagram-label');
+    }
+
+    static renderFlowchart(graph) {
+        const { round } = DiagramRenderer;
+        const layout = DiagramRenderer.layoutFlowchart(graph);
+        const byId = new Map(layout.nodes.map(node => [node.id, node]));
+        const parts = { edges: [], nodes: [], labels: [] };
+
+        layout.edges.forEach(edge => {
+            const d = edge.curves.map((curve, i) => {
+                const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = curve.map(p => p.map(round));
+                return `${i === 0 ? `M${x0} ${y0}` : ''}C${x1} ${y1} ${x2} ${y2} ${x3} ${y3}`;
+            }).join('');
+            parts.edges.push(`<path class="diagram-edge" d="${d}" ${DiagramRenderer.edgeStroke(edge)}/>`);
+
+            const first = edge.curves[0];
+            const last = edge.curves[edge.curves.length - 1];
+            const [tip, control] = [last[3], last[2]];
+            const head = (end, from) => {
+                // The control point can coincide with the end on straight hops
+                const dx = end[0] - from[0];
+                const dy = end[1] - from[1];
+                return DiagramRenderer.arrowhead(end[0], end[1], dx, dy);
+            };
+            if (edge.arrow) parts.edges.push(head(tip, control[0] === tip[0] && control[1] === tip[1] ? last[0] : control));
+            if (edge.back) parts.edges.push(head(first[0], first[1][0] === first[0][0] && first[1][1] === first[0][1] ? first[3] : first[1]));
+            if (edge.label) parts.labels.push(DiagramRenderer.edgeLabel(edge.label, edge.labelAt));
+        });
+
+        // Self loops bulge out on the node's far side across the ranks
+        layout.loops.forEach(edge => {
+            const node = byId.get(edge.from);
+            const [x, y] = layout.horizontal ? [node.x, node.y + node.h / 2] : [node.x + node.w / 2, node.y];
+            const [sx, sy, ex, ey, c1, c2] = layout.horizontal
+                ? [x - 10, y, x + 10, y, [x - 16, y + 34], [x + 16, y + 34]]
+                : [x, y - 10, x, y + 10, [x + 34, y - 16], [x + 34, y + 16]];
+            parts.edges.push(`<path class="diagram-edge" d="M${round(sx)} ${round(sy)}C${round(c1[0])} ${round(c1[1])} ${round(c2[0])} ${round(c2[1])} ${round(ex)} ${round(ey)}" ${DiagramRenderer.edgeStroke(edge)}/>`);
+            if (edge.arrow) parts.edges.push(DiagramRenderer.arrowhead(ex, ey, ex - c2[0], ey - c2[1]));
+            if (edge.label) {
+                const labelAt = layout.horizontal ? [x, y + 34] : [x + 34 + DiagramRenderer.textWidth(edge.label) / 2, y];
+                parts.labels.push(DiagramRenderer.edgeLabel(edge.label, labelAt));
+            }
+        });
+
+        layout.nodes.forEach(node => {
+            parts.nodes.push(`<g class="diagram-node">${DiagramRenderer.nodeShape(node)}${DiagramRenderer.textElement(DiagramRenderer.labelLines(node.label), node.x, node.y)}</g>`);
+        });
+
+        const loopExtra = layout.loops.length ? 60 : 0;
+        const names = layout.nodes.map(node => DiagramRenderer.labelLines(node.label).join(' '));
+        const title = `Flowchart: ${names.slice(0, 6).join(', ')}${names.length > 6 ? ', …' : ''}`;
+        return DiagramRenderer.svg('flowchart', layout.width + loopExtra, layout.height + (layout.horizontal ? loopExtra : 0), title,
+            `<g class="diagram-edges">${parts.edges.join('')}</g><g class="diagram-nodes">${parts.nodes.join('')}</g><g class="diagram-labels">${parts.labels.join('')}</g>`);
+    }
+
+    // ------------------------------------------------------------------ sequence diagrams
+
+    static parseSequence(lines) {
+        const [, ...body] = lines;
+        const diagram = { participants: new Map(), events: [], autonumber: false };
+        const participant = (id, label = id, kind = 'participant') => {
+            if (!diagram.participants.has(id)) diagram.participants.set(id, { id, label, kind });
+            return id;
+        };
+        const openFrames = [];
+
+        body.forEach(line => {
+            const text = line.text;
+            let match;
+            if (DiagramRenderer.IGNORED.test(text)) return;
+            if (text === 'autonumber') {
+                diagram.autonumber = true;
+            } else if ((match = /^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/.exec(text))) {
+                const id = match[2].trim();
+                participant(id, (match[3] || id).trim(), match[1]);
+                // A later declaration can still rename a participant first seen in a message
+                if (match[3]) diagram.participants.get(id).label = match[3].trim();
+            } else if ((match = /^note\s+(left of|right of|over)\s+([^:,]+?)(?:\s*,\s*([^:]+?))?\s*:\s*(.*)$/i.exec(text))) {
+                const actors = [match[2], match[3]].filter(Boolean).map(id => participant(id.trim()));
+                if (actors.length > 1 && match[1].toLowerCase() !== 'over') throw DiagramRenderer.lineError(line, 'only "Note over" can span two participants');
+                diagram.events.push({ type: 'note', position: match[1].toLowerCase(), actors, text: match[4] });
+            } else if ((match = /^(loop|alt|opt|par|critical|break|rect)\b\s*(.*)$/.exec(text))) {
+                const frame = { type: 'frame-start', kind: match[1], text: match[2] };
+                openFrames.push(frame);
+                diagram.events.push(frame);
+            } else if ((match = /^(else|and|option)\b\s*(.*)$/.exec(text))) {
+                if (!openFrames.length) throw DiagramRenderer.lineError(line, `"${match[1]}" outside of a block`);
+                diagram.events.push({ type: 'frame-section', text: match[2] });
+            } else if (text === 'end') {
+                if (!openFrames.pop()) throw DiagramRenderer.lineError(line, '"end" without a matching block');
+                diagram.events.push({ type: 'frame-end' });
+            } else if ((match = /^(.+?)\s*(-->>|->>|-->|->|--x|-x|--\)|-\))\s*([+-]?)\s*([^:]+?)\s*(?::\s*(.*))?$/.exec(text))) {
+                const token = match[2];
+                diagram.events.push({
+                    type: 'message',
+                    from: participant(match[1].trim()),
+                    to: participant(match[4].trim()),
+                    text: match[5] || '',
+                    dotted: token.startsWith('--'),
+                    head: token.endsWith('>>') ? 'arrow' : token.endsWith('x') ? 'cross' : token.endsWith(')') ? 'async' : 'none'
+                });
+            } else {
+                throw DiagramRenderer.lineError(line, `can't parse "${text}"`);
+            }
+        });
+
+        if (openFrames.length) throw DiagramRenderer.lineError(lines[lines.length - 1], `"${openFrames[openFrames.length - 1].kind}" block is missing "end"`);
+        if (diagram.participants.size === 0) throw DiagramRenderer.lineError(lines[0], 'sequence diagram has no participants');
+        return diagram;
+    }
+
+    static renderSequence(diagram) {
+        const { COLORS, LINE_HEIGHT, round } = DiagramRenderer;
+        const participants = [...diagram.participants.values()];
+        const index = new Map(participants.map((p, i) => [p.id, i]));
+
+        // Column centers: wide enough for boxes, then widened for message and note labels
+        participants.forEach(p => {
+            p.lines = DiagramRenderer.labelLines(p.label);
+            p.w = Math.max(DiagramRenderer.linesWidth(p.lines) + 28, 90);
+        });
+        const centers = [];
+        participants.forEach((p, i) => {
+            centers.push(i === 0 ? p.w / 2 : centers[i - 1] + Math.max(participants[i - 1].w / 2 + p.w / 2 + 30, 120));
+        });
+        const widen = (left, right, needed) => {
+            const deficit = needed - (centers[right] - centers[left]);
+            if (deficit > 0) for (let i = right; i < centers.length; i++) centers[i] += deficit;
+        };
+        let rightExtent = 0;
+        diagram.events.forEach(event => {
+            if (event.type === 'message') {
+                const labelWidth = DiagramRenderer.linesWidth(DiagramRenderer.labelLines(event.text)) + (diagram.autonumber ? 24 : 0);
+                const [a, b] = [index.get(event.from), index.get(event.to)].sort((x, y) => x - y);
+                if (a === b) {
+                    if (a + 1 < centers.length) widen(a, a + 1, labelWidth + 60);
+                    else rightExtent = Math.max(rightExtent, labelWidth + 50);
+                } else {
+                    widen(a, b, labelWidth + 30);
+                }
+            } else if (event.type === 'note') {
+                const noteWidth = DiagramRenderer.linesWidth(DiagramRenderer.labelLines(event.text)) + 20;
+                const i = index.get(event.actors[0]);
+                if (event.position === 'right of') {
+                    if (i + 1 < centers.length) widen(i, i + 1, noteWidth + 30);
+                    else rightExtent = Math.max(rightExtent, noteWidth + 12);
+                } else if (event.position === 'left of' && i > 0) {
+                    widen(i - 1, i, noteWidth + 30);
+                } else if (event.actors.length === 2) {
+                    const [a, b] = event.actors.map(id => index.get(id)).sort((x, y) => x - y);
+                    if (a !== b) widen(a, b, noteWidth - 60);
+                }
+            }
+        });
+
+        const boxHeight = Math.max(...participants.map(p => p.lines.length)) * LINE_HEIGHT + 18;
+        const parts = { frames: [], lifelines: [], events: [], boxes: [] };
+        const frameStack = [];
+        const extend = (minX, maxX) => frameStack.forEach(frame => {
+            frame.minX = Math.min(frame.minX, minX);
+            frame.maxX = Math.max(frame.maxX, maxX);
+        });
+        let y = boxHeight + 24;
+        let number = 0;
+        let minX = 0;
+
+        diagram.events.forEach(event => {
+            if (event.type === 'message') {
+                const lines = DiagramRenderer.labelLines(event.text);
+                const textHeight = event.text ? lines.length * LINE_HEIGHT : 0;
+                const fromX = centers[index.get(event.from)];
+                const toX = centers[index.get(event.to)];
+                const stroke = `stroke="${COLORS.edge}" stroke-width="1.5"${event.dotted ? ' stroke-dasharray="4 4"' : ''}`;
+                const label = diagram.autonumber ? `${++number}. ` : '';
+                if (fromX === toX) {
+                    const labelWidth = DiagramRenderer.linesWidth(lines) + (label ? 24 : 0);
+                    const top = y + textHeight / 2 + 4;
+                    parts.events.push(`<path class="diagram-message" d="M${round(fromX)} ${round(top)}H${round(fromX + 36)}V${round(top + 22)}H${round(fromX + 2)}" fill="none" ${stroke}/>`);
+                    parts.events.push(DiagramRenderer.messageHead(event.head, fromX + 2, top + 22, -1));
+                    if (event.text || label) parts.events.push(DiagramRenderer.textElement(lines.map((text, i) => (i === 0 ? label + text : text)), fromX + 44 + labelWidth / 2, top + 11, 'diagram-message-text'));
+                    extend(fromX, fromX + 48 + labelWidth);
+                    y += textHeight / 2 + 44;
+                } else {
+                    const direction = Math.sign(toX - fromX);
+                    const arrowY = y + textHeight + 4;
+                    parts.events.push(`<line class="diagram-message" x1="${round(fromX)}" y1="${round(arrowY)}" x2="${round(toX - direction * 2)}" y2="${round(arrowY)}" ${stroke}/>`);
+                    parts.events.push(DiagramRenderer.messageHead(event.head, toX - direction * 2, arrowY, direction));
+                    if (event.text || label) {
+                        parts.events.push(DiagramRenderer.textElement(lines.map((text, i) => (i === 0 ? label + text : text)), (fromX + toX) / 2, y + textHeight / 2 - 2, 'diagram-message-text'));
+                    }
+                    extend(Math.min(fromX, toX), Math.max(fromX, toX));
+                    y = arrowY + 18;
+                }
+            } else if (event.type === 'note') {
+                const lines = DiagramRenderer.labelLines(event.text);
+                const w = DiagramRenderer.linesWidth(lines) + 20;
+                const h = lines.length * LINE_HEIGHT + 12;
+                const positions = event.actors.map(id => centers[index.get(id)]);
+                let left;
+                let width = w;
+                if (event.position === 'right of') {
+                    left = positions[0] + 10;
+                } else if (event.position === 'left of') {
+                    left = positions[0] - 10 - w;
+                } else {
+                    const span = [Math.min(...positions) - 40, Math.max(...positions) + 40];
+                    width = Math.max(w, span[1] - span[0]);
+                    left = (span[0] + span[1]) / 2 - width / 2;
+                }
+                parts.events.push(`<rect class="diagram-note" x="${round(left)}" y="${round(y)}" width="${round(width)}" height="${round(h)}" fill="${COLORS.noteFill}" stroke="${COLORS.noteStroke}"/>`);
+                parts.events.push(DiagramRenderer.textElement(lines, left + width / 2, y + h / 2, 'diagram-note-text'));
+                extend(left, left + width);
+                minX = Math.min(minX, left);
+                rightExtent = Math.max(rightExtent, left + width - centers[centers.length - 1]);
+                y += h + 14;
+            } else if (event.type === 'frame-start') {
+                const frame = { kind: event.kind, text: event.text, top: y, sections: [], minX: Infinity, maxX: -Infinity, inner: 0 };
+                frameStack.push(frame);
+                y += 32;
+            } else if (event.type === 'frame-section') {
+                frameStack[frameStack.length - 1].sections.push({ y, text: event.text });
+                y += 28;
+            } else if (event.type === 'frame-end') {
+                const frame = frameStack.pop();
+                frame.bottom = y;
+                y += 14;
+                const parent = frameStack[frameStack.length - 1];
+                if (parent) parent.inner = Math.max(parent.inner, frame.inner + 1);
+                // Frames with no messages span every participant; nested frames sit inside their parents
+                if (frame.minX === Infinity) {
+                    frame.minX = centers[0];
+                    frame.maxX = centers[centers.length - 1];
+                }
+                const pad = 24 + frame.inner * 10;
+                const tabWidth = DiagramRenderer.textWidth(frame.kind) + 16;
+                const conditionWidth = frame.text ? DiagramRenderer.textWidth(`[${frame.text}]`) + 12 : 0;
+                frame.left = frame.minX - pad;
+                frame.right = Math.max(frame.maxX + pad, frame.left + tabWidth + conditionWidth + 12);
+                extend(frame.left, frame.right);
+                minX = Math.min(minX, frame.left);
+                rightExtent = Math.max(rightExtent, frame.right - centers[centers.length - 1]);
+                parts.frames.push(DiagramRenderer.sequenceFrame(frame, tabWidth));
+            }
+        });
+
+        const lifelineEnd = y + 6;
+        participants.forEach((p, i) => {
+            const x = centers[i];
+            parts.lifelines.push(`<line class="diagram-lifeline" x1="${round(x)}" y1="${round(boxHeight)}" x2="${round(x)}" y2="${round(lifelineEnd)}" stroke="${COLORS.frameStroke}" stroke-dasharray="3 3"/>`);
+            [0, lifelineEnd].forEach(top => parts.boxes.push(DiagramRenderer.participantBox(p, x, top, boxHeight)));
+        });
+
+        const left = Math.min(minX, centers[0] - participants[0].w / 2);
+        const right = centers[centers.length - 1] + Math.max(participants[participants.length - 1].w / 2, rightExtent);
+        const width = right - left;
+        const height = lifelineEnd + boxHeight;
+        const title = `Sequence diagram: ${participants.map(p => p.lines.join(' ')).join(', ')}`;
+        return DiagramRenderer.svg('sequence', width, height, title,
+            `<g transform="translate(${round(-left)} 0)">${parts.frames.join('')}${parts.lifelines.join('')}${parts.events.join('')}${parts.boxes.join('')}</g>`);
+    }
+
+    static messageHead(head, x, y, direction) {
+        const { COLORS, round } = DiagramRenderer;
+        switch (head) {
+            case 'arrow':
+                return DiagramRenderer.arrowhead(x, y, direction, 0);
+            case 'async':
+                return `<path class="diagram-arrow" d="M${round(x - direction * 9)} ${round(y - 5)}L${round(x)} ${round(y)}L${round(x - direction * 9)} ${round(y + 5)}" fill="none" stroke="${COLORS.edge}" stroke-width="1.5"/>`;
+            case 'cross':
+                return `<path class="diagram-arrow" d="M${round(x - 5 - direction * 4)} ${round(y - 5)}l10 10M${round(x - 5 - direction * 4)} ${round(y + 5)}l10 -10" stroke="${COLORS.edge}" stroke-width="1.5"/>`;
+            default:
+                return '';
+        }
+    }
+
+    static participantBox(participant, x, top, height) {
+        const { COLORS, round } = DiagramRenderer;
+        const textY = top + height / 2;
+        if (participant.kind === 'actor') {
+            // A stick figure above the name
+            const headY = top + 6;
+            const figure = `<g class="diagram-actor" fill="none" stroke="${COLORS.nodeStroke}" stroke-width="1.5">`
+                + `<circle cx="${round(x)}" cy="${round(headY)}" r="5"/>`
+                + `<path d="M${round(x)} ${round(headY + 5)}v9M${round(x - 8)} ${round(headY + 8)}h16M${round(x)} ${round(headY + 14)}l-7 8M${round(x)} ${round(headY + 14)}l7 8"/></g>`;
+            return figure + DiagramRenderer.textElement(participant.lines, x, textY + 12, 'diagram-participant-text');
+        }
+        return `<g class="diagram-participant"><rect class="diagram-shape" x="${round(x - participant.w / 2)}" y="${round(top)}" width="${round(participant.w)}" height="${round(height)}" rx="3" fill="${COLORS.nodeFill}" stroke="${COLORS.nodeStroke}" stroke-width="1.5"/>`
+            + `${DiagramRenderer.textElement(participant.lines, x, textY, 'diagram-participant-text')}</g>`;
+    }
+
+    static sequenceFrame(frame, tabWidth) {
+        const { COLORS, round } = DiagramRenderer;
+        const { left, right, top, bottom } = frame;
+        const tabHeight = 20;
+        const stroke = `stroke="${COLORS.frameStroke}" stroke-width="1"`;
+        let svg = `<g class="diagram-frame"><rect x="${round(left)}" y="${round(top)}" width="${round(right - left)}" height="${round(bottom - top)}" fill="none" ${stroke}/>`
+            + `<path d="M${round(left)} ${round(top + tabHeight)}H${round(left + tabWidth - 6)}L${round(left + tabWidth)} ${round(top + tabHeight - 6)}V${round(top)}" fill="${COLORS.labelFill}" ${stroke}/>`
+            + `<text class="diagram-frame-kind" x="${round(left + tabWidth / 2 - 2)}" y="${round(top + tabHeight / 2)}" font-weight="bold" fill="${COLORS.text}">${DiagramRenderer.escapeXml(frame.kind)}</text>`;
+        if (frame.text) {
+            svg += `<text class="diagram-frame-text" x="${round(left + tabWidth + 8)}" y="${round(top + tabHeight / 2)}" text-anchor="start" fill="${COLORS.text}">[${DiagramRenderer.escapeXml(frame.text)}]</text>`;
+        }
+        frame.sections.forEach(section => {
+            svg += `<line x1="${round(left)}" y1="${round(section.y)}" x2="${round(right)}" y2="${round(section.y)}" ${stroke} stroke-dasharray="4 3"/>`;
+            if (section.text) {
+                svg += `<text class="diagram-frame-text" x="${round((left + right) / 2)}" y="${round(section.y + 12)}" fill="${COLORS.text}">[${DiagramRenderer.escapeXml(section.text)}]</text>`;
+            }
+        });
+        return `${svg}</g>`;
+    }
+}
+
+// Export the class for Node build scripts; in the browser it's used as a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiagramRenderer;
+}
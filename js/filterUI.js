@@ -1,37 +1,233 @@
 // filterUI.js - Minimalist post filtering system
+// The filter state lives in the URL (/posts?q=aws&tags=serverless,security&sort=oldest&view=list)
+// so filtered listings can be shared and survive reloads and back/forward.
+// Tags are matched case-insensitively, merged through site.json's tagAliases, and "aws/lambda"
+// style tags form a tree where selecting "aws" also matches everything under it. Facets narrow
+// the list by date (year or month), category and whether a post has a gallery.
 
 class PostFilterUI {
+    // Sort order -> label in the sort select
+    static SORTS = {
+        relevance: 'Relevance',
+        newest: 'Newest',
+        oldest: 'Oldest',
+        updated: 'Recently updated',
+        featured: 'Featured first',
+        title: 'Title (A-Z)',
+        'reading-time': 'Quickest read'
+    };
+    static SORT_ORDERS = Object.keys(PostFilterUI.SORTS);
+    // Category (the post's category field) -> label in the category select
+    static CATEGORIES = { tutorial: 'Tutorials', project: 'Projects', 'write-up': 'Write-ups' };
+    static VIEW_MODES = ['grid', 'list'];
+    // Whether posts need any or all of the selected tags
+    static TAG_MATCHES = ['any', 'all'];
+    // The last grid/list choice, used when the URL doesn't say
+    static VIEW_STORAGE_KEY = 'postsView';
+
     constructor() {
         this.posts = [];
         this.filteredPosts = [];
+        // Full-text matches for the current search term: post id -> { score, snippet }
+        this.searchResults = new Map();
+        // Posts left after the search, before tag filters (the base for tag counts)
+        this.searchedPosts = [];
+        // Posts left after the search and tag filters, before facets (the base for facet counts)
+        this.taggedPosts = [];
+        // Canonical tag names, including parents of hierarchical tags
         this.allTags = [];
+        // Normalized spelling -> normalized canonical spelling, from site.json tagAliases
+        this.tagAliases = new Map();
+        // Normalized spelling -> canonical tag name
+        this.tagNames = new Map();
+        // Post id -> Set of its canonical tags and their parents
+        this.postTags = new Map();
+        // Canonical tag -> its parent's canonical name (null at the top level)
+        this.tagParents = new Map();
         this.filterState = {
             searchTerm: '',
             selectedTags: [],
+            excludedTags: [],
+            tagMatch: 'any',
+            // Facets: 'YYYY' or 'YYYY-MM', a category, posts with a gallery only
+            date: '',
+            category: '',
+            hasGallery: false,
             sortOrder: 'newest',
-            viewMode: 'grid'
+            viewMode: this.loadViewMode(),
+            // Numbered pagination only; any filter change goes back to page 1
+            page: 1
         };
+        // Called with (filteredPosts, filterState) when the filters change; set by setupListeners
+        this.onFilterChange = null;
         // Cache for filter UI HTML to avoid rebuilding
         this.uiCache = null;
         this.lastFilterKey = '';
     }
 
-    // Initialize with posts data
-    init(posts) {
+    // Initialize with posts data; tagAliases is site.json's { canonical: [other spellings] }
+    init(posts, { tagAliases = {} } = {}) {
         this.posts = posts;
-        this.extractAllTags();
+        this.tagAliases = new Map();
+        Object.entries(tagAliases).forEach(([canonical, spellings]) => {
+            spellings.forEach(spelling => this.tagAliases.set(this.tagKey(spelling), this.tagKey(canonical)));
+        });
+        this.extractAllTags(tagAliases);
+        this.lastFilterKey = ''; // Invalidate cache
         this.filterAndSortPosts();
     }
 
-    // Extract unique tags from posts
-    extractAllTags() {
-        const tagSet = new Set();
+    // Spelling-insensitive key for a tag ("Node.js " and "node.js" match), before aliases
+    tagKey(tag) {
+        return String(tag).toLowerCase().split('/').map(part => part.trim().replace(/\s+/g, ' ')).filter(Boolean).join('/');
+    }
+
+    // Canonical name of a tag as the filter shows it, or null if no post uses it
+    normalizeTag(tag) {
+        const key = this.tagKey(tag);
+        return this.tagNames.get(this.tagAliases.get(key) || key) || null;
+    }
+
+    // Extract unique tags from posts, merging spellings and adding hierarchy parents
+    extractAllTags(tagAliases = {}) {
+        // Key -> Map of spelling -> uses; the most used spelling names the tag
+        const spellings = new Map();
+        const postKeys = new Map();
         this.posts.forEach(post => {
-            if (post.tags && Array.isArray(post.tags)) {
-                post.tags.forEach(tag => tagSet.add(tag));
-            }
+            const keys = new Set();
+            (Array.isArray(post.tags) ? post.tags : []).forEach(tag => {
+                const spelled = this.tagKey(tag);
+                const key = this.tagAliases.get(spelled) || spelled;
+                if (!key) return;
+                if (key === spelled) {
+                    const uses = spellings.get(key) || new Map();
+                    uses.set(tag.trim(), (uses.get(tag.trim()) || 0) + 1);
+                    spellings.set(key, uses);
+                }
+                // aws/lambda is also tagged aws
+                key.split('/').forEach((part, index, parts) => keys.add(parts.slice(0, index + 1).join('/')));
+            });
+            postKeys.set(post.id, keys);
+        });
+
+        // Aliased tags are named as written in site.json
+        const names = new Map(Object.keys(tagAliases).map(canonical => [this.tagKey(canonical), canonical.trim()]));
+        const allKeys = new Set([...postKeys.values()].flatMap(keys => [...keys]));
+        const nameOf = key => {
+            if (names.has(key)) return names.get(key);
+            const uses = spellings.get(key);
+            if (uses) return [...uses].reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+            // A parent no post uses on its own takes its spelling from a child
+            const child = [...allKeys].find(other => other.startsWith(`${key}/`));
+            return nameOf(child).split('/').slice(0, key.split('/').length).join('/');
+        };
+
+        this.tagNames = new Map([...allKeys].map(key => [key, nameOf(key)]));
+        this.tagParents = new Map([...allKeys].map(key => [
+            this.tagNames.get(key),
+            key.includes('/') ? this.tagNames.get(key.replace(/\/[^/]*$/, '')) : null
+        ]));
+        this.postTags = new Map([...postKeys].map(([id, keys]) => [id, new Set([...keys].map(key => this.tagNames.get(key)))]));
+        this.allTags = [...this.tagNames.values()].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+    }
+
+    // Parents of a hierarchical tag, nearest first
+    tagAncestors(tag) {
+        const ancestors = [];
+        for (let parent = this.tagParents.get(tag); parent; parent = this.tagParents.get(parent)) {
+            ancestors.push(parent);
+        }
+        return ancestors;
+    }
+
+    hasTag(post, tag) {
+        return this.postTags.get(post.id)?.has(tag) || false;
+    }
+
+    /**
+     * Posts per tag for the tag menu, given the search and the other tag filters:
+     * in "any" mode, the matching posts that have the tag; in "all" mode, how many
+     * would be left with the tag added. An excluded tag counts the posts it hides.
+     */
+    getTagCounts() {
+        const { selectedTags, excludedTags, tagMatch } = this.filterState;
+        const counts = new Map(this.allTags.map(tag => [tag, 0]));
+        this.searchedPosts.filter(post => this.matchesFacets(post)).forEach(post => {
+            const tags = this.postTags.get(post.id) || new Set();
+            const hiddenBy = excludedTags.filter(tag => tags.has(tag));
+            hiddenBy.forEach(tag => counts.set(tag, counts.get(tag) + 1));
+            if (hiddenBy.length > 0) return;
+            if (tagMatch === 'all' && !selectedTags.every(tag => tags.has(tag))) return;
+            tags.forEach(tag => counts.set(tag, counts.get(tag) + 1));
+        });
+        return counts;
+    }
+
+    // Every post of each tag, in the posts' order, ignoring the filters (for the tag pages)
+    getPostsByTag() {
+        const postsByTag = new Map(this.allTags.map(tag => [tag, []]));
+        this.posts.forEach(post => {
+            (this.postTags.get(post.id) || new Set()).forEach(tag => postsByTag.get(tag).push(post));
+        });
+        return postsByTag;
+    }
+
+    // Index entries say hasGallery; posts from the legacy posts.json carry the gallery itself
+    postHasGallery(post) {
+        return post.hasGallery ?? Boolean(post.gallery?.length || post.images?.gallery?.length);
+    }
+
+    // Whether a post passes the facets, optionally ignoring one ('date', 'category' or 'gallery')
+    matchesFacets(post, except = null) {
+        const { date, category, hasGallery } = this.filterState;
+        return (except === 'date' || !date || String(post.date).startsWith(date))
+            && (except === 'category' || !category || post.category === category)
+            && (except === 'gallery' || !hasGallery || this.postHasGallery(post));
+    }
+
+    /**
+     * Options for the facet selects, with how many posts each would leave given every
+     * other filter: { dates: [{ value, label, count }], categories: [...], galleryCount }
+     */
+    getFacetOptions() {
+        const countBy = (facet, keysOf) => {
+            const counts = new Map();
+            this.taggedPosts.filter(post => this.matchesFacets(post, facet)).forEach(post => {
+                keysOf(post).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+            });
+            return counts;
+        };
+        const dateCounts = countBy('date', post => {
+            const match = /^(\d{4})-(\d{2})/.exec(post.date || '');
+            return match ? [match[1], `${match[1]}-${match[2]}`] : [];
         });
-        this.allTags = Array.from(tagSet).sort();
+        const categoryCounts = countBy('category', post => post.category ? [post.category] : []);
+        const galleryCounts = countBy('gallery', post => this.postHasGallery(post) ? ['gallery'] : []);
+
+        // Newest year first, each followed by its months
+        const dates = [...new Set(this.posts.flatMap(post => {
+            const match = /^(\d{4})-(\d{2})/.exec(post.date || '');
+            return match ? [match[1], `${match[1]}-${match[2]}`] : [];
+        }))].sort((a, b) => b.slice(0, 4).localeCompare(a.slice(0, 4)) || a.length - b.length || b.localeCompare(a)).map(value => {
+            const [year, month] = value.split('-').map(Number);
+            const label = month
+                ? `\u00a0\u00a0${new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, { month: 'long', timeZone: 'UTC' })}`
+                : String(year);
+            return { value, label, count: dateCounts.get(value) || 0 };
+        });
+        const categories = [...new Set(this.posts.map(post => post.category).filter(Boolean))].sort().map(value => ({
+            value,
+            label: PostFilterUI.CATEGORIES[value] || value,
+            count: categoryCounts.get(value) || 0
+        }));
+
+        return { dates, categories, galleryCount: galleryCounts.get('gallery') || 0 };
+    }
+
+    // Whether anything narrows the list (the clear button shows then)
+    hasActiveFilters() {
+        const { searchTerm, selectedTags, excludedTags, date, category, hasGallery } = this.filterState;
+        return Boolean(searchTerm || selectedTags.length || excludedTags.length || date || category || hasGallery);
     }
 
     // Filter and sort posts
@@ -40,6 +236,11 @@ class PostFilterUI {
         const filterKey = JSON.stringify({
             search: this.filterState.searchTerm,
             tags: this.filterState.selectedTags.sort(),
+            excluded: this.filterState.excludedTags.sort(),
+            match: this.filterState.tagMatch,
+            date: this.filterState.date,
+            category: this.filterState.category,
+            gallery: this.filterState.hasGallery,
             sort: this.filterState.sortOrder
         });
         
@@ -50,9 +251,15 @@ class PostFilterUI {
         
         this.lastFilterKey = filterKey;
         let result = [...this.posts];
+        this.searchResults = new Map();
         
-        // Apply search filter
-        if (this.filterState.searchTerm) {
+        // Apply search filter: full-text index when loaded, simple matching otherwise
+        if (this.filterState.searchTerm && window.postSearch?.isReady()) {
+            window.postSearch.search(this.filterState.searchTerm).forEach(match => {
+                this.searchResults.set(match.id, match);
+            });
+            result = result.filter(post => this.searchResults.has(post.id));
+        } else if (this.filterState.searchTerm) {
             const searchLower = this.filterState.searchTerm.toLowerCase();
             result = result.filter(post => {
                 const titleMatch = post.title.toLowerCase().includes(searchLower);
@@ -62,68 +269,147 @@ class PostFilterUI {
             });
         }
         
-        // Apply tag filter
-        if (this.filterState.selectedTags.length > 0) {
-            result = result.filter(post => {
-                return post.tags && this.filterState.selectedTags.some(tag => post.tags.includes(tag));
-            });
+        this.searchedPosts = result;
+
+        // Apply tag filters
+        const { selectedTags, excludedTags, tagMatch } = this.filterState;
+        if (excludedTags.length > 0) {
+            result = result.filter(post => !excludedTags.some(tag => this.hasTag(post, tag)));
         }
+        if (selectedTags.length > 0) {
+            result = result.filter(post => tagMatch === 'all'
+                ? selectedTags.every(tag => this.hasTag(post, tag))
+                : selectedTags.some(tag => this.hasTag(post, tag)));
+        }
+        
+        this.taggedPosts = result;
+        result = result.filter(post => this.matchesFacets(post));
         
-        // Apply sort
-        if (this.filterState.sortOrder === 'newest') {
-            result.sort((a, b) => new Date(b.date) - new Date(a.date));
-        } else {
-            result.sort((a, b) => new Date(a.date) - new Date(b.date));
+        // Apply sort on top of newest first, which breaks ties since sorting is stable
+        // (relevance only ranks full-text matches)
+        const time = date => new Date(date).getTime() || 0;
+        const featuredRank = post => post.pinned ? 2 : post.featured ? 1 : 0;
+        const compare = {
+            oldest: (a, b) => time(a.date) - time(b.date),
+            updated: (a, b) => time(b.updated || b.date) - time(a.updated || a.date),
+            featured: (a, b) => featuredRank(b) - featuredRank(a),
+            title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }),
+            'reading-time': (a, b) => (a.readingTime ?? Number.MAX_SAFE_INTEGER) - (b.readingTime ?? Number.MAX_SAFE_INTEGER),
+            relevance: this.searchResults.size > 0
+                ? (a, b) => this.searchResults.get(b.id).score - this.searchResults.get(a.id).score
+                : null
+        }[this.filterState.sortOrder];
+        result.sort((a, b) => time(b.date) - time(a.date));
+        if (compare) {
+            result.sort(compare);
         }
         
         this.filteredPosts = result;
         return result;
     }
 
-    // Build minimalist filter UI HTML
-    buildUI() {
-        const tagCheckboxes = this.allTags.map(tag => {
-            const isChecked = this.filterState.selectedTags.includes(tag);
+    // Tag menu rows under a parent tag (null for the top level); a branch starts
+    // collapsed unless a tag inside it is selected or excluded
+    buildTagRows(counts, parent = null) {
+        const { selectedTags, excludedTags } = this.filterState;
+        const escape = HtmlSanitizer.escapeHtml;
+        return this.allTags.filter(tag => this.tagParents.get(tag) === parent).map(tag => {
+            const children = this.buildTagRows(counts, tag);
+            const excluded = excludedTags.includes(tag);
+            const open = [...selectedTags, ...excludedTags].some(picked => this.tagAncestors(picked).includes(tag));
+            const name = parent ? tag.slice(parent.length + 1) : tag;
             return `
-                <label class="tag-dropdown-item">
-                    <input type="checkbox" value="${tag}" ${isChecked ? 'checked' : ''}>
-                    <span>${tag}</span>
-                </label>
+                <div class="tag-dropdown-row${excluded ? ' is-excluded' : ''}" data-tag="${escape(tag)}">
+                    ${children
+                        ? `<button type="button" class="tag-tree-toggle" aria-expanded="${open}" aria-label="Tags under ${escape(tag)}">▸</button>`
+                        : '<span class="tag-tree-toggle"></span>'}
+                    <label class="tag-dropdown-item">
+                        <input type="checkbox" value="${escape(tag)}" ${selectedTags.includes(tag) ? 'checked' : ''}>
+                        <span>${escape(name)}</span>
+                        <span class="tag-count">${counts.get(tag)}</span>
+                    </label>
+                    <button type="button" class="tag-exclude-btn" aria-pressed="${excluded}" title="Hide posts tagged ${escape(tag)}">⊘</button>
+                </div>
+                ${children ? `<div class="tag-tree-children"${open ? '' : ' hidden'}>${children}</div>` : ''}
             `;
         }).join('');
-        
-        const selectedCount = this.filterState.selectedTags.length;
-        let tagButtonText;
-        if (selectedCount === 0) {
-            tagButtonText = 'Tags';
-        } else if (selectedCount === 1) {
-            tagButtonText = this.filterState.selectedTags[0];
-        } else {
-            tagButtonText = `Tags (${selectedCount})`;
-        }
-        
+    }
+
+    // <option>s for a facet select: "any" first, then each value with its post count
+    buildFacetOptions(anyLabel, options, selected) {
+        const escape = HtmlSanitizer.escapeHtml;
+        return [`<option value="">${escape(anyLabel)}</option>`, ...options.map(({ value, label, count }) => `
+            <option value="${escape(value)}" ${value === selected ? 'selected' : ''}>${escape(label)} (${count})</option>
+        `)].join('');
+    }
+
+    countTitle() {
+        return `${this.filteredPosts.length} of ${this.posts.length} posts shown`;
+    }
+
+    tagButtonText() {
+        const { selectedTags, excludedTags } = this.filterState;
+        const count = selectedTags.length + excludedTags.length;
+        if (count === 0) return 'Tags';
+        if (count === 1) return selectedTags[0] || `not ${excludedTags[0]}`;
+        return `Tags (${count})`;
+    }
+
+    // Build minimalist filter UI HTML
+    buildUI() {
+        const { selectedTags, excludedTags, tagMatch } = this.filterState;
+        const hasTagFilter = selectedTags.length + excludedTags.length > 0;
+        const facets = this.getFacetOptions();
+        const matchOption = (value, label) => `
+            <label><input type="radio" name="filter-tag-match" value="${value}" ${tagMatch === value ? 'checked' : ''}> ${label}</label>
+        `;
+
         return `
             <div class="filter-bar">
                 <input 
                     type="text" 
                     id="filter-search" 
                     placeholder="Search..." 
-                    value="${this.filterState.searchTerm}"
+                    value="${HtmlSanitizer.escapeHtml(this.filterState.searchTerm)}"
                 />
                 
                 <div class="filter-tags-dropdown">
-                    <button id="filter-tags-btn" class="${selectedCount > 0 ? 'has-selection' : ''}">
-                        <span class="tag-btn-text">${tagButtonText}</span>
+                    <button id="filter-tags-btn" class="${hasTagFilter ? 'has-selection' : ''}">
+                        <span class="tag-btn-text">${HtmlSanitizer.escapeHtml(this.tagButtonText())}</span>
                         <span class="tag-btn-arrow">▾</span>
                     </button>
                     <div id="filter-tags-menu" class="filter-tags-menu">
-                        ${tagCheckboxes}
+                        <div class="tag-match-toggle" role="radiogroup" aria-label="Posts need">
+                            ${matchOption('any', 'Any tag')}
+                            ${matchOption('all', 'All tags')}
+                        </div>
+                        ${this.buildTagRows(this.getTagCounts())}
                     </div>
                 </div>
                 
-                <select id="filter-sort">
-                    <option value="newest" ${this.filterState.sortOrder === 'newest' ? 'selected' : ''}>Newest</option>
-                    <option value="oldest" ${this.filterState.sortOrder === 'oldest' ? 'selected' : ''}>Oldest</option>
+                ${facets.dates.length > 0 ? `
+                    <select id="filter-date" class="filter-facet" aria-label="Date">
+                        ${this.buildFacetOptions('Any date', facets.dates, this.filterState.date)}
+                    </select>
+                ` : ''}
+                
+                ${facets.categories.length > 0 ? `
+                    <select id="filter-category" class="filter-facet" aria-label="Category">
+                        ${this.buildFacetOptions('All types', facets.categories, this.filterState.category)}
+                    </select>
+                ` : ''}
+                
+                ${this.posts.some(post => this.postHasGallery(post)) ? `
+                    <label class="filter-gallery-toggle">
+                        <input type="checkbox" id="filter-gallery" ${this.filterState.hasGallery ? 'checked' : ''}>
+                        <span>Gallery (<span class="facet-count">${facets.galleryCount}</span>)</span>
+                    </label>
+                ` : ''}
+                
+                <select id="filter-sort" aria-label="Sort">
+                    ${Object.entries(PostFilterUI.SORTS).map(([value, label]) => `
+                        <option value="${value}" ${this.filterState.sortOrder === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
                 </select>
                 
                 <div class="filter-view-toggle">
@@ -131,22 +417,112 @@ class PostFilterUI {
                     <button id="filter-list-btn" class="${this.filterState.viewMode === 'list' ? 'active' : ''}" title="List View">☰</button>
                 </div>
                 
-                ${this.filterState.searchTerm || this.filterState.selectedTags.length > 0 ? 
+                ${this.hasActiveFilters() ? 
                     '<button id="filter-clear" title="Clear filters">✕</button>' : ''}
                 
-                <span class="filter-count">${this.filteredPosts.length}/${this.posts.length}</span>
+                <span class="filter-count" title="${this.countTitle()}">${this.filteredPosts.length}/${this.posts.length}</span>
             </div>
         `;
     }
 
+    loadViewMode() {
+        try {
+            const stored = localStorage.getItem(PostFilterUI.VIEW_STORAGE_KEY);
+            return PostFilterUI.VIEW_MODES.includes(stored) ? stored : 'grid';
+        } catch (error) {
+            // Storage can be blocked (private browsing, cookies disabled)
+            return 'grid';
+        }
+    }
+
+    // Switch grid/list and remember it for later visits
+    setViewMode(viewMode) {
+        this.filterState.viewMode = viewMode;
+        try {
+            localStorage.setItem(PostFilterUI.VIEW_STORAGE_KEY, viewMode);
+        } catch (error) {
+            // Still applies for this visit
+        }
+        this.updateViewButtons();
+    }
+
+    // Searches rank by relevance unless another order is picked
+    defaultSortOrder() {
+        return this.filterState.searchTerm.trim() ? 'relevance' : 'newest';
+    }
+
+    /**
+     * Replace the whole filter state from URL params: q, tags and exclude (comma-separated;
+     * the older single "tag" is still read), match, date, category, gallery, sort, view and page.
+     * Anything missing or unknown gets its default.
+     */
+    setStateFromParams(params) {
+        const tagList = value => [...new Set((value || '').split(',').map(tag => this.normalizeTag(tag)).filter(Boolean))];
+        const excludedTags = tagList(params.get('exclude'));
+        const tagMatch = params.get('match');
+        const sortOrder = params.get('sort');
+        const viewMode = params.get('view');
+
+        this.filterState.searchTerm = params.get('q') || '';
+        this.filterState.selectedTags = tagList(params.get('tags') ?? params.get('tag')).filter(tag => !excludedTags.includes(tag));
+        this.filterState.excludedTags = excludedTags;
+        this.filterState.tagMatch = PostFilterUI.TAG_MATCHES.includes(tagMatch) ? tagMatch : 'any';
+        this.filterState.date = /^\d{4}(-(0[1-9]|1[0-2]))?$/.test(params.get('date') || '') ? params.get('date') : '';
+        this.filterState.category = this.posts.some(post => post.category && post.category === params.get('category')) ? params.get('category') : '';
+        this.filterState.hasGallery = params.get('gallery') === '1';
+        this.filterState.sortOrder = PostFilterUI.SORT_ORDERS.includes(sortOrder) ? sortOrder : this.defaultSortOrder();
+        this.filterState.viewMode = PostFilterUI.VIEW_MODES.includes(viewMode) ? viewMode : this.loadViewMode();
+        this.filterState.page = /^[1-9]\d*$/.test(params.get('page') || '') ? Number(params.get('page')) : 1;
+        this.lastFilterKey = ''; // Invalidate cache
+        this.filterAndSortPosts();
+    }
+
+    /**
+     * URL params for the current state, leaving out anything at its default
+     */
+    toParams() {
+        const { searchTerm, selectedTags, excludedTags, tagMatch, date, category, hasGallery, sortOrder, viewMode, page } = this.filterState;
+        const params = new URLSearchParams();
+        if (searchTerm.trim()) params.set('q', searchTerm);
+        if (selectedTags.length > 0) params.set('tags', selectedTags.join(','));
+        if (excludedTags.length > 0) params.set('exclude', excludedTags.join(','));
+        if (tagMatch !== 'any') params.set('match', tagMatch);
+        if (date) params.set('date', date);
+        if (category) params.set('category', category);
+        if (hasGallery) params.set('gallery', '1');
+        if (sortOrder !== this.defaultSortOrder()) params.set('sort', sortOrder);
+        if (viewMode !== 'grid') params.set('view', viewMode);
+        if (page > 1) params.set('page', page);
+        return params;
+    }
+
+    /**
+     * Write the state to the URL. Each change gets a history entry, except while
+     * typing a search, which only adds one when the search starts.
+     */
+    updateUrl({ replace = false } = {}) {
+        window.router?.setParams(this.toParams(), { replace });
+    }
+
     // Setup event listeners
     setupListeners(onFilterChange) {
+        this.onFilterChange = onFilterChange;
+
         // Search input
         const searchInput = document.getElementById('filter-search');
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
+                const wasSearching = this.filterState.searchTerm.trim() !== '';
                 this.filterState.searchTerm = e.target.value;
-                this.applyFilters(onFilterChange);
+                const isSearching = this.filterState.searchTerm.trim() !== '';
+                
+                // Rank by relevance while searching, back to newest once the search is cleared
+                if (!wasSearching && isSearching && this.filterState.sortOrder === 'newest') {
+                    this.setSortOrder('relevance');
+                } else if (wasSearching && !isSearching && this.filterState.sortOrder === 'relevance') {
+                    this.setSortOrder('newest');
+                }
+                this.applyFilters(onFilterChange, { replace: wasSearching });
             });
         }
         
@@ -162,39 +538,18 @@ class PostFilterUI {
                 tagMenu.classList.toggle('show', !isOpen);
             });
             
-            // Handle checkbox changes
-            const checkboxes = tagMenu.querySelectorAll('input[type="checkbox"]');
-            checkboxes.forEach(checkbox => {
-                checkbox.addEventListener('change', (e) => {
-                    e.stopPropagation();
-                    const tag = checkbox.value;
-                    
-                    if (checkbox.checked) {
-                        if (!this.filterState.selectedTags.includes(tag)) {
-                            this.filterState.selectedTags.push(tag);
-                        }
-                    } else {
-                        this.filterState.selectedTags = this.filterState.selectedTags.filter(t => t !== tag);
-                    }
-                    
-                    // Update button text
-                    const count = this.filterState.selectedTags.length;
-                    let buttonText;
-                    if (count === 0) {
-                        buttonText = 'Tags';
-                    } else if (count === 1) {
-                        buttonText = this.filterState.selectedTags[0];
-                    } else {
-                        buttonText = `Tags (${count})`;
-                    }
-                    const textSpan = tagBtn.querySelector('.tag-btn-text');
-                    if (textSpan) {
-                        textSpan.textContent = buttonText;
-                    }
-                    tagBtn.classList.toggle('has-selection', count > 0);
-                    
-                    this.applyFilters(onFilterChange);
-                });
+            // Tag checkboxes and the any/all switch
+            tagMenu.addEventListener('change', (e) => {
+                e.stopPropagation();
+                const input = e.target;
+                if (input.name === 'filter-tag-match') {
+                    this.filterState.tagMatch = input.value;
+                } else if (input.type === 'checkbox') {
+                    this.setTagFilter(input.value, input.checked ? 'selectedTags' : null);
+                } else {
+                    return;
+                }
+                this.applyFilters(onFilterChange);
             });
             
             // Close dropdown when clicking outside
@@ -204,9 +559,38 @@ class PostFilterUI {
                 }
             });
             
-            // Prevent dropdown from closing when clicking inside
+            // Exclude buttons and tree branches; clicks inside don't close the dropdown
             tagMenu.addEventListener('click', (e) => {
                 e.stopPropagation();
+                const excludeBtn = e.target.closest('.tag-exclude-btn');
+                const branchBtn = e.target.closest('button.tag-tree-toggle');
+                if (excludeBtn) {
+                    const tag = excludeBtn.closest('.tag-dropdown-row').dataset.tag;
+                    this.setTagFilter(tag, this.filterState.excludedTags.includes(tag) ? null : 'excludedTags');
+                    this.applyFilters(onFilterChange);
+                } else if (branchBtn) {
+                    const expanded = branchBtn.getAttribute('aria-expanded') !== 'true';
+                    branchBtn.setAttribute('aria-expanded', expanded);
+                    branchBtn.closest('.tag-dropdown-row').nextElementSibling.hidden = !expanded;
+                }
+            });
+        }
+        
+        // Facets
+        [['filter-date', 'date'], ['filter-category', 'category']].forEach(([id, facet]) => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', (e) => {
+                    this.filterState[facet] = e.target.value;
+                    this.applyFilters(onFilterChange);
+                });
+            }
+        });
+        const galleryToggle = document.getElementById('filter-gallery');
+        if (galleryToggle) {
+            galleryToggle.addEventListener('change', (e) => {
+                this.filterState.hasGallery = e.target.checked;
+                this.applyFilters(onFilterChange);
             });
         }
         
@@ -225,16 +609,16 @@ class PostFilterUI {
         
         if (gridBtn) {
             gridBtn.addEventListener('click', () => {
-                this.filterState.viewMode = 'grid';
-                this.updateViewButtons();
+                this.setViewMode('grid');
+                this.updateUrl();
                 onFilterChange(this.filteredPosts, this.filterState);
             });
         }
         
         if (listBtn) {
             listBtn.addEventListener('click', () => {
-                this.filterState.viewMode = 'list';
-                this.updateViewButtons();
+                this.setViewMode('list');
+                this.updateUrl();
                 onFilterChange(this.filteredPosts, this.filterState);
             });
         }
@@ -244,17 +628,118 @@ class PostFilterUI {
         if (clearBtn) {
             clearBtn.addEventListener('click', () => {
                 this.resetFilters();
+                if (searchInput) searchInput.value = '';
+                this.setSortOrder(this.filterState.sortOrder);
+                this.updateFilterBar();
+                this.updateUrl();
                 onFilterChange(this.filteredPosts, this.filterState);
             });
         }
     }
 
-    // Apply filters and trigger callback
-    applyFilters(onFilterChange) {
+    // Select a tag ('selectedTags'), exclude it ('excludedTags') or neither (null)
+    setTagFilter(tag, list) {
+        this.filterState.selectedTags = this.filterState.selectedTags.filter(t => t !== tag);
+        this.filterState.excludedTags = this.filterState.excludedTags.filter(t => t !== tag);
+        if (list) this.filterState[list].push(tag);
+    }
+
+    // Bring the tag button and menu (checks, exclusions, counts) in line with the state
+    updateTagMenu() {
+        const tagBtn = document.getElementById('filter-tags-btn');
+        const tagMenu = document.getElementById('filter-tags-menu');
+        if (!tagBtn || !tagMenu) return;
+
+        const { selectedTags, excludedTags, tagMatch } = this.filterState;
+        tagBtn.querySelector('.tag-btn-text').textContent = this.tagButtonText();
+        tagBtn.classList.toggle('has-selection', selectedTags.length + excludedTags.length > 0);
+        tagMenu.querySelectorAll('input[name="filter-tag-match"]').forEach(radio => {
+            radio.checked = radio.value === tagMatch;
+        });
+
+        const counts = this.getTagCounts();
+        tagMenu.querySelectorAll('.tag-dropdown-row').forEach(row => {
+            const tag = row.dataset.tag;
+            const excluded = excludedTags.includes(tag);
+            row.classList.toggle('is-excluded', excluded);
+            row.querySelector('input[type="checkbox"]').checked = selectedTags.includes(tag);
+            row.querySelector('.tag-exclude-btn').setAttribute('aria-pressed', excluded);
+            row.querySelector('.tag-count').textContent = counts.get(tag);
+        });
+    }
+
+    // Bring the facet selects (choice and counts) and the gallery toggle in line with the state
+    updateFacets() {
+        const facets = this.getFacetOptions();
+        const dateSelect = document.getElementById('filter-date');
+        const categorySelect = document.getElementById('filter-category');
+        const galleryToggle = document.getElementById('filter-gallery');
+        if (dateSelect) {
+            dateSelect.innerHTML = this.buildFacetOptions('Any date', facets.dates, this.filterState.date);
+        }
+        if (categorySelect) {
+            categorySelect.innerHTML = this.buildFacetOptions('All types', facets.categories, this.filterState.category);
+        }
+        if (galleryToggle) {
+            galleryToggle.checked = this.filterState.hasGallery;
+            galleryToggle.parentElement.querySelector('.facet-count').textContent = facets.galleryCount;
+        }
+    }
+
+    // Sync everything in the filter bar that depends on the results
+    updateFilterBar() {
+        this.updateTagMenu();
+        this.updateFacets();
+        const count = document.querySelector('.filter-count');
+        if (count) {
+            count.textContent = `${this.filteredPosts.length}/${this.posts.length}`;
+            count.title = this.countTitle();
+        }
+    }
+
+    // Change sort order and keep the select in sync
+    setSortOrder(sortOrder) {
+        this.filterState.sortOrder = sortOrder;
+        const sortSelect = document.getElementById('filter-sort');
+        if (sortSelect) {
+            sortSelect.value = sortOrder;
+        }
+    }
+
+    // Highlighted full-text snippet for a post in the current results ('' if none)
+    getSnippet(postId) {
+        const match = this.searchResults.get(postId);
+        return match ? match.snippet : '';
+    }
+
+    // Go to a page of the results (numbered pagination)
+    setPage(page) {
+        this.filterState.page = page;
+        this.updateUrl();
+        if (this.onFilterChange) {
+            this.onFilterChange(this.filteredPosts, this.filterState);
+        }
+    }
+
+    // Apply filters, record them in the URL and trigger callback
+    applyFilters(onFilterChange, { replace = false } = {}) {
+        this.filterState.page = 1;
         this.filterAndSortPosts();
+        this.updateFilterBar();
+        this.updateUrl({ replace });
         onFilterChange(this.filteredPosts, this.filterState);
     }
 
+    // Filter again with the same state, e.g. once the full-text index has loaded
+    refresh() {
+        this.lastFilterKey = '';
+        this.filterAndSortPosts();
+        this.updateFilterBar();
+        if (this.onFilterChange) {
+            this.onFilterChange(this.filteredPosts, this.filterState);
+        }
+    }
+
     // Update view button states
     updateViewButtons() {
         const gridBtn = document.getElementById('filter-grid-btn');
@@ -270,7 +755,13 @@ class PostFilterUI {
     resetFilters() {
         this.filterState.searchTerm = '';
         this.filterState.selectedTags = [];
+        this.filterState.excludedTags = [];
+        this.filterState.tagMatch = 'any';
+        this.filterState.date = '';
+        this.filterState.category = '';
+        this.filterState.hasGallery = false;
         this.filterState.sortOrder = 'newest';
+        this.filterState.page = 1;
         this.lastFilterKey = ''; // Invalidate cache
         this.filterAndSortPosts();
     }
@@ -0,0 +1,232 @@
+// highlighter.js - Dependency-free syntax highlighting for code blocks
+//
+// Each language is a list of [tokenType, stickyRegex] rules tried in order at every
+// position; the first match becomes a token. A rule may instead be
+// [tokenType, regex, insideGrammar] to tokenize its match with a nested grammar
+// (used for HTML tags). Text no rule matches is emitted unstyled.
+// Shared by the browser (PostRenderer) and Node build scripts, so pre-rendered pages
+// and feeds get the same markup.
+
+class SyntaxHighlighter {
+    static JS_KEYWORDS = 'async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|get|if|import|in|instanceof|let|new|of|return|set|static|switch|throw|try|typeof|var|void|while|with|yield';
+
+    static JS_RULES = [
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+        ['string', /`(?:\\[\s\S]|[^\\`])*`?|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y],
+        ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?n?)\b|\.\d+(?:[eE][+-]?\d+)?\b/y],
+        ['literal', /\b(?:true|false|null|undefined|NaN|Infinity|this|super)\b/y],
+        ['keyword', new RegExp(`\\b(?:${SyntaxHighlighter.JS_KEYWORDS})\\b`, 'y')],
+        ['builtin', /\b(?:Array|Boolean|Date|Error|JSON|Map|Math|Number|Object|Promise|RegExp|Set|String|Symbol|WeakMap|WeakSet|console|document|window|require|module|exports|process)\b/y],
+        ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+        ['type', /\b[A-Z][\w$]*/y],
+        [null, /[A-Za-z_$][\w$]*/y],
+        ['operator', /=>|\.\.\.|[-+*/%=!<>&|^~?:]+/y],
+        ['punctuation', /[{}()[\];,.]/y]
+    ];
+
+    static TS_RULES = [
+        ['decorator', /@[A-Za-z_$][\w$]*/y],
+        ['keyword', /\b(?:abstract|as|declare|enum|implements|infer|interface|is|keyof|namespace|private|protected|public|readonly|satisfies|type)\b(?!\s*[:(])/y],
+        ['type', /\b(?:any|bigint|boolean|never|number|object|string|symbol|unknown|void)\b/y],
+        ...SyntaxHighlighter.JS_RULES
+    ];
+
+    static JSON_RULES = [
+        ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+        ['string', /"(?:\\.|[^\\"\n])*"?/y],
+        ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+        ['literal', /\b(?:true|false|null)\b/y],
+        ['punctuation', /[{}[\],:]/y]
+    ];
+
+    static HTML_TAG_RULES = [
+        ['tag', /<\/?[A-Za-z][\w:-]*/y],
+        ['string', /"[^"]*"|'[^']*'|(?<==)[^\s"'=<>`]+/y],
+        ['attr', /[^\s"'<>/=]+/y],
+        ['tag', /\/?>/y],
+        ['punctuation', /=/y]
+    ];
+
+    static HTML_RULES = [
+        ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+        ['keyword', /<!DOCTYPE[^>]*>/iy],
+        [null, /<\/?[A-Za-z][^>]*>?/y, SyntaxHighlighter.HTML_TAG_RULES],
+        ['entity', /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z]\w*);/y]
+    ];
+
+    // Prelude of an at-rule: @media (max-width: 600px), @import url(...)
+    static CSS_AT_RULE_RULES = [
+        ['keyword', /@[\w-]+|\b(?:and|not|only|or|screen|print|all)\b/y],
+        ['string', /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y],
+        ['property', /[a-zA-Z-]+(?=\s*:)/y],
+        ['function', /[\w-]+(?=\()/y],
+        ['number', /-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y],
+        [null, /[\w-]+/y],
+        ['punctuation', /[():,]/y]
+    ];
+
+    static CSS_RULES = [
+        ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+        ['string', /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y],
+        [null, /@[\w-]+[^{};]*/y, SyntaxHighlighter.CSS_AT_RULE_RULES],
+        ['keyword', /!important\b/y],
+        // Everything before a "{" that isn't a declaration is a selector
+        ['selector', /[^{}\s;@(][^{};@]*?(?=\s*\{)/y],
+        ['property', /--[\w-]+(?=\s*:)|[a-zA-Z-]+(?=\s*:)/y],
+        ['function', /[\w-]+(?=\()/y],
+        ['number', /#[\da-fA-F]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y],
+        [null, /[\w-]+/y],
+        ['punctuation', /[{}():;,]/y]
+    ];
+
+    static BASH_RULES = [
+        ['comment', /(?<![^\s;|&(])#[^\n]*/y],
+        ['string', /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?/y],
+        ['variable', /\$(?:\{[^}\n]*\}|[A-Za-z_]\w*|[\d@#?$!*-])/y],
+        ['keyword', /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|export|local|select)\b(?![\w-])/y],
+        ['builtin', /\b(?:alias|cat|cd|chmod|chown|cp|curl|docker|echo|exit|git|grep|ls|mkdir|mv|node|npm|npx|pip|pnpm|printf|pwd|python3?|read|rm|sed|source|sudo|touch|unset|yarn)\b(?![\w-])/y],
+        ['attr', /(?<=\s)--?[\w-]+/y],
+        ['number', /\b\d+\b/y],
+        [null, /[\w./-]+/y],
+        ['operator', /&&|\|\||[|&;<>]+|\$\(/y]
+    ];
+
+    static PYTHON_RULES = [
+        ['comment', /#[^\n]*/y],
+        ['string', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y],
+        ['decorator', /@[\w.]+/y],
+        ['literal', /\b(?:True|False|None|self|cls)\b/y],
+        ['keyword', /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield)\b/y],
+        ['builtin', /\b(?:abs|all|any|bool|dict|enumerate|filter|float|input|int|isinstance|len|list|map|max|min|open|print|range|reversed|set|sorted|str|sum|super|tuple|type|zip)\b(?=\s*\()/y],
+        ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?j?)\b/y],
+        ['function', /[A-Za-z_]\w*(?=\s*\()/y],
+        ['type', /\b[A-Z]\w*/y],
+        [null, /[A-Za-z_]\w*/y],
+        ['operator', /[-+*/%=!<>&|^~@:]+/y],
+        ['punctuation', /[{}()[\];,.]/y]
+    ];
+
+    // Canonical language -> display label and rules
+    static LANGUAGES = {
+        javascript: { label: 'JavaScript', rules: SyntaxHighlighter.JS_RULES },
+        typescript: { label: 'TypeScript', rules: SyntaxHighlighter.TS_RULES },
+        json: { label: 'JSON', rules: SyntaxHighlighter.JSON_RULES },
+        html: { label: 'HTML', rules: SyntaxHighlighter.HTML_RULES },
+        css: { label: 'CSS', rules: SyntaxHighlighter.CSS_RULES },
+        bash: { label: 'Bash', rules: SyntaxHighlighter.BASH_RULES },
+        python: { label: 'Python', rules: SyntaxHighlighter.PYTHON_RULES }
+    };
+
+    static ALIASES = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+        ts: 'typescript', tsx: 'typescript',
+        jsonc: 'json',
+        xml: 'html', svg: 'html', htm: 'html',
+        sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+        py: 'python', python3: 'python'
+    };
+
+    /**
+     * Canonical language name for a block's language (or alias), lowercased
+     */
+    static resolveLanguage(language) {
+        const name = String(language || 'plaintext').toLowerCase();
+        return Object.hasOwn(SyntaxHighlighter.ALIASES, name) ? SyntaxHighlighter.ALIASES[name] : name;
+    }
+
+    /**
+     * Display label for a language: "JavaScript" for "js", the name itself if unknown
+     */
+    static languageLabel(language) {
+        const name = SyntaxHighlighter.resolveLanguage(language);
+        if (Object.hasOwn(SyntaxHighlighter.LANGUAGES, name)) return SyntaxHighlighter.LANGUAGES[name].label;
+        return name === 'plaintext' ? 'Text' : name;
+    }
+
+    /**
+     * Split code into [{ type, text }] tokens; type is null for unstyled text
+     */
+    static tokenize(code, rules) {
+        const tokens = [];
+        let plain = '';
+        let position = 0;
+
+        const flushPlain = () => {
+            if (plain) tokens.push({ type: null, text: plain });
+            plain = '';
+        };
+
+        while (position < code.length) {
+            let matched = false;
+            for (const [type, pattern, inside] of rules) {
+                pattern.lastIndex = position;
+                const match = pattern.exec(code);
+                if (!match || match[0].length === 0) continue;
+
+                flushPlain();
+                if (inside) {
+                    tokens.push(...SyntaxHighlighter.tokenize(match[0], inside));
+                } else {
+                    tokens.push({ type, text: match[0] });
+                }
+                position += match[0].length;
+                matched = true;
+                break;
+            }
+            if (!matched) {
+                plain += code[position];
+                position++;
+            }
+        }
+
+        flushPlain();
+        return tokens;
+    }
+
+    /**
+     * Highlight code and return one HTML string per source line. Tokens that span
+     * lines (block comments, template strings) are closed and reopened on each line,
+     * so every line's markup stands alone.
+     */
+    static highlightLines(code, language) {
+        const name = SyntaxHighlighter.resolveLanguage(language);
+        const grammar = Object.hasOwn(SyntaxHighlighter.LANGUAGES, name) ? SyntaxHighlighter.LANGUAGES[name] : null;
+        const text = String(code ?? '').replace(/\r\n?/g, '\n');
+        const tokens = grammar ? SyntaxHighlighter.tokenize(text, grammar.rules) : [{ type: null, text }];
+
+        const lines = [''];
+        tokens.forEach(({ type, text: tokenText }) => {
+            tokenText.split('\n').forEach((part, index) => {
+                if (index > 0) lines.push('');
+                if (!part) return;
+                const escaped = SyntaxHighlighter.escapeHtml(part);
+                lines[lines.length - 1] += type ? `<span class="tok-${type}">${escaped}</span>` : escaped;
+            });
+        });
+        return lines;
+    }
+
+    /**
+     * Highlight code as a single HTML string
+     */
+    static highlight(code, language) {
+        return SyntaxHighlighter.highlightLines(code, language).join('\n');
+    }
+
+    /**
+     * Utility: Escape HTML
+     */
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export the class for Node build scripts; in the browser it's used as a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntaxHighlighter;
+}
@@ -0,0 +1,526 @@
+// lightbox.js - Full-screen image viewer: zoom and pan, swipe, thumbnails, slideshow and image info
+
+class Lightbox {
+    /**
+     * imageHTML(src, { alt, sizes, attrs }) returns the markup for an image (PostRenderer.imageHTML,
+     * for responsive variants); fallbackSrc is shown when an image fails to load.
+     */
+    constructor({ imageHTML = null, fallbackSrc = '' } = {}) {
+        this.imageHTML = imageHTML;
+        this.fallbackSrc = fallbackSrc;
+        // { src, alt, caption, name, info } where info is the image's img/images.json entry
+        this.images = [];
+        this.index = 0;
+        this.modal = null;
+        // Called after the user moves to another image (index, { opened }) or closes the viewer
+        this.onChange = null;
+        this.onClose = null;
+        this.slideshowDelay = 4000;
+        this.slideshowTimer = null;
+        this.playing = false;
+        this.maxScale = 5;
+        // Current zoom: scale and pan offset (px) of the image from the centre of the stage
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        // Active pointers (id -> { x, y }) and the gesture they are making
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.returnFocus = null;
+    }
+
+    /**
+     * Add the viewer to the page (once)
+     */
+    mount() {
+        if (this.modal) return;
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div id="post-gallery-modal" class="gallery-modal hidden" role="dialog" aria-modal="true" aria-label="Image gallery">
+                <div class="gallery-overlay" data-action="close" aria-hidden="true"></div>
+                <div class="gallery-container" role="document">
+                    <div class="gallery-toolbar">
+                        <div class="gallery-counter" aria-live="polite">
+                            <span id="gallery-current">1</span> / <span id="gallery-total">1</span>
+                        </div>
+                        <div class="gallery-tools">
+                            <button type="button" class="gallery-tool" data-action="zoom-out" aria-label="Zoom out" title="Zoom out (-)">&minus;</button>
+                            <button type="button" class="gallery-tool" data-action="zoom-in" aria-label="Zoom in" title="Zoom in (+)">+</button>
+                            <button type="button" class="gallery-tool" data-action="slideshow" aria-pressed="false" aria-label="Play slideshow" title="Slideshow (S)">&#9654;</button>
+                            <button type="button" class="gallery-tool" data-action="info" aria-pressed="false" aria-controls="gallery-info" aria-label="Image info" title="Image info (I)">i</button>
+                            <button type="button" class="gallery-close" data-action="close" aria-label="Close gallery">&times;</button>
+                        </div>
+                    </div>
+
+                    <div class="gallery-main">
+                        <button type="button" class="gallery-nav gallery-prev" data-action="previous" aria-label="Previous image">❮</button>
+
+                        <div class="gallery-image-wrap">
+                            <div class="gallery-stage" id="gallery-stage"></div>
+                            <div class="gallery-filename" id="gallery-filename"></div>
+                        </div>
+
+                        <button type="button" class="gallery-nav gallery-next" data-action="next" aria-label="Next image">❯</button>
+
+                        <aside class="gallery-info" id="gallery-info" hidden></aside>
+                    </div>
+
+                    <div class="gallery-caption-box">
+                        <div class="gallery-caption" id="gallery-caption"></div>
+                    </div>
+
+                    <div class="gallery-thumbnails" id="gallery-thumbnails"></div>
+                </div>
+            </div>
+        `);
+
+        this.modal = document.getElementById('post-gallery-modal');
+        this.stage = document.getElementById('gallery-stage');
+
+        this.modal.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-action], [data-thumbnail]');
+            if (!control) return;
+            if (control.hasAttribute('data-thumbnail')) {
+                this.go(Number(control.getAttribute('data-thumbnail')));
+                return;
+            }
+            switch (control.getAttribute('data-action')) {
+                case 'close': this.close(); break;
+                case 'previous': this.go(this.index - 1); break;
+                case 'next': this.go(this.index + 1); break;
+                case 'zoom-in': this.zoomBy(1.5); break;
+                case 'zoom-out': this.zoomBy(1 / 1.5); break;
+                case 'slideshow': this.toggleSlideshow(); break;
+                case 'info': this.toggleInfo(); break;
+            }
+        });
+        document.addEventListener('keydown', (e) => this.handleKey(e));
+        this.setupGestures();
+    }
+
+    isOpen() {
+        return Boolean(this.modal) && !this.modal.classList.contains('hidden');
+    }
+
+    /**
+     * Show images starting at index. notify: false when the caller already knows
+     * (e.g. the URL opened it), so onChange isn't called.
+     */
+    open(images, index = 0, { notify = true } = {}) {
+        if (!images || images.length === 0) return;
+        this.mount();
+
+        if (!this.isOpen()) {
+            this.returnFocus = document.activeElement;
+            this.modal.classList.remove('hidden');
+            document.body.style.overflow = 'hidden';
+        }
+        if (images !== this.images) {
+            this.images = images;
+            this.renderThumbnails();
+        }
+        this.show(index);
+        this.modal.querySelector('.gallery-close').focus();
+
+        if (notify && this.onChange) this.onChange(this.index, { opened: true });
+    }
+
+    /**
+     * Hide the viewer. notify: false when closed by the caller rather than the user.
+     */
+    close({ notify = true } = {}) {
+        if (!this.isOpen()) return;
+        this.stopSlideshow();
+        this.modal.classList.add('hidden');
+        document.body.style.overflow = '';
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+
+        if (notify && this.onClose) this.onClose();
+    }
+
+    /**
+     * Move to an image (wrapping around) as the user asked
+     */
+    go(index) {
+        this.show(index);
+        if (this.playing) this.scheduleSlide();
+        if (this.onChange) this.onChange(this.index, { opened: false });
+    }
+
+    /**
+     * Display the image at index with its caption, counter, thumbnail and info
+     */
+    show(index) {
+        const count = this.images.length;
+        this.index = ((index % count) + count) % count;
+        const image = this.images[this.index];
+
+        this.stage.innerHTML = this.imageHTML
+            ? this.imageHTML(image.src, { alt: image.alt, sizes: '100vw', attrs: 'id="gallery-img" draggable="false"', fallback: this.fallbackSrc })
+            : `<img id="gallery-img" src="${HtmlSanitizer.escapeHtml(image.src)}" alt="${HtmlSanitizer.escapeHtml(image.alt || '')}" draggable="false">`;
+        this.resetZoom();
+
+        document.getElementById('gallery-current').textContent = this.index + 1;
+        document.getElementById('gallery-total').textContent = count;
+        document.getElementById('gallery-caption').textContent = image.caption || '';
+        document.getElementById('gallery-filename').textContent = image.name || this.getFilenameFromSrc(image.src);
+        this.modal.classList.toggle('single-image', count === 1);
+
+        this.modal.querySelectorAll('[data-thumbnail]').forEach(thumb => {
+            const current = Number(thumb.getAttribute('data-thumbnail')) === this.index;
+            thumb.classList.toggle('active', current);
+            if (current) {
+                thumb.setAttribute('aria-current', 'true');
+                thumb.scrollIntoView({ block: 'nearest', inline: 'center' });
+            } else {
+                thumb.removeAttribute('aria-current');
+            }
+        });
+
+        this.renderInfo();
+        this.preloadNeighbours();
+    }
+
+    renderThumbnails() {
+        const strip = document.getElementById('gallery-thumbnails');
+        strip.hidden = this.images.length < 2;
+        strip.innerHTML = this.images.map((image, index) => `
+            <button type="button" class="gallery-thumbnail" data-thumbnail="${index}" aria-label="Image ${index + 1}${image.alt ? `: ${HtmlSanitizer.escapeHtml(image.alt)}` : ''}">
+                ${this.imageHTML
+                    ? this.imageHTML(image.src, { alt: '', sizes: '64px', attrs: 'loading="lazy" draggable="false"', fallback: this.fallbackSrc })
+                    : `<img src="${HtmlSanitizer.escapeHtml(image.src)}" alt="" loading="lazy" draggable="false">`}
+            </button>
+        `).join('');
+    }
+
+    // Fetch the images either side so moving to them is instant
+    preloadNeighbours() {
+        if (this.images.length < 2) return;
+        [this.index - 1, this.index + 1].forEach(index => {
+            const image = this.images[(index + this.images.length) % this.images.length];
+            // A detached <picture> picks the same variant the stage will
+            const holder = document.createElement('div');
+            holder.innerHTML = this.imageHTML
+                ? this.imageHTML(image.src, { sizes: '100vw' })
+                : `<img src="${HtmlSanitizer.escapeHtml(image.src)}" alt="">`;
+        });
+    }
+
+    getFilenameFromSrc(src) {
+        try {
+            const parts = src.split('/');
+            const last = parts[parts.length - 1];
+            return decodeURIComponent((last || '').split('?')[0]);
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * Info panel rows for the current image: caption, file, size and camera settings
+     */
+    renderInfo() {
+        const panel = document.getElementById('gallery-info');
+        const image = this.images[this.index];
+        const info = image.info || {};
+        const exif = info.exif || {};
+        const escape = text => HtmlSanitizer.escapeHtml(text);
+
+        const rows = [
+            ['Caption', image.caption],
+            ['Description', image.alt !== image.caption ? image.alt : ''],
+            ['File', image.name || this.getFilenameFromSrc(image.src)],
+            ['Size', info.width ? `${info.width} × ${info.height}` : ''],
+            ['Camera', exif.camera],
+            ['Lens', exif.lens],
+            ['Focal length', exif.focalLength ? `${Math.round(exif.focalLength)} mm` : ''],
+            ['Aperture', exif.aperture ? `ƒ/${Number(exif.aperture.toFixed(1))}` : ''],
+            ['Shutter', exif.exposure ? this.formatExposure(exif.exposure) : ''],
+            ['ISO', exif.iso],
+            ['Taken', exif.taken ? this.formatTaken(exif.taken) : '']
+        ].filter(([, value]) => value);
+
+        panel.innerHTML = `
+            <h3 class="gallery-info-title">Image info</h3>
+            <dl>${rows.map(([label, value]) => `<dt>${escape(label)}</dt><dd>${escape(value)}</dd>`).join('')}</dl>
+        `;
+    }
+
+    // 0.004 -> "1/250 s", 2.5 -> "2.5 s"
+    formatExposure(seconds) {
+        return seconds >= 1 ? `${Number(seconds.toFixed(1))} s` : `1/${Math.round(1 / seconds)} s`;
+    }
+
+    // "2024-05-01T14:30:00" -> the reader's local date and time format
+    formatTaken(taken) {
+        const date = new Date(taken);
+        return isNaN(date) ? taken : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    toggleInfo() {
+        const panel = document.getElementById('gallery-info');
+        panel.hidden = !panel.hidden;
+        this.modal.querySelector('[data-action="info"]').setAttribute('aria-pressed', String(!panel.hidden));
+    }
+
+    toggleSlideshow() {
+        if (this.playing) {
+            this.stopSlideshow();
+        } else {
+            this.playing = true;
+            this.scheduleSlide();
+            this.updateSlideshowButton();
+        }
+    }
+
+    stopSlideshow() {
+        this.playing = false;
+        clearTimeout(this.slideshowTimer);
+        this.slideshowTimer = null;
+        this.updateSlideshowButton();
+    }
+
+    // (Re)start the countdown to the next slide, so manual navigation gets a full interval too
+    scheduleSlide() {
+        clearTimeout(this.slideshowTimer);
+        this.slideshowTimer = setTimeout(() => this.go(this.index + 1), this.slideshowDelay);
+    }
+
+    updateSlideshowButton() {
+        const button = this.modal && this.modal.querySelector('[data-action="slideshow"]');
+        if (!button) return;
+        button.setAttribute('aria-pressed', String(this.playing));
+        button.setAttribute('aria-label', this.playing ? 'Pause slideshow' : 'Play slideshow');
+        button.innerHTML = this.playing ? '&#10074;&#10074;' : '&#9654;';
+    }
+
+    handleKey(e) {
+        // Leave browser shortcuts (Ctrl/Cmd + and -, etc.) alone
+        if (!this.isOpen() || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                this.go(this.index + 1);
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                this.go(this.index - 1);
+                break;
+            case 'Home':
+                this.go(0);
+                break;
+            case 'End':
+                this.go(this.images.length - 1);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            case '+':
+            case '=':
+                this.zoomBy(1.5);
+                break;
+            case '-':
+                this.zoomBy(1 / 1.5);
+                break;
+            case '0':
+                this.resetZoom();
+                break;
+            case 's':
+            case 'S':
+                this.toggleSlideshow();
+                break;
+            case 'i':
+            case 'I':
+                this.toggleInfo();
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    // Keep Tab cycling through the viewer's own controls while it is open
+    trapFocus(e) {
+        const focusable = [...this.modal.querySelectorAll('button')].filter(button => button.offsetParent !== null);
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Wheel and pinch zoom, drag to pan a zoomed image, swipe to change image,
+     * double-tap (or double-click) to zoom in and out
+     */
+    setupGestures() {
+        const stage = this.stage;
+
+        stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomAt(this.zoom.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+        }, { passive: false });
+
+        stage.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            stage.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startGesture();
+        });
+
+        stage.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.moveGesture();
+        });
+
+        const end = (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            const gesture = this.gesture;
+            this.pointers.delete(e.pointerId);
+            if (gesture && this.pointers.size === 0) this.endGesture(gesture, e);
+            // Lifting one finger of a pinch continues as a pan
+            if (this.pointers.size > 0) this.startGesture();
+        };
+        stage.addEventListener('pointerup', end);
+        stage.addEventListener('pointercancel', end);
+    }
+
+    startGesture() {
+        const points = [...this.pointers.values()];
+        if (points.length >= 2) {
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) || 1,
+                scale: this.zoom.scale
+            };
+        } else {
+            this.gesture = {
+                type: this.zoom.scale > 1 ? 'pan' : 'swipe',
+                startX: points[0].x,
+                startY: points[0].y,
+                x: this.zoom.x,
+                y: this.zoom.y,
+                moved: false
+            };
+        }
+    }
+
+    moveGesture() {
+        const gesture = this.gesture;
+        const points = [...this.pointers.values()];
+        if (!gesture) return;
+
+        if (gesture.type === 'pinch' && points.length >= 2) {
+            const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+            this.zoomAt(gesture.scale * distance / gesture.distance, (points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+            return;
+        }
+
+        const dx = points[0].x - gesture.startX;
+        const dy = points[0].y - gesture.startY;
+        if (Math.abs(dx) > 5 || Math.abs(dy) > 5) gesture.moved = true;
+
+        if (gesture.type === 'pan') {
+            this.zoom.x = gesture.x + dx;
+            this.zoom.y = gesture.y + dy;
+            this.applyZoom();
+        } else if (gesture.type === 'swipe') {
+            // Follow the finger sideways as a hint of where the swipe leads
+            this.setTransform(`translateX(${dx}px)`);
+        }
+    }
+
+    endGesture(gesture, e) {
+        this.gesture = null;
+
+        if (gesture.type === 'swipe') {
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            this.applyZoom();
+            if (Math.abs(dx) > 60 && Math.abs(dx) > Math.abs(dy)) {
+                this.go(dx < 0 ? this.index + 1 : this.index - 1);
+                return;
+            }
+        }
+
+        // Double tap: zoom in to 2x at the tap, or back out
+        if (!gesture.moved && gesture.type !== 'pinch') {
+            const now = Date.now();
+            if (this.lastTap && now - this.lastTap.time < 300 && Math.hypot(e.clientX - this.lastTap.x, e.clientY - this.lastTap.y) < 30) {
+                this.lastTap = null;
+                if (this.zoom.scale > 1) this.resetZoom();
+                else this.zoomAt(2, e.clientX, e.clientY);
+            } else {
+                this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+            }
+        }
+    }
+
+    zoomBy(factor) {
+        const rect = this.stage.getBoundingClientRect();
+        this.zoomAt(this.zoom.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+
+    /**
+     * Zoom to scale keeping the image point under (clientX, clientY) in place
+     */
+    zoomAt(scale, clientX, clientY) {
+        const next = Math.min(this.maxScale, Math.max(1, scale));
+        const rect = this.stage.getBoundingClientRect();
+        // Point relative to the stage centre, where the image's transform origin sits
+        const px = clientX - (rect.left + rect.width / 2);
+        const py = clientY - (rect.top + rect.height / 2);
+        const ratio = next / this.zoom.scale;
+        this.zoom = {
+            scale: next,
+            x: px - (px - this.zoom.x) * ratio,
+            y: py - (py - this.zoom.y) * ratio
+        };
+        this.applyZoom();
+    }
+
+    resetZoom() {
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.applyZoom();
+    }
+
+    // Clamp the pan so the zoomed image always covers the stage, then draw it
+    applyZoom() {
+        const img = document.getElementById('gallery-img');
+        if (!img) return;
+        const { scale } = this.zoom;
+        const maxX = Math.max(0, (img.offsetWidth * scale - this.stage.clientWidth) / 2);
+        const maxY = Math.max(0, (img.offsetHeight * scale - this.stage.clientHeight) / 2);
+        this.zoom.x = Math.min(maxX, Math.max(-maxX, this.zoom.x));
+        this.zoom.y = Math.min(maxY, Math.max(-maxY, this.zoom.y));
+
+        this.setTransform(scale === 1 ? '' : `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${scale})`);
+        this.modal.classList.toggle('zoomed', scale > 1);
+        // Ask the browser for a sharper variant when zoomed in
+        const sizes = `${Math.round(100 * scale)}vw`;
+        this.stage.querySelectorAll('source, img').forEach(element => {
+            if (element.hasAttribute('sizes')) element.setAttribute('sizes', sizes);
+        });
+    }
+
+    setTransform(transform) {
+        const img = document.getElementById('gallery-img');
+        if (img) img.style.transform = transform;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lightbox;
+}
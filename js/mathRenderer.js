@@ -0,0 +1,961 @@
+// mathRenderer.js - Dependency-free LaTeX math to SVG
+//
+// A practical subset of LaTeX (symbols, scripts, \frac, \sqrt, big operators,
+// \left...\right, accents, font commands and matrix/cases/aligned environments) is
+// parsed into a node tree, laid out as TeX-style boxes using approximate serif font
+// metrics, and drawn as SVG text and paths. Multi-character runs get a textLength so
+// the layout holds whichever serif font the reader's system substitutes.
+// Shared by the build (scripts/render-figures.js) and the browser fallback in PostRenderer.
+//
+// Layout works in em with y pointing up from the baseline; SVG output uses
+// hundredths of an em with y pointing down.
+
+class MathRenderer {
+    static FONT_FAMILY = "'Latin Modern Math', 'STIX Two Math', 'Cambria Math', 'Times New Roman', serif";
+
+    // Scale of text, script and scriptscript sizes
+    static SIZES = [1, 0.7, 0.5];
+
+    // Height of the math axis (fraction bars, centers of operators) above the baseline
+    static AXIS = 0.25;
+
+    static GREEK = {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+        theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+        varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+        varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+        Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+        Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+    };
+
+    // Command -> [character, atom class]
+    static SYMBOLS = {
+        // Binary operators
+        pm: ['±', 'bin'], mp: ['∓', 'bin'], times: ['×', 'bin'], div: ['÷', 'bin'], cdot: ['⋅', 'bin'],
+        ast: ['∗', 'bin'], star: ['⋆', 'bin'], circ: ['∘', 'bin'], bullet: ['∙', 'bin'], oplus: ['⊕', 'bin'],
+        otimes: ['⊗', 'bin'], cup: ['∪', 'bin'], cap: ['∩', 'bin'], setminus: ['∖', 'bin'], wedge: ['∧', 'bin'],
+        land: ['∧', 'bin'], vee: ['∨', 'bin'], lor: ['∨', 'bin'],
+        // Relations
+        leq: ['≤', 'rel'], le: ['≤', 'rel'], geq: ['≥', 'rel'], ge: ['≥', 'rel'], neq: ['≠', 'rel'], ne: ['≠', 'rel'],
+        approx: ['≈', 'rel'], equiv: ['≡', 'rel'], sim: ['∼', 'rel'], simeq: ['≃', 'rel'], cong: ['≅', 'rel'],
+        propto: ['∝', 'rel'], ll: ['≪', 'rel'], gg: ['≫', 'rel'], in: ['∈', 'rel'], notin: ['∉', 'rel'],
+        ni: ['∋', 'rel'], subset: ['⊂', 'rel'], supset: ['⊃', 'rel'], subseteq: ['⊆', 'rel'], supseteq: ['⊇', 'rel'],
+        perp: ['⊥', 'rel'], parallel: ['∥', 'rel'], mid: ['∣', 'rel'], to: ['→', 'rel'], rightarrow: ['→', 'rel'],
+        leftarrow: ['←', 'rel'], gets: ['←', 'rel'], leftrightarrow: ['↔', 'rel'], Rightarrow: ['⇒', 'rel'],
+        implies: ['⟹', 'rel'], Leftarrow: ['⇐', 'rel'], Leftrightarrow: ['⇔', 'rel'], iff: ['⟺', 'rel'],
+        mapsto: ['↦', 'rel'], longrightarrow: ['⟶', 'rel'], uparrow: ['↑', 'rel'], downarrow: ['↓', 'rel'],
+        vdash: ['⊢', 'rel'], models: ['⊨', 'rel'], coloneqq: ['≔', 'rel'],
+        // Ordinary symbols
+        infty: ['∞', 'ord'], partial: ['∂', 'ord'], nabla: ['∇', 'ord'], forall: ['∀', 'ord'], exists: ['∃', 'ord'],
+        nexists: ['∄', 'ord'], neg: ['¬', 'ord'], lnot: ['¬', 'ord'], emptyset: ['∅', 'ord'], varnothing: ['∅', 'ord'],
+        angle: ['∠', 'ord'], triangle: ['△', 'ord'], prime: ['′', 'ord'], hbar: ['ℏ', 'ord'], ell: ['ℓ', 'ord'],
+        Re: ['ℜ', 'ord'], Im: ['ℑ', 'ord'], aleph: ['ℵ', 'ord'], top: ['⊤', 'ord'], bot: ['⊥', 'ord'],
+        ldots: ['…', 'inner'], dots: ['…', 'inner'], cdots: ['⋯', 'inner'], vdots: ['⋮', 'ord'], ddots: ['⋱', 'inner'],
+        degree: ['°', 'ord'], checkmark: ['✓', 'ord'], vert: ['|', 'ord'], Vert: ['‖', 'ord'],
+        // Delimiters
+        langle: ['⟨', 'open'], rangle: ['⟩', 'close'], lfloor: ['⌊', 'open'], rfloor: ['⌋', 'close'],
+        lceil: ['⌈', 'open'], rceil: ['⌉', 'close'], lbrace: ['{', 'open'], rbrace: ['}', 'close'],
+        '{': ['{', 'open'], '}': ['}', 'close'], '|': ['‖', 'ord'],
+        // Escaped characters
+        '_': ['_', 'ord'], '%': ['%', 'ord'], '$': ['$', 'ord'], '&': ['&', 'ord'], '#': ['#', 'ord']
+    };
+
+    // Big operators; limits go above and below in display style
+    static BIG_OPERATORS = {
+        sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+        bigvee: '⋁', bigwedge: '⋀', int: '∫', iint: '∬', iiint: '∭', oint: '∮'
+    };
+
+    // Named functions, set upright; those listed in LIMIT_FUNCTIONS take limits like \sum
+    static FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh',
+        'tanh', 'log', 'ln', 'lg', 'exp', 'lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'dim',
+        'ker', 'deg', 'arg', 'gcd', 'Pr', 'hom', 'mod'];
+
+    static LIMIT_FUNCTIONS = ['lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'];
+
+    static SPACES = { ',': 3 / 18, ':': 4 / 18, '>': 4 / 18, ';': 5 / 18, '!': -3 / 18, ' ': 0.25, quad: 1, qquad: 2, enspace: 0.5 };
+
+    static ACCENTS = ['hat', 'widehat', 'bar', 'overline', 'underline', 'vec', 'overrightarrow', 'dot', 'ddot', 'tilde', 'widetilde'];
+
+    static FONTS = {
+        mathbf: 'bold', boldsymbol: 'bold', mathrm: 'upright', mathit: 'italic', mathsf: 'sans',
+        mathtt: 'mono', mathbb: 'double', mathcal: 'script', mathscr: 'script'
+    };
+
+    // \begin{...} environments: column alignment and surrounding delimiters
+    static ENVIRONMENTS = {
+        matrix: { align: 'c' },
+        pmatrix: { align: 'c', left: '(', right: ')' },
+        bmatrix: { align: 'c', left: '[', right: ']' },
+        Bmatrix: { align: 'c', left: '{', right: '}' },
+        vmatrix: { align: 'c', left: '|', right: '|' },
+        Vmatrix: { align: 'c', left: '‖', right: '‖' },
+        cases: { align: 'l', left: '{', right: '.' },
+        aligned: { align: 'rl', display: true },
+        align: { align: 'rl', display: true },
+        'align*': { align: 'rl', display: true },
+        gathered: { align: 'c', display: true },
+        array: { align: null }
+    };
+
+    static DELIMITERS = {
+        '(': '(', ')': ')', '[': '[', ']': ']', '\\{': '{', '\\}': '}', '\\lbrace': '{', '\\rbrace': '}',
+        '|': '|', '\\|': '‖', '\\vert': '|', '\\Vert': '‖', '\\langle': '⟨', '\\rangle': '⟩',
+        '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉', '.': '.', '/': '/'
+    };
+
+    // Approximate advance widths (em) of a Times-like serif font
+    static WIDTHS = {
+        a: 0.5, b: 0.5, c: 0.44, d: 0.5, e: 0.44, f: 0.33, g: 0.5, h: 0.5, i: 0.28, j: 0.28, k: 0.5, l: 0.28,
+        m: 0.72, n: 0.5, o: 0.5, p: 0.5, q: 0.5, r: 0.39, s: 0.39, t: 0.28, u: 0.5, v: 0.44, w: 0.67, x: 0.47,
+        y: 0.44, z: 0.39,
+        A: 0.61, B: 0.61, C: 0.67, D: 0.72, E: 0.61, F: 0.61, G: 0.72, H: 0.72, I: 0.33, J: 0.44, K: 0.67,
+        L: 0.56, M: 0.83, N: 0.67, O: 0.72, P: 0.61, Q: 0.72, R: 0.61, S: 0.5, T: 0.56, U: 0.72, V: 0.61,
+        W: 0.83, X: 0.61, Y: 0.56, Z: 0.56,
+        ' ': 0.25, '(': 0.33, ')': 0.33, '[': 0.33, ']': 0.33, '{': 0.48, '}': 0.48, '|': 0.2, '‖': 0.4,
+        ',': 0.25, '.': 0.25, ';': 0.28, ':': 0.28, '!': 0.33, '?': 0.44, "'": 0.2, '′': 0.28, '/': 0.28,
+        '⟨': 0.33, '⟩': 0.33, '⌊': 0.4, '⌋': 0.4, '⌈': 0.4, '⌉': 0.4, '…': 1, '⋯': 1, '⋮': 0.3, '⋱': 1,
+        '∫': 0.42, '∬': 0.75, '∭': 1.05, '∮': 0.42, '∞': 0.72, '∂': 0.5, '∇': 0.72, '∅': 0.5, '¬': 0.56
+    };
+
+    static ASCENDERS = /[A-Zbdfhijklt0-9Α-Ωβδζθλξ∂∇∀∃ℓℏ∅%#&?!'′]/;
+    static DESCENDERS = /[gjpqyβγζημξρςφϕχψ]/;
+
+    /**
+     * Render LaTeX to an SVG string. display is true for display (block) math.
+     * Throws a SyntaxError for input outside the supported subset.
+     */
+    static render(tex, { display = false } = {}) {
+        const nodes = MathRenderer.parse(tex);
+        const box = MathRenderer.layoutList(nodes, { display, level: 0 });
+        return MathRenderer.toSvg(box, tex, display);
+    }
+
+    static syntaxError(message) {
+        return new SyntaxError(message);
+    }
+
+    // ------------------------------------------------------------------ parsing
+
+    /**
+     * Parse LaTeX into a list of nodes
+     */
+    static parse(tex) {
+        const source = String(tex ?? '');
+        let pos = 0;
+
+        const peek = () => source[pos];
+        const skipSpaces = () => {
+            while (pos < source.length && /\s/.test(source[pos])) pos++;
+        };
+        // The command starting at pos ('\frac' -> 'frac', '\,' -> ','), without consuming it
+        const peekCommand = () => {
+            if (source[pos] !== '\\') return null;
+            const match = /^\\([A-Za-z]+\*?|[\s\S])/.exec(source.slice(pos));
+            return match ? match[1] : null;
+        };
+        const readCommand = () => {
+            const name = peekCommand();
+            pos += name.length + 1;
+            return name;
+        };
+
+        // Raw text up to the matching close brace (for \text and \begin names)
+        const readRawGroup = () => {
+            skipSpaces();
+            if (peek() !== '{') throw MathRenderer.syntaxError(`Expected "{" at position ${pos + 1}`);
+            let depth = 0;
+            const start = pos + 1;
+            for (; pos < source.length; pos++) {
+                if (source[pos] === '\\') {
+                    pos++;
+                } else if (source[pos] === '{') {
+                    depth++;
+                } else if (source[pos] === '}' && --depth === 0) {
+                    pos++;
+                    return source.slice(start, pos - 1);
+                }
+            }
+            throw MathRenderer.syntaxError('Unbalanced braces: missing "}"');
+        };
+
+        const readOptional = () => {
+            skipSpaces();
+            if (peek() !== '[') return null;
+            pos++;
+            const body = parseList(']');
+            if (peek() !== ']') throw MathRenderer.syntaxError('Missing "]"');
+            pos++;
+            return body;
+        };
+
+        const readDelimiter = () => {
+            skipSpaces();
+            const command = peekCommand();
+            const token = command ? `\\${command}` : peek();
+            if (!(token in MathRenderer.DELIMITERS)) {
+                throw MathRenderer.syntaxError(`Unknown delimiter "${token ?? ''}"`);
+            }
+            pos += token.length;
+            return MathRenderer.DELIMITERS[token];
+        };
+
+        // One argument: a {group}, a command or a single character
+        const parseArgument = () => {
+            skipSpaces();
+            if (pos >= source.length) throw MathRenderer.syntaxError('Missing argument at end of input');
+            if (peek() === '{') {
+                pos++;
+                const body = parseList('}');
+                if (peek() !== '}') throw MathRenderer.syntaxError('Unbalanced braces: missing "}"');
+                pos++;
+                return { type: 'group', body };
+            }
+            return parseAtom(true);
+        };
+
+        const withFont = (node, font) => {
+            if (node.type === 'sym' && (node.cls === 'ord' || font === 'bold')) node.font = font;
+            ['body', 'base', 'sup', 'sub', 'num', 'den'].forEach(key => {
+                const child = node[key];
+                if (Array.isArray(child)) child.forEach(item => withFont(item, font));
+                else if (child) withFont(child, font);
+            });
+            return node;
+        };
+
+        const parseEnvironment = () => {
+            const name = readRawGroup().trim();
+            const env = MathRenderer.ENVIRONMENTS[name];
+            if (!env) throw MathRenderer.syntaxError(`Unknown environment "${name}"`);
+            const align = name === 'array' ? readRawGroup().replace(/[^lcr]/g, '') : env.align;
+
+            const rows = [[]];
+            for (;;) {
+                rows[rows.length - 1].push(parseList(null));
+                const command = peekCommand();
+                if (peek() === '&') {
+                    pos++;
+                } else if (command === '\\') {
+                    readCommand();
+                    readOptional();
+                    rows.push([]);
+                } else if (command === 'end') {
+                    readCommand();
+                    const endName = readRawGroup().trim();
+                    if (endName !== name) throw MathRenderer.syntaxError(`\\begin{${name}} ended by \\end{${endName}}`);
+                    break;
+                } else {
+                    throw MathRenderer.syntaxError(`Missing \\end{${name}}`);
+                }
+            }
+            // A trailing \\ leaves an empty last row
+            const last = rows[rows.length - 1];
+            if (rows.length > 1 && last.length === 1 && last[0].length === 0) rows.pop();
+
+            return { type: 'array', rows, align, display: env.display === true, left: env.left, right: env.right };
+        };
+
+        const parseCommand = (name) => {
+            if (name in MathRenderer.GREEK) {
+                const char = MathRenderer.GREEK[name];
+                return { type: 'sym', text: char, cls: 'ord', font: /[A-Z]/.test(name[0]) ? 'upright' : 'italic' };
+            }
+            if (name in MathRenderer.SYMBOLS) {
+                const [char, cls] = MathRenderer.SYMBOLS[name];
+                return { type: 'sym', text: char, cls, font: 'upright' };
+            }
+            if (name in MathRenderer.BIG_OPERATORS) {
+                const text = MathRenderer.BIG_OPERATORS[name];
+                return { type: 'sym', text, cls: 'op', font: 'upright', bigop: true, limits: !/^[io]+int$|^int$/.test(name) };
+            }
+            if (MathRenderer.FUNCTIONS.includes(name)) {
+                return { type: 'text', text: name, cls: 'op', limits: MathRenderer.LIMIT_FUNCTIONS.includes(name) };
+            }
+            if (name in MathRenderer.SPACES) {
+                return { type: 'space', width: MathRenderer.SPACES[name] };
+            }
+            if (MathRenderer.ACCENTS.includes(name)) {
+                return { type: 'accent', accent: name, body: parseArgument() };
+            }
+            if (name in MathRenderer.FONTS) {
+                return withFont(parseArgument(), MathRenderer.FONTS[name]);
+            }
+
+            switch (name) {
+                case 'frac':
+                case 'dfrac':
+                case 'tfrac':
+                    return { type: 'frac', num: parseArgument(), den: parseArgument(), style: name[0] === 'f' ? null : name[0] };
+                case 'binom':
+                    return { type: 'frac', num: parseArgument(), den: parseArgument(), bar: false, left: '(', right: ')' };
+                case 'sqrt': {
+                    const index = readOptional();
+                    return { type: 'sqrt', index: index && { type: 'group', body: index }, body: parseArgument() };
+                }
+                case 'left': {
+                    const left = readDelimiter();
+                    const body = parseList(null);
+                    if (peekCommand() !== 'right') throw MathRenderer.syntaxError('\\left without matching \\right');
+                    readCommand();
+                    return { type: 'leftright', left, right: readDelimiter(), body };
+                }
+                case 'right':
+                    throw MathRenderer.syntaxError('\\right without matching \\left');
+                case 'text':
+                case 'textrm':
+                case 'textbf':
+                case 'textit':
+                case 'mbox':
+                    return { type: 'text', text: readRawGroup().replace(/\\([{}%$&#_ ])/g, '$1'), cls: 'ord', font: { textbf: 'bold', textit: 'italic' }[name] || 'upright' };
+                case 'operatorname':
+                    return { type: 'text', text: readRawGroup(), cls: 'op' };
+                case 'begin':
+                    return parseEnvironment();
+                case 'not': {
+                    const next = parseArgument();
+                    const negated = { '=': '≠', '∈': '∉', '⊂': '⊄', '⊆': '⊈', '≡': '≢', '<': '≮', '>': '≯', '∼': '≁' }[next.text];
+                    if (!negated) throw MathRenderer.syntaxError('\\not only applies to a relation like = or \\in');
+                    return { ...next, text: negated };
+                }
+                case 'displaystyle':
+                case 'textstyle':
+                case 'limits':
+                case 'nolimits':
+                    return { type: 'style', name };
+                default:
+                    throw MathRenderer.syntaxError(`Unknown command \\${name}`);
+            }
+        };
+
+        const parseAtom = (single = false) => {
+            const char = peek();
+
+            if (char === '\\') return parseCommand(readCommand());
+            if (char === '{') return parseArgument();
+            if (char === '}') throw MathRenderer.syntaxError('Unbalanced braces: unexpected "}"');
+            if (char === '^' || char === '_') throw MathRenderer.syntaxError(`"${char}" needs something before it`);
+
+            // Numbers are one upright run (a single digit when used as an argument: x^23)
+            const number = single ? null : /^\d+(?:\.\d+)?/.exec(source.slice(pos));
+            if (number) {
+                pos += number[0].length;
+                return { type: 'sym', text: number[0], cls: 'ord', font: 'upright' };
+            }
+
+            pos++;
+            if (/[A-Za-z]/.test(char)) return { type: 'sym', text: char, cls: 'ord', font: 'italic' };
+            if (/\d/.test(char)) return { type: 'sym', text: char, cls: 'ord', font: 'upright' };
+            if (char === '~') return { type: 'space', width: 0.25 };
+            const classes = {
+                '+': ['+', 'bin'], '-': ['−', 'bin'], '*': ['∗', 'bin'], '=': ['=', 'rel'], '<': ['<', 'rel'],
+                '>': ['>', 'rel'], ':': [':', 'rel'], ',': [',', 'punct'], ';': [';', 'punct'], '(': ['(', 'open'],
+                '[': ['[', 'open'], ')': [')', 'close'], ']': [']', 'close'], '!': ['!', 'close'], '?': ['?', 'close']
+            };
+            const [text, cls] = classes[char] || [char, 'ord'];
+            return { type: 'sym', text, cls, font: 'upright' };
+        };
+
+        // Atoms with their ^ and _ scripts, up to a closing brace, & or \\, \right or \end
+        function parseList(closer) {
+            const nodes = [];
+            for (;;) {
+                skipSpaces();
+                if (pos >= source.length) break;
+                const char = peek();
+                const command = peekCommand();
+                if (char === closer || char === '}' || char === '&' || ['\\', 'right', 'end'].includes(command)) break;
+
+                let node;
+                if (char === "'") {
+                    // Primes attach to the previous atom as a superscript
+                    pos++;
+                    node = { type: 'sym', text: '′', cls: 'ord', font: 'upright' };
+                    const previous = nodes.pop();
+                    nodes.push(previous
+                        ? { type: 'scripts', base: previous.type === 'scripts' ? previous.base : previous, sup: node, sub: previous.sub || null }
+                        : node);
+                    continue;
+                }
+                node = parseAtom();
+                if (node.type === 'style') {
+                    if (node.name === 'limits' || node.name === 'nolimits') {
+                        throw MathRenderer.syntaxError(`\\${node.name} must follow an operator`);
+                    }
+                    nodes.push(node);
+                    continue;
+                }
+
+                for (;;) {
+                    skipSpaces();
+                    const modifier = peekCommand();
+                    if (modifier === 'limits' || modifier === 'nolimits') {
+                        readCommand();
+                        node.limits = modifier === 'limits';
+                        node.forceLimits = node.limits;
+                        continue;
+                    }
+                    const script = peek();
+                    if (script !== '^' && script !== '_') break;
+                    pos++;
+                    const key = script === '^' ? 'sup' : 'sub';
+                    if (node.type !== 'scripts') node = { type: 'scripts', base: node, sup: null, sub: null };
+                    if (node[key]) throw MathRenderer.syntaxError(`Double ${key === 'sup' ? 'superscript' : 'subscript'}; use braces`);
+                    node[key] = parseArgument();
+                }
+                nodes.push(node);
+            }
+            return nodes;
+        }
+
+        const nodes = parseList(null);
+        if (pos < source.length) {
+            const command = peekCommand();
+            if (peek() === '}') throw MathRenderer.syntaxError('Unbalanced braces: unexpected "}"');
+            if (command === 'right') throw MathRenderer.syntaxError('\\right without matching \\left');
+            if (command === 'end') throw MathRenderer.syntaxError('\\end without matching \\begin');
+            throw MathRenderer.syntaxError(`"${peek() === '&' ? '&' : '\\\\'}" is only allowed inside an environment such as aligned or matrix`);
+        }
+        return nodes;
+    }
+
+    // ------------------------------------------------------------------ layout
+
+    static charWidth(char, font) {
+        let width = MathRenderer.WIDTHS[char];
+        if (width === undefined) {
+            if (/\d/.test(char)) width = 0.5;
+            else if (/[α-ωϑϕϖϱϵ]/.test(char)) width = 0.52;
+            else if (/[Α-Ω]/.test(char)) width = 0.65;
+            else if (/[∑∏∐⋃⋂⨁⨂⋁⋀]/.test(char)) width = 0.8;
+            else if (/[\u{1d400}-\u{1d7ff}ℂℍℕℙℚℝℤℬℰℱℋℐℒℳℛ]/u.test(char)) width = 0.72;
+            else if (/[←→↔⇒⇐⇔↦↑↓]/.test(char)) width = 1;
+            else if (/[⟶⟹⟺]/.test(char)) width = 1.6;
+            else width = 0.56;
+        }
+        if (font === 'bold') width *= 1.08;
+        if (font === 'mono') width = 0.6;
+        return width;
+    }
+
+    static textMetrics(text, font) {
+        let width = 0;
+        let height = 0.45;
+        let depth = 0;
+        for (const char of text) {
+            width += MathRenderer.charWidth(char, font);
+            if (MathRenderer.ASCENDERS.test(char) || !/[a-zα-ω]/.test(char)) height = Math.max(height, 0.69);
+            if (MathRenderer.DESCENDERS.test(char)) depth = Math.max(depth, 0.22);
+            if (/[()[\]{}|‖⟨⟩⌊⌋⌈⌉/]/.test(char)) {
+                height = Math.max(height, 0.75);
+                depth = Math.max(depth, 0.25);
+            }
+        }
+        return { width, height, depth };
+    }
+
+    static box(w, h, d, items = []) {
+        return { w, h, d, items };
+    }
+
+    // Items moved by (dx, dy)
+    static shift(items, dx, dy) {
+        return items.map(item => {
+            if (item.t === 'path') {
+                return { ...item, segs: item.segs.map(([cmd, ...coords]) => [cmd, ...coords.map((value, i) => value + (i % 2 === 0 ? dx : dy))]) };
+            }
+            return { ...item, x: item.x + dx, y: item.y + dy };
+        });
+    }
+
+    static textBox(text, font, scale, italicDefault = false) {
+        const resolved = font || (italicDefault ? 'italic' : 'upright');
+        const mapped = MathRenderer.mapFont(text, resolved);
+        const { width, height, depth } = MathRenderer.textMetrics(mapped, resolved);
+        const item = { t: 'text', x: 0, y: 0, text: mapped, size: scale, font: resolved, width: width * scale };
+        return { ...MathRenderer.box(width * scale, height * scale, depth * scale, [item]), italic: resolved === 'italic' };
+    }
+
+    // Double-struck and script letters have their own Unicode code points
+    static mapFont(text, font) {
+        const specials = {
+            double: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+            script: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ' }
+        };
+        const bases = { double: 0x1d538, script: 0x1d49c };
+        if (!bases[font]) return text;
+        return [...text].map(char => {
+            if (specials[font][char]) return specials[font][char];
+            if (/[A-Z]/.test(char)) return String.fromCodePoint(bases[font] + char.charCodeAt(0) - 65);
+            return char;
+        }).join('');
+    }
+
+    static scaleOf(style) {
+        return MathRenderer.SIZES[Math.min(style.level, 2)];
+    }
+
+    static smaller(style) {
+        return { display: false, level: Math.min(style.level + 1, 2) };
+    }
+
+    /**
+     * Space between two atom classes, as in TeX's inter-atom spacing table
+     */
+    static atomSpace(left, right, style) {
+        const script = style.level > 0;
+        if (!left || !right) return 0;
+        if (left === 'bin' || right === 'bin') return script ? 0 : 4 / 18;
+        if (left === 'rel' || right === 'rel') return script || left === right ? 0 : 5 / 18;
+        if (left === 'op' && (right === 'ord' || right === 'op' || right === 'inner')) return 3 / 18;
+        if (right === 'op' && (left === 'ord' || left === 'close' || left === 'inner')) return 3 / 18;
+        if (left === 'punct') return script ? 0 : 3 / 18;
+        if ((left === 'inner' || right === 'inner') && left !== 'open' && right !== 'close' && right !== 'punct') return script ? 0 : 3 / 18;
+        return 0;
+    }
+
+    static nodeClass(node) {
+        if (node.type === 'scripts') return MathRenderer.nodeClass(node.base);
+        if (node.type === 'sym' || node.type === 'text') return node.cls;
+        if (node.type === 'leftright' || node.type === 'frac') return 'inner';
+        if (node.type === 'space' || node.type === 'style') return null;
+        return 'ord';
+    }
+
+    /**
+     * Lay out a list of nodes side by side with TeX spacing
+     */
+    static layoutList(nodes, style) {
+        const scale = MathRenderer.scaleOf(style);
+        const classes = nodes.map(node => MathRenderer.nodeClass(node));
+
+        // A binary operator with nothing to operate on is an ordinary symbol (-x, a = -b)
+        classes.forEach((cls, i) => {
+            if (cls !== 'bin') return;
+            const previous = classes.slice(0, i).reverse().find(Boolean);
+            const next = classes.slice(i + 1).find(Boolean);
+            if (!previous || ['bin', 'op', 'rel', 'open', 'punct'].includes(previous) || !next || ['rel', 'close', 'punct'].includes(next)) {
+                classes[i] = 'ord';
+            }
+        });
+
+        let x = 0;
+        let h = 0;
+        let d = 0;
+        let items = [];
+        let previousClass = null;
+        let currentStyle = style;
+
+        nodes.forEach((node, i) => {
+            if (node.type === 'style') {
+                currentStyle = { ...currentStyle, display: node.name === 'displaystyle' };
+                return;
+            }
+            const cls = classes[i];
+            if (cls) {
+                x += MathRenderer.atomSpace(previousClass, cls, currentStyle) * scale;
+                previousClass = cls;
+            }
+            const child = MathRenderer.layoutNode(node, currentStyle);
+            items = items.concat(MathRenderer.shift(child.items, x, 0));
+            x += child.w;
+            h = Math.max(h, child.h);
+            d = Math.max(d, child.d);
+        });
+
+        return MathRenderer.box(x, h, d, items);
+    }
+
+    static layoutNode(node, style) {
+        const scale = MathRenderer.scaleOf(style);
+        switch (node.type) {
+            case 'sym':
+                return node.bigop ? MathRenderer.layoutBigOp(node, style) : MathRenderer.textBox(node.text, node.font, scale);
+            case 'text': {
+                const box = MathRenderer.textBox(node.text, node.font || 'upright', scale);
+                box.italic = false;
+                return box;
+            }
+            case 'group':
+                return MathRenderer.layoutList(node.body, style);
+            case 'space':
+                return MathRenderer.box(node.width * scale, 0, 0);
+            case 'scripts':
+                return MathRenderer.layoutScripts(node, style);
+            case 'frac':
+                return MathRenderer.layoutFrac(node, style);
+            case 'sqrt':
+                return MathRenderer.layoutSqrt(node, style);
+            case 'leftright': {
+                const body = MathRenderer.layoutList(node.body, style);
+                return MathRenderer.wrapDelimiters(body, node.left, node.right, scale);
+            }
+            case 'accent':
+                return MathRenderer.layoutAccent(node, style);
+            case 'array':
+                return MathRenderer.layoutArray(node, style);
+            default:
+                return MathRenderer.box(0, 0, 0);
+        }
+    }
+
+    // Big operators are enlarged in display style and centered on the math axis
+    static layoutBigOp(node, style) {
+        const scale = MathRenderer.scaleOf(style);
+        const integral = /[∫∬∭∮]/.test(node.text);
+        const size = scale * (style.display ? (integral ? 2 : 1.45) : (integral ? 1.3 : 1.05));
+        const box = MathRenderer.textBox(node.text, 'upright', size);
+        // Glyph extents: sums sit on the baseline up to cap height, integrals also descend
+        const top = (integral ? 0.78 : 0.72) * size;
+        const bottom = (integral ? -0.22 : 0) * size;
+        const dy = MathRenderer.AXIS * scale - (top + bottom) / 2;
+        return { ...MathRenderer.box(box.w, top + dy, -(bottom + dy), MathRenderer.shift(box.items, 0, dy)), integral };
+    }
+
+    static layoutScripts(node, style) {
+        const scale = MathRenderer.scaleOf(style);
+        const base = MathRenderer.layoutNode(node.base, style);
+        const scriptStyle = MathRenderer.smaller(style);
+        const sup = node.sup ? MathRenderer.layoutNode(node.sup, scriptStyle) : null;
+        const sub = node.sub ? MathRenderer.layoutNode(node.sub, scriptStyle) : null;
+        // Limits above and below: display-style \sum, \lim... and anything marked \limits
+        if (node.base.limits && (style.display || node.base.forceLimits)) {
+            return MathRenderer.stackLimits(base, sup, sub, scale);
+        }
+
+        const isChar = node.base.type === 'sym' && !node.base.bigop;
+        let up = sup ? Math.max(isChar ? 0 : base.h - 0.25 * scale, 0.36 * scale, sup.d + 0.12 * scale) : 0;
+        let down = sub ? Math.max(isChar ? 0 : base.d + 0.1 * scale, (sup ? 0.24 : 0.16) * scale, sub.h - 0.36 * scale) : 0;
+        if (sup && sub) {
+            const gap = (up - sup.d) - (sub.h - down);
+            if (gap < 0.12 * scale) down += 0.12 * scale - gap;
+        }
+
+        // Italic letters lean right, so their superscripts do too
+        const supX = base.w + (base.italic ? 0.05 * scale : 0);
+        const subX = base.w - (base.integral ? 0.12 * scale : 0);
+        let items = base.items.slice();
+        let w = base.w;
+        let h = base.h;
+        let d = base.d;
+        if (sup) {
+            items = items.concat(MathRenderer.shift(sup.items, supX, up));
+            w = Math.max(w, supX + sup.w);
+            h = Math.max(h, up + sup.h);
+        }
+        if (sub) {
+            items = items.concat(MathRenderer.shift(sub.items, subX, -down));
+            w = Math.max(w, subX + sub.w);
+            d = Math.max(d, down + sub.d);
+        }
+        return MathRenderer.box(w + 0.05 * scale, h, d, items);
+    }
+
+    static stackLimits(base, sup, sub, scale) {
+        const gap = 0.12 * scale;
+        const w = Math.max(base.w, sup ? sup.w : 0, sub ? sub.w : 0);
+        let items = MathRenderer.shift(base.items, (w - base.w) / 2, 0);
+        let h = base.h;
+        let d = base.d;
+        if (sup) {
+            const y = base.h + gap + sup.d;
+            items = items.concat(MathRenderer.shift(sup.items, (w - sup.w) / 2, y));
+            h = y + sup.h;
+        }
+        if (sub) {
+            const y = -(base.d + gap + sub.h);
+            items = items.concat(MathRenderer.shift(sub.items, (w - sub.w) / 2, y));
+            d = -y + sub.d;
+        }
+        return MathRenderer.box(w, h, d, items);
+    }
+
+    static layoutFrac(node, style) {
+        const scale = MathRenderer.scaleOf(style);
+        const display = node.style === 'd' || (node.style !== 't' && style.display);
+        const partStyle = display ? { display: false, level: style.level } : MathRenderer.smaller(style);
+        const num = MathRenderer.layoutNode(node.num, partStyle);
+        const den = MathRenderer.layoutNode(node.den, partStyle);
+
+        const axis = MathRenderer.AXIS * scale;
+        const thickness = node.bar === false ? 0 : 0.05 * scale;
+        const gap = (display ? 0.16 : 0.1) * scale;
+        const padding = 0.1 * scale;
+        const w = Math.max(num.w, den.w) + 2 * padding;
+
+        const numY = axis + thickness / 2 + gap + num.d;
+        const denY = axis - thickness / 2 - gap - den.h;
+        let items = [
+            ...MathRenderer.shift(num.items, (w - num.w) / 2, numY),
+            ...MathRenderer.shift(den.items, (w - den.w) / 2, denY)
+        ];
+        if (thickness > 0) {
+            items.push({ t: 'rect', x: padding / 2, y: axis - thickness / 2, w: w - padding, h: thickness });
+        }
+        const box = MathRenderer.box(w, numY + num.h, den.d - denY, items);
+        return node.left ? MathRenderer.wrapDelimiters(box, node.left, node.right, scale) : box;
+    }
+
+    static layoutSqrt(node, style) {
+        const scale = MathRenderer.scaleOf(style);
+        const body = MathRenderer.layoutNode(node.body, style);
+        const thickness = 0.05 * scale;
+        const gap = 0.12 * scale;
+        const top = Math.max(body.h, 0.7 * scale) + gap + thickness;
+        const bottom = Math.max(body.d, 0.05 * scale) + 0.05 * scale;
+        const span = top + bottom;
+        const sign = (0.45 + 0.12 * Math.min(span / scale, 4)) * scale;
+
+        // Index (\sqrt[3]{x}) sits over the short stroke of the radical
+        const index = node.index ? MathRenderer.layoutNode(node.index, { display: false, level: 2 }) : null;
+        const offset = index ? Math.max(0, index.w - 0.5 * sign) : 0;
+
+        const lineY = top - thickness / 2;
+        const end = offset + sign + body.w + 0.08 * scale;
+        const segs = [
+            ['M', offset, -bottom + 0.42 * span],
+            ['L', offset + 0.22 * sign, -bottom + 0.52 * span],
+            ['L', offset + 0.52 * sign, -bottom],
+            ['L', offset + sign, lineY],
+            ['L', end, lineY]
+        ];
+        let items = [
+            { t: 'path', segs, stroke: thickness },
+            ...MathRenderer.shift(body.items, offset + sign + 0.04 * scale, 0)
+        ];
+        let h = top;
+        if (index) {
+            const indexY = -bottom + 0.6 * span + index.d;
+            items = items.concat(MathRenderer.shift(index.items, offset + 0.42 * sign - index.w, indexY));
+            h = Math.max(h, indexY + index.h);
+        }
+        return MathRenderer.box(end + 0.05 * scale, h, bottom, items);
+    }
+
+    static layoutAccent(node, style) {
+        const scale = MathRenderer.scaleOf(style);
+        const body = MathRenderer.layoutNode(node.body, style);
+        const w = body.w;
+        // Over a single italic letter the accent leans right like the letter
+        const lean = body.italic && node.body.type === 'sym' ? 0.06 * scale : 0;
+        const center = w / 2 + lean;
+        const y = body.h + 0.08 * scale;
+        const stroke = 0.045 * scale;
+        const items = body.items.slice();
+        let h = y + 0.12 * scale;
+        let d = body.d;
+
+        switch (node.accent) {
+            case 'bar':
+            case 'overline': {
+                const inset = node.accent === 'bar' ? 0.08 * w : 0;
+                items.push({ t: 'rect', x: inset + lean, y, w: w - 2 * inset, h: stroke });
+                h = y + stroke;
+                break;
+            }
+            case 'underline': {
+                const lineY = -body.d - 0.1 * scale;
+                items.push({ t: 'rect', x: 0, y: lineY - stroke, w, h: stroke });
+                d = -lineY + stroke;
+                h = body.h;
+                break;
+            }
+            case 'vec':
+            case 'overrightarrow': {
+                const start = node.accent === 'vec' ? center - Math.max(w / 2, 0.22 * scale) : 0;
+                const stop = node.accent === 'vec' ? center + Math.max(w / 2, 0.22 * scale) : w;
+                const arrowY = y + 0.06 * scale;
+                items.push({ t: 'path', stroke, segs: [['M', start, arrowY], ['L', stop, arrowY], ['M', stop - 0.12 * scale, arrowY + 0.07 * scale], ['L', stop, arrowY], ['L', stop - 0.12 * scale, arrowY - 0.07 * scale]] });
+                h = arrowY + 0.1 * scale;
+                break;
+            }
+            case 'hat':
+            case 'widehat': {
+                const half = node.accent === 'hat' ? 0.2 * scale : w / 2;
+                items.push({ t: 'path', stroke, segs: [['M', center - half, y], ['L', center, y + 0.15 * scale], ['L', center + half, y]] });
+                h = y + 0.18 * scale;
+                break;
+            }
+            case 'tilde':
+            case 'widetilde': {
+                const half = node.accent === 'tilde' ? 0.2 * scale : w / 2;
+                const mid = y + 0.07 * scale;
+                items.push({ t: 'path', stroke, segs: [['M', center - half, mid - 0.02 * scale], ['C', center - half / 2, mid + 0.12 * scale, center + half / 2, mid - 0.12 * scale, center + half, mid + 0.02 * scale]] });
+                h = y + 0.16 * scale;
+                break;
+            }
+            case 'dot':
+                items.push({ t: 'circle', x: center, y: y + 0.05 * scale, r: 0.05 * scale });
+                break;
+            case 'ddot':
+                items.push({ t: 'circle', x: center - 0.1 * scale, y: y + 0.05 * scale, r: 0.05 * scale });
+                items.push({ t: 'circle', x: center + 0.1 * scale, y: y + 0.05 * scale, r: 0.05 * scale });
+                break;
+        }
+        return { ...MathRenderer.box(w, h, d, items), italic: body.italic };
+    }
+
+    static layoutArray(node, style) {
+        const scale = MathRenderer.scaleOf(style);
+        const cellStyle = { display: node.display, level: style.level };
+        const columnCount = Math.max(...node.rows.map(row => row.length));
+        const alignment = column => {
+            if (node.align === 'rl') return column % 2 === 0 ? 'r' : 'l';
+            if (!node.align) return 'c';
+            return node.align[Math.min(column, node.align.length - 1)];
+        };
+
+        const cells = node.rows.map(row => row.map((cell, column) => {
+            // In aligned, "&= b" keeps the relation's spacing as if something were before it
+            const body = node.align === 'rl' && column % 2 === 1 ? [{ type: 'group', body: [] }, ...cell] : cell;
+            return MathRenderer.layoutList(body, cellStyle);
+        }));
+
+        const columnWidths = Array.from({ length: columnCount }, (_, column) =>
+            Math.max(0, ...cells.map(row => (row[column] ? row[column].w : 0))));
+        const columnGap = column => {
+            if (column === 0) return 0;
+            if (node.align === 'rl') return column % 2 === 0 ? 1.5 * scale : 0;
+            return (node.left === '{' && node.right === '.' ? 1 : 0.8) * scale;
+        };
+
+        // Rows are at least a strut high, plus a little leading
+        const rowHeights = cells.map(row => Math.max(0.7 * scale, ...row.map(cell => cell.h)));
+        const rowDepths = cells.map(row => Math.max(0.3 * scale, ...row.map(cell => cell.d)));
+        const rowGap = (node.display ? 0.25 : 0.15) * scale;
+        const total = rowHeights.reduce((sum, height, i) => sum + height + rowDepths[i], 0) + rowGap * (cells.length - 1);
+        const top = MathRenderer.AXIS * scale + total / 2;
+
+        let items = [];
+        let y = top;
+        let width = 0;
+        cells.forEach((row, r) => {
+            y -= rowHeights[r];
+            let x = 0;
+            columnWidths.forEach((columnWidth, column) => {
+                x += columnGap(column);
+                const cell = row[column];
+                if (cell) {
+                    const align = alignment(column);
+                    const dx = align === 'l' ? 0 : align === 'r' ? columnWidth - cell.w : (columnWidth - cell.w) / 2;
+                    items = items.concat(MathRenderer.shift(cell.items, x + dx, y));
+                }
+                x += columnWidth;
+            });
+            width = Math.max(width, x);
+            y -= rowDepths[r] + rowGap;
+        });
+
+        const padding = node.left ? 0.1 * scale : 0;
+        const box = MathRenderer.box(width + 2 * padding, top, total - top, MathRenderer.shift(items, padding, 0));
+        return node.left ? MathRenderer.wrapDelimiters(box, node.left, node.right, scale) : box;
+    }
+
+    /**
+     * Surround a box with delimiters tall enough to cover it, centered on the axis
+     */
+    static wrapDelimiters(body, left, right, scale) {
+        const axis = MathRenderer.AXIS * scale;
+        const half = Math.max(body.h - axis, body.d + axis, 0.5 * scale) + 0.08 * scale;
+        const leftBox = MathRenderer.delimiter(left, axis, half, scale);
+        const rightBox = MathRenderer.delimiter(right, axis, half, scale);
+        const items = [
+            ...leftBox.items,
+            ...MathRenderer.shift(body.items, leftBox.w, 0),
+            ...MathRenderer.shift(rightBox.items, leftBox.w + body.w, 0)
+        ];
+        return MathRenderer.box(
+            leftBox.w + body.w + rightBox.w,
+            Math.max(body.h, leftBox.h, rightBox.h),
+            Math.max(body.d, leftBox.d, rightBox.d),
+            items
+        );
+    }
+
+    /**
+     * A delimiter spanning axis +/- half: the font glyph when that is tall enough, else a drawn path
+     */
+    static delimiter(char, axis, half, scale) {
+        if (char === '.') return MathRenderer.box(0.12 * scale, 0, 0);
+        if (half <= 0.62 * scale) {
+            return MathRenderer.textBox(char, 'upright', scale);
+        }
+
+        const top = axis + half;
+        const bottom = axis - half;
+        const stroke = 0.055 * scale;
+        const w = (char === '{' || char === '}' ? 0.5 : char === '|' ? 0.28 : char === '‖' ? 0.42 : 0.42) * scale + 0.04 * half;
+        const mirror = segs => segs.map(([cmd, ...coords]) => [cmd, ...coords.map((value, i) => (i % 2 === 0 ? w - value : value))]);
+
+        const shapes = {
+            '(': [['M', 0.8 * w, top], ['Q', 0.05 * w, axis, 0.8 * w, bottom]],
+            '[': [['M', 0.8 * w, top], ['L', 0.3 * w, top], ['L', 0.3 * w, bottom], ['L', 0.8 * w, bottom]],
+            '{': [['M', 0.85 * w, top], ['C', 0.35 * w, top, 0.6 * w, axis, 0.12 * w, axis], ['C', 0.6 * w, axis, 0.35 * w, bottom, 0.85 * w, bottom]],
+            '⟨': [['M', 0.8 * w, top], ['L', 0.2 * w, axis], ['L', 0.8 * w, bottom]],
+            '⌊': [['M', 0.3 * w, top], ['L', 0.3 * w, bottom], ['L', 0.8 * w, bottom]],
+            '⌈': [['M', 0.8 * w, top], ['L', 0.3 * w, top], ['L', 0.3 * w, bottom]],
+            '|': [['M', 0.5 * w, top], ['L', 0.5 * w, bottom]],
+            '‖': [['M', 0.3 * w, top], ['L', 0.3 * w, bottom], ['M', 0.7 * w, top], ['L', 0.7 * w, bottom]],
+            '/': [['M', 0.85 * w, top], ['L', 0.15 * w, bottom]]
+        };
+        const mirrored = { ')': '(', ']': '[', '}': '{', '⟩': '⟨', '⌋': '⌊', '⌉': '⌈' };
+        const segs = shapes[char] || mirror(shapes[mirrored[char]]);
+        return MathRenderer.box(w, top, -bottom, [{ t: 'path', segs, stroke }]);
+    }
+
+    // ------------------------------------------------------------------ output
+
+    static escapeXml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Draw a laid-out box as an inline SVG sized in em, baseline-aligned with the text around it
+     */
+    static toSvg(box, tex, display) {
+        const unit = value => Math.round(value * 100 * 10) / 10;
+        const em = value => `${Math.round(value * 1000) / 1000}em`;
+        const padding = 0.02;
+        const width = box.w + 2 * padding;
+        const height = box.h + box.d + 2 * padding;
+        const fonts = {
+            italic: ' font-style="italic"',
+            bold: ' font-weight="bold"',
+            sans: ' font-family="sans-serif"',
+            mono: ' font-family="monospace"'
+        };
+
+        const shapes = box.items.map(item => {
+            switch (item.t) {
+                case 'text': {
+                    const length = [...item.text].length > 1 ? ` textLength="${unit(item.width)}" lengthAdjust="spacingAndGlyphs"` : '';
+                    return `<text x="${unit(item.x)}" y="${unit(-item.y)}" font-size="${unit(item.size)}"${fonts[item.font] || ''}${length}>${MathRenderer.escapeXml(item.text)}</text>`;
+                }
+                case 'rect':
+                    return `<rect x="${unit(item.x)}" y="${unit(-(item.y + item.h))}" width="${unit(item.w)}" height="${unit(item.h)}"/>`;
+                case 'circle':
+                    return `<circle cx="${unit(item.x)}" cy="${unit(-item.y)}" r="${unit(item.r)}"/>`;
+                case 'path': {
+                    const d = item.segs.map(([cmd, ...coords]) => cmd + coords.map((value, i) => unit(i % 2 === 0 ? value : -value)).join(' ')).join('');
+                    return `<path d="${d}" fill="none" stroke="currentColor" stroke-width="${unit(item.stroke)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+                }
+                default:
+                    return '';
+            }
+        });
+
+        const viewBox = [unit(-padding), unit(-(box.h + padding)), unit(width), unit(height)].join(' ');
+        const label = MathRenderer.escapeXml(tex.trim());
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="math-svg${display ? ' math-display' : ''}" width="${em(width)}" height="${em(height)}" viewBox="${viewBox}" style="vertical-align: -${em(box.d + padding)}" role="img" aria-label="${label}"><title>${label}</title><g fill="currentColor" font-family="${MathRenderer.escapeXml(MathRenderer.FONT_FAMILY)}">${shapes.join('')}</g></svg>`;
+    }
+}
+
+// Export the class for Node build scripts; in the browser it's used as a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MathRenderer;
+}
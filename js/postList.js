@@ -0,0 +1,213 @@
+// postList.js - Posts list rendering: numbered pages or infinite scroll, a page at a time.
+// Cards go in chunks, and chunks far outside the viewport are emptied down to a placeholder
+// of the same height, so long lists keep a small DOM.
+
+class PostListView {
+    // Overridden by site.json postList
+    static DEFAULTS = { pageSize: 12, pagination: 'pages' };
+    // Cards per chunk: 12 fills whole rows at 1 to 4 columns
+    static CHUNK_SIZE = 12;
+    // Chunks this close to the visible part of the list (which scrolls on its own) stay rendered
+    static WINDOW_MARGIN = '1500px 0px';
+    // Infinite scroll loads the next page once the end of the list is this close
+    static LOAD_MARGIN = '600px 0px';
+
+    constructor() {
+        this.options = { ...PostListView.DEFAULTS };
+        this.container = null;
+        this.posts = [];
+        // Posts of each rendered chunk, by the chunk's data-chunk index
+        this.chunks = [];
+        this.page = 1;
+        // Pages shown so far in infinite mode
+        this.loadedPages = 1;
+        this.renderCard = null;
+        this.onRender = null;
+        this.onPageChange = null;
+        this.chunkObserver = null;
+        this.loadObserver = null;
+    }
+
+    /**
+     * Set the page size and pagination ('pages' or 'infinite'), e.g. from site.json
+     */
+    configure(options = {}) {
+        this.options = { ...PostListView.DEFAULTS, ...options };
+    }
+
+    pageCount() {
+        return Math.max(1, Math.ceil(this.posts.length / this.options.pageSize));
+    }
+
+    /**
+     * Show posts in the container. renderCard(post) returns a card's HTML, onRender(element)
+     * is called for every chunk of cards put in the page, and onPageChange(page) when a page
+     * number is picked. With restore, infinite scroll brings back as many pages as were loaded
+     * on this history entry, so going back to the list returns to the same spot.
+     */
+    render(container, posts, { page = 1, restore = false, renderCard, onRender = null, onPageChange = null }) {
+        this.disconnect();
+        this.container = container;
+        this.posts = posts;
+        this.chunks = [];
+        this.renderCard = renderCard;
+        this.onRender = onRender;
+        this.onPageChange = onPageChange;
+
+        const { pageSize } = this.options;
+        let visible;
+        if (this.options.pagination === 'infinite') {
+            const savedPages = restore ? Number(history.state?.listPages) || 1 : 1;
+            this.loadedPages = Math.min(savedPages, this.pageCount());
+            if (!restore) window.router?.updateState({ listPages: 1 });
+            visible = posts.slice(0, this.loadedPages * pageSize);
+        } else {
+            this.page = Math.min(Math.max(1, page), this.pageCount());
+            visible = posts.slice((this.page - 1) * pageSize, this.page * pageSize);
+        }
+
+        container.innerHTML = this.chunksHTML(visible) + this.footerHTML();
+        this.watchChunks(container.querySelectorAll('.posts-chunk'));
+        this.setupFooter();
+    }
+
+    /**
+     * HTML for posts split into chunks, numbered after the chunks already rendered
+     */
+    chunksHTML(posts) {
+        let html = '';
+        for (let start = 0; start < posts.length; start += PostListView.CHUNK_SIZE) {
+            const chunk = posts.slice(start, start + PostListView.CHUNK_SIZE);
+            html += `<div class="posts-chunk" data-chunk="${this.chunks.length}">${chunk.map(this.renderCard).join('')}</div>`;
+            this.chunks.push(chunk);
+        }
+        return html;
+    }
+
+    footerHTML() {
+        if (this.options.pagination === 'infinite') {
+            const remaining = this.posts.length - this.loadedPages * this.options.pageSize;
+            return remaining > 0
+                ? `<div class="posts-load-more"><button type="button">Load more (${remaining} left)</button></div>`
+                : '';
+        }
+        return this.paginationHTML();
+    }
+
+    /**
+     * Previous/next and page numbers: the first, last, current and its neighbours, with gaps
+     */
+    paginationHTML() {
+        const pages = this.pageCount();
+        if (pages <= 1) return '';
+
+        const current = this.page;
+        const shown = [...new Set([1, current - 1, current, current + 1, pages])]
+            .filter(page => page >= 1 && page <= pages)
+            .sort((a, b) => a - b);
+        const button = (page, label, attrs = '') => `<button type="button" data-page="${page}" ${attrs}>${label}</button>`;
+
+        const numbers = shown.map((page, index) => {
+            const gap = index > 0 && page - shown[index - 1] > 1 ? '<span class="posts-pagination-gap">&hellip;</span>' : '';
+            const attrs = page === current ? `aria-current="page" aria-label="Page ${page}"` : `aria-label="Page ${page}"`;
+            return gap + button(page, page, attrs);
+        }).join('');
+
+        return `
+            <nav class="posts-pagination" aria-label="Pages">
+                ${button(current - 1, '&lsaquo;', `aria-label="Previous page" ${current === 1 ? 'disabled' : ''}`)}
+                ${numbers}
+                ${button(current + 1, '&rsaquo;', `aria-label="Next page" ${current === pages ? 'disabled' : ''}`)}
+            </nav>
+        `;
+    }
+
+    setupFooter() {
+        const pagination = this.container.querySelector('.posts-pagination');
+        if (pagination) {
+            pagination.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-page]');
+                if (!button || button.disabled || !this.onPageChange) return;
+                this.onPageChange(Number(button.dataset.page));
+                this.container.scrollTop = 0;
+                this.container.scrollIntoView({ block: 'start' });
+            });
+        }
+
+        const loadMore = this.container.querySelector('.posts-load-more');
+        if (loadMore) {
+            // The button covers keyboards and browsers without IntersectionObserver
+            loadMore.querySelector('button').addEventListener('click', () => this.loadMore());
+            if ('IntersectionObserver' in window) {
+                this.loadObserver = new IntersectionObserver((entries) => {
+                    if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+                }, { root: this.container, rootMargin: PostListView.LOAD_MARGIN });
+                this.loadObserver.observe(loadMore);
+            }
+        }
+    }
+
+    /**
+     * Infinite scroll: add the next page above the load-more footer
+     */
+    loadMore() {
+        const footer = this.container?.querySelector('.posts-load-more');
+        if (!footer) return;
+
+        const { pageSize } = this.options;
+        const next = this.posts.slice(this.loadedPages * pageSize, (this.loadedPages + 1) * pageSize);
+        const firstChunk = this.chunks.length;
+        footer.insertAdjacentHTML('beforebegin', this.chunksHTML(next));
+        this.loadedPages++;
+        window.router?.updateState({ listPages: this.loadedPages });
+        this.watchChunks([...this.container.querySelectorAll('.posts-chunk')].slice(firstChunk));
+
+        // Replace the footer so its count updates; a fresh observer fires again if it's still in view
+        this.loadObserver?.disconnect();
+        this.loadObserver = null;
+        footer.remove();
+        this.container.insertAdjacentHTML('beforeend', this.footerHTML());
+        this.setupFooter();
+    }
+
+    /**
+     * Call onRender for new chunks and empty or refill them as they leave or near the viewport
+     */
+    watchChunks(chunks) {
+        if (!this.chunkObserver && 'IntersectionObserver' in window) {
+            this.chunkObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => this.setChunkRendered(entry.target, entry.isIntersecting));
+            }, { root: this.container, rootMargin: PostListView.WINDOW_MARGIN });
+        }
+        chunks.forEach(chunk => {
+            if (this.onRender) this.onRender(chunk);
+            this.chunkObserver?.observe(chunk);
+        });
+    }
+
+    setChunkRendered(chunk, rendered) {
+        const emptied = chunk.hasAttribute('data-emptied');
+        if (rendered && emptied) {
+            chunk.innerHTML = this.chunks[chunk.dataset.chunk].map(this.renderCard).join('');
+            chunk.style.height = '';
+            chunk.removeAttribute('data-emptied');
+            if (this.onRender) this.onRender(chunk);
+        } else if (!rendered && !emptied && !chunk.contains(document.activeElement)) {
+            // Keep the space it took so the scroll position doesn't jump
+            chunk.style.height = `${chunk.offsetHeight}px`;
+            chunk.innerHTML = '';
+            chunk.setAttribute('data-emptied', '');
+        }
+    }
+
+    disconnect() {
+        // The next render may use another container, which its observers need as their root
+        this.chunkObserver?.disconnect();
+        this.chunkObserver = null;
+        this.loadObserver?.disconnect();
+        this.loadObserver = null;
+    }
+}
+
+// Create global instance
+window.postListView = new PostListView();
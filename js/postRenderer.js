@@ -1,22 +1,116 @@
 // postRenderer.js - Render post content blocks and manage gallery
 
 class PostRenderer {
+    // Inline $tex$, as in Pandoc: no space just inside the dollars and no digit right
+    // after the closing one, so "$5 and $10" stays text
+    static INLINE_MATH = /^\$(?=\S)((?:\\.|[^$\\])*?[^\s\\])\$(?!\d)/;
+
+    // Element ids the app shell, post page and lightbox use; headings that slug to one get
+    // -2, -3... Slugs shaped like ids the renderer and archive generate get a section- prefix
+    static RESERVED_IDS = new Set([
+        'about', 'accomplishments', 'app', 'content', 'featured-posts-container', 'footer', 'header',
+        'home-top-section', 'post-container', 'post-gallery-modal', 'posts-container', 'posts-filter-area',
+        'posts-header', 'posts-section', 'view-toggle', 'work-history',
+        'filter-category', 'filter-clear', 'filter-date', 'filter-gallery', 'filter-grid-btn', 'filter-list-btn',
+        'filter-search', 'filter-sort', 'filter-tags-btn', 'filter-tags-menu',
+        'gallery-caption', 'gallery-current', 'gallery-filename', 'gallery-img', 'gallery-info', 'gallery-stage',
+        'gallery-thumbnails', 'gallery-total'
+    ]);
+    static GENERATED_ID = /^(fnref-.+|fn-.+|tabs-\d+-(tab|panel)-\d+|archive-\d+)$/;
+
+    /**
+     * Where a post can be seen at a given time:
+     * - 'draft': only in preview mode
+     * - 'scheduled': published or unlisted, but publishAt is still ahead; hidden like a draft
+     * - 'unlisted': at its own URL, but not in lists, feeds or search
+     * - 'published': everywhere
+     * Works on full posts and posts/index.json entries; the build and loadPosts both use it.
+     */
+    static postStatus(post, now = new Date()) {
+        const status = post.status || 'published';
+        if (status === 'draft') return 'draft';
+        const publishAt = PostRenderer.publishTime(post);
+        if (publishAt && publishAt > now) return 'scheduled';
+        return status;
+    }
+
+    /**
+     * publishAt as a Date (null if unset or invalid). A date alone means midnight UTC, and
+     * so does a time without an offset, so the build and every reader agree.
+     */
+    static publishTime(post) {
+        if (!post.publishAt) return null;
+        const value = /T\d{2}:\d{2}(:\d{2})?$/.test(post.publishAt) ? `${post.publishAt}Z` : post.publishAt;
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    /**
+     * Path of a tag's page; the parts of a hierarchical tag stay readable (/tags/aws/lambda)
+     */
+    static tagPath(tag) {
+        return `/tags/${String(tag).split('/').map(encodeURIComponent).join('/')}`;
+    }
+
     constructor() {
         this.currentPost = null;
         this.galleryImages = [];
         this.loadedGalleryImages = [];
-        this.currentGalleryImages = [];
-        this.currentImageIndex = 0;
         this.imageLoadStatus = new Map();
+        // Viewable gallery images of each rendered post (post id -> images for the lightbox)
+        this.galleries = new Map();
+        this.lightbox = null;
+        this.galleryPostId = null;
+        // Called when the user opens, moves through or closes the lightbox (see setupGallery)
+        this.onGalleryChange = null;
+        // CSV table sources of the current post: URL -> parsed rows (null if it failed to load)
+        this.tableSources = new Map();
+        // Math and diagram SVGs: figure key -> svg (null if the source doesn't render)
+        this.figures = new Map();
+        // Figures used by the post being rendered, and the engines ('math', 'diagram') it lacked
+        this.renderedFigures = new Map();
+        this.missingFigures = new Set();
+        this.figureScripts = { math: 'js/mathRenderer.js', diagram: 'js/diagramRenderer.js' };
+        // Sizes and responsive variants from img/images.json (scripts/build-images.js), by image key
+        this.images = new Map();
+        this.imagesLoaded = null;
+        // Rendered width of each kind of image, for the sizes attribute
+        this.imageSizes = {
+            banner: '(max-width: 900px) 100vw, 900px',
+            content: '(max-width: 900px) 100vw, 900px',
+            gallery: '(max-width: 768px) 50vw, 300px',
+            card: '(max-width: 768px) 50vw, 240px',
+            timeline: '250px'
+        };
+        // Headings of the post being rendered, collected for ids and the table of contents
+        this.headings = [];
+        this.usedHeadingIds = new Set();
+        // Footnote id -> number, in order of first reference
+        this.footnoteNumbers = new Map();
+        // Footnote id -> slug for its fn-/fnref- element ids, unique even when ids slug alike
+        this.footnoteSlugs = new Map();
+        // Tab groups rendered so far, for unique tab/panel ids
+        this.tabGroupCount = 0;
+        this.tocMinHeadings = 3;
+        this.tocObserver = null;
         this.placeholderImage = '/img/placeholder.png';
         // Data URI as ultimate fallback if placeholder.png fails
+        // Global in the browser (js/highlighter.js); required when loaded by Node build scripts
+        this.highlighter = typeof SyntaxHighlighter !== 'undefined' ? SyntaxHighlighter : require('./highlighter.js');
+        this.sanitizer = typeof HtmlSanitizer !== 'undefined' ? HtmlSanitizer : require('./sanitizer.js');
         this.fallbackDataURI = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="800" height="600"%3E%3Crect fill="%23f0f0f0" width="800" height="600"/%3E%3Ctext x="50%25" y="50%25" dominant-baseline="middle" text-anchor="middle" font-family="Arial" font-size="24" fill="%23999"%3EImage Not Available%3C/text%3E%3C/svg%3E';
-        this.init();
+        // No DOM when loaded by Node build scripts
+        if (typeof document !== 'undefined') {
+            this.init();
+        }
     }
 
     init() {
         this.loadStylesheet();
-        this.setupGalleryModal();
+        this.setupGallery();
+        this.setupCodeCopy();
+        this.setupTabs();
+        this.setupTableSort();
     }
 
     /**
@@ -35,13 +129,37 @@ class PostRenderer {
      * Render all blocks for a post
      */
     async renderPost(container, post) {
+        this.setCurrentPost(post);
+        
+        // Preload and validate all gallery images, and fetch CSV table data and pre-rendered figures
+        await this.loadImages();
+        await this.preloadGalleryImages();
+        await this.loadTableSources();
+        await this.loadFigures();
+
+        let html = this.buildPostHTML(post);
+        // Figures the build didn't render (post not prebuilt yet): draw them here instead
+        if (this.missingFigures.size > 0 && await this.loadFigureEngines()) {
+            html = this.buildPostHTML(post);
+        }
+        container.innerHTML = html;
+        this.setupTableOfContents(container, post.id);
+    }
+
+    /**
+     * Set the post being rendered and its gallery
+     */
+    setCurrentPost(post) {
         this.currentPost = post;
         // Support both old format (post.images.gallery) and new format (post.gallery)
         this.galleryImages = (post.gallery) || (post.images && post.images.gallery) || [];
-        
-        // Preload and validate all gallery images
-        await this.preloadGalleryImages();
+    }
 
+    /**
+     * Build the article HTML for the current post without touching the DOM.
+     * Also used by scripts/prerender-posts.js to emit static pages.
+     */
+    buildPostHTML(post) {
         // Determine thumbnail (support old and new formats)
         const thumbnailSrc = post.image || (post.images && post.images.thumbnail);
         
@@ -52,10 +170,10 @@ class PostRenderer {
 
         // Render header; banner (thumbnail) will be shown above title when present
         let html = `
-            <article class="post-article">
+            <article class="post-article" data-post-id="${this.escapeHtml(post.id)}">
                 ${thumbnailSrc ? `
                     <div class="post-banner">
-                        <img src="${bannerSrc}" alt="${this.escapeHtml(post.title)}" onerror="if(!this.hasAttribute('data-fallback-tried')){this.setAttribute('data-fallback-tried','true');this.src='${this.fallbackDataURI}';}" />
+                        ${this.imageHTML(bannerSrc, { alt: post.title, sizes: this.imageSizes.banner, attrs: 'fetchpriority="high"' })}
                     </div>
                 ` : ''}
 
@@ -66,7 +184,7 @@ class PostRenderer {
                         ${post.tags && post.tags.length > 0 ? `
                             <div class="post-tags">
                                 ${post.tags.map(tag => 
-                                    `<span class="tag">${this.escapeHtml(tag)}</span>`
+                                    `<a class="tag" href="${this.escapeHtml(PostRenderer.tagPath(tag))}">${this.escapeHtml(tag)}</a>`
                                 ).join('')}
                             </div>
                         ` : ''}
@@ -74,18 +192,15 @@ class PostRenderer {
                 </div>
         `;
 
-        // Render content blocks
-        html += '<div class="post-content">';
-        if (post.content && typeof post.content === 'string') {
-            // New format: direct HTML string
-            html += post.content;
-        } else if (post.content && post.content.blocks && post.content.blocks.length > 0) {
-            // Old format: block array
-            html += post.content.blocks
-                .map(block => this.renderBlock(block, post))
-                .join('');
-        }
-        html += '</div>';
+        // Render content blocks, with a table of contents beside them when there are enough headings
+        const contentHTML = this.buildContentHTML(post);
+        const toc = this.buildTableOfContents(post);
+        html += `
+                <div class="post-body${toc ? ' has-toc' : ''}">
+                    ${toc}
+                    <div class="post-content">${contentHTML}</div>
+                </div>
+        `;
 
         // Render gallery only with loaded images
         if (this.loadedGalleryImages && this.loadedGalleryImages.length > 0) {
@@ -97,8 +212,8 @@ class PostRenderer {
                     <h2>Gallery</h2>
                     <div class="post-gallery-grid">
                         ${displayImages.map((img, idx) => `
-                            <div class="post-gallery-item" data-image-index="${idx}" ${img.isPlaceholder ? 'data-placeholder="true"' : ''}>
-                                <img src="${img.src}" alt="${this.escapeHtml(img.alt)}" class="post-image ${img.isPlaceholder ? '' : 'clickable'}" data-loaded="${!img.isPlaceholder}" onerror="if(!this.hasAttribute('data-fallback-tried')){this.setAttribute('data-fallback-tried','true');this.src='${this.fallbackDataURI}';}" />
+                            <div class="post-gallery-item" data-image-index="${idx}" ${img.isPlaceholder ? 'data-placeholder="true" title="Image not available"' : ''}>
+                                ${this.imageHTML(img.src, { alt: img.alt, sizes: this.imageSizes.gallery, attrs: `class="post-image ${img.isPlaceholder ? '' : 'clickable'}" data-loaded="${!img.isPlaceholder}" loading="lazy"` })}
                                 ${img.caption && !img.isPlaceholder ? `<div class="gallery-caption">${this.escapeHtml(img.caption)}</div>` : ''}
                                 ${img.isPlaceholder ? `<div class="gallery-caption placeholder-label">Image unavailable</div>` : ''}
                             </div>
@@ -111,7 +226,7 @@ class PostRenderer {
                                         <span class="show-all-text">View All</span>
                                     </div>
                                 </div>
-                                <img src="${this.loadedGalleryImages[3].src}" alt="View all images" class="post-image" data-loaded="true" onerror="if(!this.hasAttribute('data-fallback-tried')){this.setAttribute('data-fallback-tried','true');this.src='${this.fallbackDataURI}';}" />
+                                ${this.imageHTML(this.loadedGalleryImages[3].src, { alt: 'View all images', sizes: this.imageSizes.gallery, attrs: 'class="post-image" data-loaded="true" loading="lazy"' })}
                             </div>
                         ` : ''}
                     </div>
@@ -121,10 +236,30 @@ class PostRenderer {
 
         html += '</article>';
 
-        container.innerHTML = html;
+        return html;
+    }
 
-        // Setup gallery click handlers
-        this.setupGalleryHandlers(post);
+    /**
+     * Build the post body: the HTML string or the rendered block array
+     */
+    buildContentHTML(post) {
+        this.headings = [];
+        this.usedHeadingIds = new Set();
+        this.footnoteNumbers = new Map();
+        this.footnoteSlugs = new Map();
+        this.tabGroupCount = 0;
+        this.renderedFigures = new Map();
+        this.missingFigures = new Set();
+
+        if (post.content && typeof post.content === 'string') {
+            // New format: direct HTML string, reduced to the sanitizer's allowlist
+            return this.addHeadingIds(this.sanitizer.sanitize(post.content));
+        }
+        if (post.content && post.content.blocks && post.content.blocks.length > 0) {
+            // Old format: block array
+            return this.renderBlocks(post.content.blocks, post) + this.buildFootnotesHTML(post);
+        }
+        return '';
     }
 
     /**
@@ -133,28 +268,25 @@ class PostRenderer {
     renderBlock(block, post) {
         switch (block.type) {
             case 'paragraph':
-                return `<p class="block-paragraph">${this.escapeHtml(block.text)}</p>`;
+                return `<p class="block-paragraph">${this.renderInline(block.text)}</p>`;
 
             case 'heading':
                 const headingClass = `block-heading heading-${block.level}`;
-                return `<h${block.level} class="${headingClass}">${this.escapeHtml(block.text)}</h${block.level}>`;
+                const headingId = this.registerHeading(block.text, block.level);
+                return `<h${block.level} id="${headingId}" class="${headingClass}">${this.escapeHtml(block.text)}</h${block.level}>`;
 
             case 'list':
                 const tag = block.ordered ? 'ol' : 'ul';
                 const items = block.items
-                    .map(item => `<li>${this.escapeHtml(item)}</li>`)
+                    .map(item => `<li>${this.renderInline(item)}</li>`)
                     .join('');
                 return `<${tag} class="block-list block-list-${tag}">${items}</${tag}>`;
 
             case 'code':
-                return `
-                    <pre class="block-code"><code class="language-${block.language || 'plaintext'}">
-${this.escapeHtml(block.text)}
-                    </code></pre>
-                `;
+                return this.renderCodeBlock(block);
 
             case 'blockquote':
-                return `<blockquote class="block-quote"><p>${this.escapeHtml(block.text)}</p></blockquote>`;
+                return `<blockquote class="block-quote"><p>${this.renderInline(block.text)}</p></blockquote>`;
 
             case 'image':
                 const imgData = this.galleryImages.find(img => img.id === block.imageId);
@@ -166,15 +298,9 @@ ${this.escapeHtml(block.text)}
                 const clickableClass = isLoaded ? 'post-image clickable' : 'post-image';
 
                 return `
-                    <figure class="block-image" data-image-id="${block.imageId}">
+                    <figure class="block-image" data-image-id="${this.escapeHtml(block.imageId)}">
                         <div class="image-container">
-                            <img 
-                                src="${imgSrc}" 
-                                alt="${this.escapeHtml(imgData.alt)}"
-                                class="${clickableClass}"
-                                ${isLoaded ? 'data-loaded="true"' : 'data-loaded="false"'}
-                                onerror="if(!this.hasAttribute('data-fallback-tried')){this.setAttribute('data-fallback-tried','true');this.src='${this.fallbackDataURI}';}"
-                            >
+                            ${this.imageHTML(imgSrc, { alt: imgData.alt, sizes: this.imageSizes.content, attrs: `class="${clickableClass}" data-loaded="${isLoaded}"` })}
                         </div>
                         ${block.caption || imgData.caption ? `
                             <figcaption>${this.escapeHtml(block.caption || imgData.caption)}</figcaption>
@@ -183,37 +309,70 @@ ${this.escapeHtml(block.text)}
                 `;
 
             case 'link':
-                return `<p class="block-link"><a href="${this.escapeHtml(block.href)}" target="_blank" rel="noopener">${this.escapeHtml(block.text)}</a></p>`;
+                return `<p class="block-link"><a href="${this.escapeHtml(this.safeUrl(block.href) ?? '#')}" target="_blank" rel="noopener">${this.escapeHtml(block.text)}</a></p>`;
 
             case 'two-column':
                 return `
-                    <div class="block-two-column">
+                    <div class="block-columns block-two-column">
                         <div class="column column-left">
-                            ${block.left ? this.escapeHtml(block.left) : ''}
+                            ${this.renderColumn(block.left, post)}
                         </div>
                         <div class="column column-right">
-                            ${block.right ? this.escapeHtml(block.right) : ''}
+                            ${this.renderColumn(block.right, post)}
                         </div>
                     </div>
                 `;
 
+            case 'columns':
+                const columns = Array.isArray(block.columns) ? block.columns : [];
+                return `
+                    <div class="block-columns">
+                        ${columns.map(column => `<div class="column">${this.renderColumn(column, post)}</div>`).join('')}
+                    </div>
+                `;
+
             case 'callout':
                 const calloutType = block.calloutType || 'info';
                 return `
                     <div class="block-callout callout-${calloutType}">
                         ${block.title ? `<div class="callout-title">${this.escapeHtml(block.title)}</div>` : ''}
-                        <div class="callout-content">${this.escapeHtml(block.text)}</div>
+                        <div class="callout-content">
+                            ${block.text ? this.renderInline(block.text) : ''}
+                            ${this.renderBlocks(block.blocks, post)}
+                        </div>
                     </div>
                 `;
 
+            case 'details':
+                return `
+                    <details class="block-details"${block.open ? ' open' : ''}>
+                        <summary>${this.renderInline(block.summary || 'Details', { links: false })}</summary>
+                        <div class="details-content">${this.renderBlocks(block.blocks, post)}</div>
+                    </details>
+                `;
+
+            case 'tabs':
+                return this.renderTabs(block, post);
+
+            case 'table':
+                return this.renderTable(block);
+
+            case 'math':
+                return this.renderFigureBlock('math', block);
+
+            case 'diagram':
+                return this.renderFigureBlock('diagram', block);
+
             case 'divider':
                 return `<hr class="block-divider">`;
 
             case 'video':
+                const videoUrl = this.safeUrl(block.url);
+                if (!videoUrl) return '';
                 return `
                     <div class="block-video">
                         <iframe 
-                            src="${this.escapeHtml(block.url)}" 
+                            src="${this.escapeHtml(videoUrl)}" 
                             frameborder="0" 
                             allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" 
                             allowfullscreen
@@ -229,64 +388,783 @@ ${this.escapeHtml(block.text)}
     }
 
     /**
-     * Setup gallery modal
+     * Render a list of blocks; container blocks call this for their children
      */
-    setupGalleryModal() {
-        if (document.getElementById('post-gallery-modal')) return;
+    renderBlocks(blocks, post) {
+        return (Array.isArray(blocks) ? blocks : [])
+            .map(block => this.renderBlock(block, post))
+            .join('');
+    }
 
-        const modalHTML = `
-            <div id="post-gallery-modal" class="gallery-modal hidden" role="dialog" aria-modal="true">
-                <div class="gallery-overlay" onclick="postRenderer?.closeGallery()" aria-hidden="true"></div>
-                <div class="gallery-container" role="document">
-                    <button class="gallery-close" onclick="postRenderer?.closeGallery()" aria-label="Close gallery">&times;</button>
+    /**
+     * Column content is either inline-markup text (the original two-column format) or a block list
+     */
+    renderColumn(content, post) {
+        if (Array.isArray(content)) return this.renderBlocks(content, post);
+        return content ? this.renderInline(content) : '';
+    }
 
-                    <div class="gallery-main">
-                        <button class="gallery-nav gallery-prev" onclick="postRenderer?.previousImage()" aria-label="Previous image">❮</button>
+    /**
+     * Tab strip plus one panel per tab. Every panel is in the markup so pre-rendered pages
+     * and feeds keep the content; setupTabs switches between them.
+     */
+    renderTabs(block, post) {
+        const tabs = Array.isArray(block.tabs) ? block.tabs : [];
+        if (tabs.length === 0) return '';
 
-                        <div class="gallery-image-wrap">
-                            <img id="gallery-img" src="" alt="">
-                            <div class="gallery-filename" id="gallery-filename"></div>
-                        </div>
+        const groupId = `tabs-${++this.tabGroupCount}`;
+        const buttons = tabs.map((tab, index) => `
+                            <button type="button" role="tab" class="tab-button" id="${groupId}-tab-${index}" aria-controls="${groupId}-panel-${index}" aria-selected="${index === 0}"${index === 0 ? '' : ' tabindex="-1"'}>${this.escapeHtml(tab.label || `Tab ${index + 1}`)}</button>`).join('');
+        const panels = tabs.map((tab, index) => `
+                        <div role="tabpanel" class="tab-panel" id="${groupId}-panel-${index}" aria-labelledby="${groupId}-tab-${index}"${index === 0 ? '' : ' hidden'}>
+                            ${this.renderBlocks(tab.blocks, post)}
+                        </div>`).join('');
 
-                        <button class="gallery-nav gallery-next" onclick="postRenderer?.nextImage()" aria-label="Next image">❯</button>
+        return `
+                    <div class="block-tabs">
+                        <div class="tab-list" role="tablist">${buttons}
+                        </div>${panels}
                     </div>
+        `;
+    }
 
-                    <div class="gallery-footer">
-                        <div class="gallery-counter">
-                            <span id="gallery-current">1</span> / <span id="gallery-total">1</span>
-                        </div>
-                    </div>
+    /**
+     * Tab switching for tabs blocks: click, and arrow/Home/End keys within a tab strip
+     * (delegated, so pre-rendered and cached posts work too)
+     */
+    setupTabs() {
+        const select = (button) => {
+            const tabList = button.closest('.tab-list');
+            tabList.querySelectorAll('.tab-button').forEach(tab => {
+                const selected = tab === button;
+                tab.setAttribute('aria-selected', String(selected));
+                tab.tabIndex = selected ? 0 : -1;
+                const panel = document.getElementById(tab.getAttribute('aria-controls'));
+                if (panel) panel.hidden = !selected;
+            });
+        };
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.tab-button');
+            if (button) select(button);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            const button = e.target.closest && e.target.closest('.tab-button');
+            if (!button) return;
+
+            const tabs = [...button.closest('.tab-list').querySelectorAll('.tab-button')];
+            const index = tabs.indexOf(button);
+            const next = {
+                ArrowRight: tabs[(index + 1) % tabs.length],
+                ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+                Home: tabs[0],
+                End: tabs[tabs.length - 1]
+            }[e.key];
+            if (!next) return;
+
+            e.preventDefault();
+            select(next);
+            next.focus();
+        });
+    }
+
+    /**
+     * Render a table block from inline header/rows or a CSV source, with optional
+     * caption, per-column alignment and sortable columns
+     */
+    renderTable(block) {
+        let headerRows = this.normalizeTableHeader(block.header);
+        let bodyRows = Array.isArray(block.rows) ? block.rows : [];
 
-                    <div class="gallery-caption-box">
-                        <div class="gallery-caption" id="gallery-caption"></div>
+        if (block.src) {
+            const url = this.tableSourceUrl(block.src);
+            const rows = this.tableSources.get(url);
+            if (!rows) {
+                // Not loaded (or failed): link to the data instead
+                return `<p class="block-table-fallback"><a href="${this.escapeHtml(url)}">${this.escapeHtml(block.caption || 'Table data')} (CSV)</a></p>`;
+            }
+            const headerCount = block.headerRows ?? 1;
+            headerRows = rows.slice(0, headerCount);
+            bodyRows = rows.slice(headerCount);
+        }
+
+        const align = Array.isArray(block.align) ? block.align : [];
+        const alignClass = index => (['center', 'right'].includes(align[index]) ? ` class="align-${align[index]}"` : '');
+        const sortable = block.sortable === true && bodyRows.length > 1;
+        const lastHeader = headerRows.length - 1;
+
+        const head = headerRows.map((row, rowIndex) => `
+                            <tr>${row.map((cell, index) => {
+                                // Sort buttons go in the last header row, which labels the columns
+                                const sortButton = sortable && rowIndex === lastHeader;
+                                const content = sortButton
+                                    ? `<button type="button" class="table-sort" data-column="${index}">${this.renderInline(cell, { links: false })}</button>`
+                                    : this.renderInline(cell);
+                                return `<th scope="col"${alignClass(index)}>${content}</th>`;
+                            }).join('')}</tr>`).join('');
+        const body = bodyRows.map(row => `
+                            <tr>${row.map((cell, index) => `<td${alignClass(index)}>${this.renderInline(cell)}</td>`).join('')}</tr>`).join('');
+        const caption = block.caption ? this.escapeHtml(block.caption) : '';
+
+        return `
+                    <div class="block-table" role="region" tabindex="0"${caption ? ` aria-label="${caption}"` : ''}>
+                        <table${sortable ? ' class="sortable"' : ''}>
+                            ${caption ? `<caption>${caption}</caption>` : ''}
+                            ${head ? `<thead>${head}
+                            </thead>` : ''}
+                            <tbody>${body}
+                            </tbody>
+                        </table>
                     </div>
+        `;
+    }
+
+    /**
+     * Table header as a list of rows: accepts one row (["A", "B"]) or several ([["A", "B"], [...]])
+     */
+    normalizeTableHeader(header) {
+        if (!Array.isArray(header) || header.length === 0) return [];
+        return Array.isArray(header[0]) ? header : [header];
+    }
+
+    /**
+     * CSV sources are file names in the post's image folder (img/posts/<id>/); site paths are kept
+     */
+    tableSourceUrl(src, post = this.currentPost) {
+        if (src.startsWith('/')) return src;
+        const id = post ? encodeURIComponent(post.id) : '';
+        return `/img/posts/${id}/${src.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    /**
+     * Load and parse the CSV files referenced by the current post's table blocks.
+     * readText resolves to a file's text (defaults to fetching it in the browser).
+     */
+    async loadTableSources(readText = url => fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+    })) {
+        this.tableSources = new Map();
+        const urls = new Set();
+        const collect = blocks => (Array.isArray(blocks) ? blocks : []).forEach(block => {
+            if (!block) return;
+            if (block.type === 'table' && typeof block.src === 'string') urls.add(this.tableSourceUrl(block.src));
+            // Tables inside container blocks
+            [block.blocks, block.left, block.right, ...(block.columns || []), ...(block.tabs || []).map(tab => tab && tab.blocks)]
+                .forEach(children => collect(children));
+        });
+        collect(this.currentPost && this.currentPost.content && this.currentPost.content.blocks);
+
+        await Promise.all([...urls].map(async url => {
+            try {
+                this.tableSources.set(url, this.parseCsv(await readText(url)));
+            } catch (error) {
+                console.warn(`Table data ${url} could not be loaded:`, error);
+                this.tableSources.set(url, null);
+            }
+        }));
+    }
+
+    /**
+     * Parse CSV (RFC 4180: quoted fields, "" escapes, newlines inside quotes) into rows of strings
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const source = String(text).replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) throw new SyntaxError('Unterminated quoted field');
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        // Blank lines are not rows
+        return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+    }
+
+    /**
+     * Column sorting for sortable tables: ascending, then descending, then the original order
+     * (delegated, so pre-rendered and cached posts work too)
+     */
+    setupTableSort() {
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        const cellValue = (row, column) => (row.cells[column] ? row.cells[column].textContent.trim() : '');
+        // "1,200", "$3.50" and "-4%" sort as numbers
+        const toNumber = text => {
+            const number = Number(text.replace(/[,$%\s]/g, ''));
+            return text !== '' && !Number.isNaN(number) ? number : null;
+        };
+        const compare = (a, b) => {
+            const [numberA, numberB] = [toNumber(a), toNumber(b)];
+            return numberA !== null && numberB !== null ? numberA - numberB : collator.compare(a, b);
+        };
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.table-sort');
+            if (!button) return;
+
+            const header = button.closest('th');
+            const table = button.closest('table');
+            const tbody = table.tBodies[0];
+            const column = Number(button.dataset.column);
+            const next = { none: 'ascending', ascending: 'descending', descending: 'none' }[header.getAttribute('aria-sort') || 'none'];
+
+            table.querySelectorAll('th[aria-sort]').forEach(th => th.removeAttribute('aria-sort'));
+            const rows = [...tbody.rows];
+            rows.forEach((row, index) => {
+                if (!row.dataset.order) row.dataset.order = index;
+            });
+
+            if (next === 'none') {
+                rows.sort((a, b) => a.dataset.order - b.dataset.order);
+            } else {
+                header.setAttribute('aria-sort', next);
+                const direction = next === 'ascending' ? 1 : -1;
+                rows.sort((a, b) => direction * compare(cellValue(a, column), cellValue(b, column)) || a.dataset.order - b.dataset.order);
+            }
+            tbody.append(...rows);
+        });
+    }
+
+    /**
+     * Render a math or diagram block: its SVG, or the source as code if it can't be drawn
+     */
+    renderFigureBlock(kind, block) {
+        const svg = this.renderFigure(kind, String(block.text ?? ''));
+        const content = svg || `<pre class="figure-source"><code>${this.escapeHtml(block.text)}</code></pre>`;
+        return `
+                    <figure class="block-${kind}">
+                        <div class="${kind}-content">${content}</div>
+                        ${block.caption ? `<figcaption>${this.escapeHtml(block.caption)}</figcaption>` : ''}
+                    </figure>
+        `;
+    }
+
+    /**
+     * SVG for inline math ('inline-math'), display math ('math') or a diagram ('diagram'):
+     * pre-rendered by the build, else drawn now if the engine is loaded. Returns null when
+     * neither is possible; missingFigures then records which engine renderPost should load.
+     */
+    renderFigure(kind, source) {
+        const key = this.figureKey(kind, source);
+        const engineName = kind === 'diagram' ? 'diagram' : 'math';
+
+        if (!this.figures.has(key)) {
+            const engine = this.figureEngine(engineName);
+            if (!engine) {
+                this.missingFigures.add(engineName);
+                return null;
+            }
+            try {
+                this.figures.set(key, kind === 'diagram' ? engine.render(source) : engine.render(source, { display: kind === 'math' }));
+            } catch (error) {
+                console.warn(`Could not render ${kind} "${source.slice(0, 40)}":`, error.message);
+                this.figures.set(key, null);
+            }
+        }
+
+        const svg = this.figures.get(key);
+        if (svg) this.renderedFigures.set(key, svg);
+        return svg;
+    }
+
+    /**
+     * Stable key for a figure's source: kind plus an FNV-1a hash, e.g. "math-1c9d3f2a"
+     */
+    figureKey(kind, source) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < source.length; i++) {
+            hash ^= source.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `${kind}-${hash.toString(16).padStart(8, '0')}`;
+    }
+
+    /**
+     * The math or diagram engine: required by build scripts, a global once its script is loaded in the browser
+     */
+    figureEngine(name) {
+        if (name === 'diagram') {
+            if (typeof DiagramRenderer !== 'undefined') return DiagramRenderer;
+            return typeof window === 'undefined' ? require('./diagramRenderer.js') : null;
+        }
+        if (typeof MathRenderer !== 'undefined') return MathRenderer;
+        return typeof window === 'undefined' ? require('./mathRenderer.js') : null;
+    }
+
+    /**
+     * Whether a block-format post uses math or diagrams (blocks, or $...$ in any text)
+     */
+    hasFigures(post) {
+        if (!post || !post.content || !Array.isArray(post.content.blocks)) return false;
+        return /"type":"(?:math|diagram)"|\$/.test(JSON.stringify([post.content.blocks, post.footnotes]));
+    }
+
+    /**
+     * Load the SVGs the build pre-rendered for the current post (posts/<id>/figures.json).
+     * A post that hasn't been built yet has none; its figures are drawn client-side.
+     */
+    async loadFigures(readText = url => fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+    })) {
+        if (!this.hasFigures(this.currentPost)) return;
+        try {
+            const figures = JSON.parse(await readText(`/posts/${encodeURIComponent(this.currentPost.id)}/figures.json`));
+            Object.entries(figures).forEach(([key, svg]) => this.figures.set(key, svg));
+        } catch (error) {
+            // Not pre-rendered; renderPost loads the engines instead
+        }
+    }
+
+    /**
+     * Load the engine scripts the last render was missing. Resolves to false if one fails to load.
+     */
+    async loadFigureEngines() {
+        try {
+            await Promise.all([...this.missingFigures].map(name => this.loadScript(this.figureScripts[name])));
+            return true;
+        } catch (error) {
+            console.warn('Figure renderer could not be loaded:', error);
+            return false;
+        }
+    }
+
+    loadScript(src) {
+        const existing = document.querySelector(`script[src="${src}"]`);
+        if (existing && existing.dataset.loaded) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const script = existing || document.createElement('script');
+            script.addEventListener('load', () => {
+                script.dataset.loaded = 'true';
+                resolve();
+            });
+            script.addEventListener('error', () => reject(new Error(`Failed to load ${src}`)));
+            if (!existing) {
+                script.src = src;
+                document.head.appendChild(script);
+            }
+        });
+    }
+
+    /**
+     * Render inline markup in block text to HTML: **bold**, _em_ (or *em*), `code`,
+     * $math$, [text](url) and [^id] footnote refs. Backslash escapes a marker (\\*).
+     * Everything else is escaped exactly as escapeHtml would, and link URLs go
+     * through safeUrl, so block text can't inject markup.
+     */
+    renderInline(text, { links = true } = {}) {
+        const source = String(text ?? '');
+        const isWordChar = char => /[\p{L}\p{N}_]/u.test(char || '');
+        let html = '';
+        let i = 0;
+
+        while (i < source.length) {
+            const rest = source.slice(i);
+            const char = source[i];
+            let match;
+
+            if (char === '\\' && /[\\`*_[\]()^$]/.test(source[i + 1] || '')) {
+                html += this.escapeHtml(source[i + 1]);
+                i += 2;
+            } else if ((match = /^`([^`]+)`/.exec(rest))) {
+                html += `<code>${this.escapeHtml(match[1])}</code>`;
+                i += match[0].length;
+            } else if ((match = PostRenderer.INLINE_MATH.exec(rest))) {
+                const svg = this.renderFigure('inline-math', match[1]);
+                html += svg ? `<span class="math-inline">${svg}</span>` : `<code class="math-source">${this.escapeHtml(match[1])}</code>`;
+                i += match[0].length;
+            } else if ((match = /^\*\*(?=\S)([\s\S]*?\S)\*\*/.exec(rest))) {
+                html += `<strong>${this.renderInline(match[1], { links })}</strong>`;
+                i += match[0].length;
+            } else if (!isWordChar(source[i - 1]) && (match = /^([_*])(?=\S)([\s\S]*?\S)\1(?![\p{L}\p{N}_])/u.exec(rest))) {
+                html += `<em>${this.renderInline(match[2], { links })}</em>`;
+                i += match[0].length;
+            } else if (links && (match = /^\[\^([^\]\s]+)\]/.exec(rest)) && this.hasFootnote(match[1])) {
+                html += this.renderFootnoteRef(match[1]);
+                i += match[0].length;
+            } else if (links && (match = /^\[((?:\\.|[^\]\\])+)\]\(([^()\s]*(?:\([^()\s]*\)[^()\s]*)*)\)/.exec(rest))) {
+                const label = this.renderInline(match[1], { links: false });
+                const href = this.safeUrl(match[2]);
+                if (href === null) {
+                    html += label;
+                } else {
+                    const external = /^[a-z][a-z0-9+.-]*:/i.test(href);
+                    html += `<a href="${this.escapeHtml(href)}"${external ? ' target="_blank" rel="noopener"' : ''}>${label}</a>`;
+                }
+                i += match[0].length;
+            } else {
+                html += this.escapeHtml(char);
+                i++;
+            }
+        }
+
+        return html;
+    }
+
+    /**
+     * Plain text of inline markup (for descriptions and the search index)
+     */
+    inlineToText(text) {
+        return String(text ?? '')
+            .replace(/\[\^[^\]\s]+\]/g, '')
+            .replace(/\[((?:\\.|[^\]\\])+)\]\([^)\s]*\)/g, '$1')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(new RegExp(PostRenderer.INLINE_MATH.source.slice(1), 'g'), '$1')
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '$1')
+            .replace(/(^|[^\p{L}\p{N}_])([_*])(?=\S)([\s\S]*?\S)\2(?![\p{L}\p{N}_])/gu, '$1$3')
+            .replace(/\\([\\`*_[\]()^$])/g, '$1');
+    }
+
+    /**
+     * The URL if it is relative or uses a safe scheme (http, https, mailto, tel), else null.
+     * Browsers ignore whitespace and control characters inside schemes, so those are removed first.
+     */
+    safeUrl(url) {
+        return this.sanitizer.safeUrl(url);
+    }
+
+    hasFootnote(id) {
+        const footnotes = this.currentPost && this.currentPost.footnotes;
+        return Boolean(footnotes) && Object.hasOwn(footnotes, id) && typeof footnotes[id] === 'string';
+    }
+
+    /**
+     * Superscript link to a footnote, numbered in order of first reference
+     */
+    renderFootnoteRef(id) {
+        const isFirst = !this.footnoteNumbers.has(id);
+        if (isFirst) {
+            this.footnoteNumbers.set(id, this.footnoteNumbers.size + 1);
+            // "a.b" and "ab" slug alike; later ones get -2, -3...
+            const taken = new Set(this.footnoteSlugs.values());
+            const base = this.slugify(id);
+            let slug = base;
+            for (let n = 2; taken.has(slug); n++) {
+                slug = `${base}-${n}`;
+            }
+            this.footnoteSlugs.set(id, slug);
+        }
+        const number = this.footnoteNumbers.get(id);
+        const slug = this.footnoteSlugs.get(id);
+        return `<sup class="footnote-ref"><a href="${this.postPath()}#fn-${slug}"${isFirst ? ` id="fnref-${slug}"` : ''} aria-label="Footnote ${number}">${number}</a></sup>`;
+    }
+
+    /**
+     * Numbered footnotes for the references rendered so far, or ''
+     */
+    buildFootnotesHTML(post) {
+        if (this.footnoteNumbers.size === 0) return '';
+
+        // Footnote text can reference more footnotes; a Map's iterator also visits the
+        // ids renderInline adds while it runs, so the list ends once no new ones appear
+        let items = '';
+        for (const id of this.footnoteNumbers.keys()) {
+            const slug = this.footnoteSlugs.get(id);
+            items += `
+                    <li id="fn-${slug}">
+                        ${this.renderInline(post.footnotes[id])}
+                        <a href="${this.postPath()}#fnref-${slug}" class="footnote-backref" aria-label="Back to reference">&#8617;</a>
+                    </li>`;
+        }
+
+        return `
+            <section class="footnotes" aria-label="Footnotes">
+                <ol>${items}
+                </ol>
+            </section>
+        `;
+    }
+
+    /**
+     * Absolute path of the current post; in-page links need it because of <base href="/">
+     */
+    postPath() {
+        return this.currentPost ? `/posts/${encodeURIComponent(this.currentPost.id)}` : '';
+    }
+
+    /**
+     * URL-safe slug for a heading: "Callout Boxes!" -> "callout-boxes"
+     */
+    slugify(text) {
+        const slug = String(text ?? '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s-]/gu, '')
+            .trim()
+            .replace(/[\s-]+/g, '-');
+        return slug || 'section';
+    }
+
+    /**
+     * Record a heading for the table of contents and return its id.
+     * Repeated headings, and ones that would reuse an id the page already has, get -2, -3...
+     * so ids stay unique and stable across renders.
+     */
+    registerHeading(text, level, existingId = null) {
+        let id = existingId;
+        if (!id) {
+            const slug = this.slugify(text);
+            const base = PostRenderer.GENERATED_ID.test(slug) ? `section-${slug}` : slug;
+            id = base;
+            for (let n = 2; this.usedHeadingIds.has(id) || PostRenderer.RESERVED_IDS.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+        }
+        this.usedHeadingIds.add(id);
+        this.headings.push({ id, text, level });
+        return id;
+    }
+
+    /**
+     * Give <h1>-<h6> in HTML-string content ids (keeping any they already have)
+     */
+    addHeadingIds(html) {
+        return html.replace(/<h([1-6])(\s[^>]*)?>([\s\S]*?)<\/h\1>/gi, (match, level, attrs = '', inner) => {
+            const text = inner
+                .replace(/<[^>]+>/g, '')
+                .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' })[name])
+                .trim();
+            const existingId = /\sid\s*=\s*["']([^"']+)["']/i.exec(attrs);
+            const id = this.registerHeading(text, Number(level), existingId ? existingId[1] : null);
+            return existingId ? match : `<h${level} id="${id}"${attrs}>${inner}</h${level}>`;
+        });
+    }
+
+    /**
+     * Table of contents for the headings collected by buildContentHTML, or '' for short posts
+     */
+    buildTableOfContents(post) {
+        if (this.headings.length < this.tocMinHeadings) return '';
+
+        const topLevel = Math.min(...this.headings.map(heading => heading.level));
+        const postPath = `/posts/${encodeURIComponent(post.id)}`;
+        const items = this.headings.map(heading => `
+                            <li class="toc-item toc-depth-${heading.level - topLevel}">
+                                <a href="${postPath}#${this.escapeHtml(heading.id)}" data-heading-id="${this.escapeHtml(heading.id)}">${this.escapeHtml(heading.text)}</a>
+                            </li>`).join('');
+
+        return `
+                    <nav class="post-toc" aria-label="Table of contents">
+                        <details open>
+                            <summary>Contents</summary>
+                            <ol class="toc-list">${items}
+                            </ol>
+                        </details>
+                    </nav>
+        `;
+    }
+
+    /**
+     * Add anchor links to headings and highlight the current section in the table of contents.
+     * Also called by app.js when a cached post is shown, since cloned DOM has no observers.
+     */
+    setupTableOfContents(container, postId) {
+        if (this.tocObserver) {
+            this.tocObserver.disconnect();
+            this.tocObserver = null;
+        }
+
+        const headings = [...container.querySelectorAll('.post-content :is(h1, h2, h3, h4, h5, h6)[id]')];
+        headings.forEach(heading => {
+            if (heading.querySelector('.heading-anchor')) return;
+            heading.insertAdjacentHTML('beforeend',
+                ` <a class="heading-anchor" href="/posts/${encodeURIComponent(postId)}#${encodeURIComponent(heading.id)}" aria-label="Link to this section">#</a>`);
+        });
+
+        const toc = container.querySelector('.post-toc');
+        if (!toc) return;
+
+        // Start collapsed on small screens, where the contents sit above the post
+        if (window.matchMedia('(max-width: 768px)').matches) {
+            toc.querySelector('details').open = false;
+        }
+
+        const links = new Map([...toc.querySelectorAll('a[data-heading-id]')].map(link => [link.dataset.headingId, link]));
+        const tracked = headings.filter(heading => links.has(heading.id));
+        const visible = new Set();
+        let activeId = null;
+
+        const setActive = (id) => {
+            if (id === activeId) return;
+            if (activeId && links.has(activeId)) {
+                links.get(activeId).classList.remove('active');
+                links.get(activeId).removeAttribute('aria-current');
+            }
+            activeId = id;
+            if (id) {
+                links.get(id).classList.add('active');
+                links.get(id).setAttribute('aria-current', 'location');
+            }
+        };
+
+        // A section is current once its heading reaches the top 30% of the viewport
+        this.tocObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const id = entry.target.id;
+                if (entry.isIntersecting) {
+                    visible.add(id);
+                    return;
+                }
+                visible.delete(id);
+                // Scrolled back up above this heading: the previous section is current again
+                if (id === activeId && entry.rootBounds && entry.boundingClientRect.top > entry.rootBounds.bottom) {
+                    const index = tracked.indexOf(entry.target);
+                    setActive(index > 0 ? tracked[index - 1].id : null);
+                }
+            });
+
+            const first = tracked.find(heading => visible.has(heading.id));
+            if (first) setActive(first.id);
+        }, { rootMargin: '0px 0px -70% 0px' });
+
+        tracked.forEach(heading => this.tocObserver.observe(heading));
+    }
+
+    /**
+     * Render a code block: highlighted lines, optional line numbers and
+     * highlighted line ranges, and a header with filename, language and copy button
+     */
+    renderCodeBlock(block) {
+        const language = this.highlighter.resolveLanguage(block.language);
+        const highlightedLines = this.parseLineRanges(block.highlight);
+        const showLineNumbers = block.lineNumbers !== false;
+
+        // Each line is a block-level span ending in its own newline, so the
+        // text copies and reads correctly even without the stylesheet (feeds)
+        const lines = this.highlighter.highlightLines(block.text, language);
+        const body = lines.map((line, index) => {
+            const number = index + 1;
+            const classes = highlightedLines.has(number) ? 'code-line highlighted' : 'code-line';
+            const newline = index < lines.length - 1 ? '\n' : '';
+            return `<span class="${classes}"${showLineNumbers ? ` data-line="${number}"` : ''}>${line}${newline}</span>`;
+        }).join('');
+
+        return `
+            <div class="block-code-wrapper${showLineNumbers ? ' line-numbers' : ''}">
+                <div class="code-header">
+                    ${block.filename ? `<span class="code-filename">${this.escapeHtml(block.filename)}</span>` : ''}
+                    <span class="code-language">${this.escapeHtml(this.highlighter.languageLabel(language))}</span>
+                    <button type="button" class="code-copy" aria-label="Copy code to clipboard">Copy</button>
                 </div>
+                <pre class="block-code"><code class="language-${this.escapeHtml(language)}">${body}</code></pre>
             </div>
         `;
+    }
 
-        document.body.insertAdjacentHTML('beforeend', modalHTML);
-        this.setupGalleryKeyboard();
+    /**
+     * Parse highlight ranges like [3, "5-7"] into a Set of line numbers
+     */
+    parseLineRanges(ranges) {
+        const lines = new Set();
+        (Array.isArray(ranges) ? ranges : []).forEach(range => {
+            const [start, end = start] = String(range).split('-').map(num => parseInt(num, 10));
+            for (let line = start; line <= end; line++) {
+                lines.add(line);
+            }
+        });
+        return lines;
     }
 
+    /**
+     * Copy buttons on code blocks (delegated, so pre-rendered and cached posts work too)
+     */
+    setupCodeCopy() {
+        document.addEventListener('click', async (e) => {
+            const button = e.target.closest('.code-copy');
+            if (!button) return;
+
+            const code = button.closest('.block-code-wrapper').querySelector('code');
+            try {
+                await navigator.clipboard.writeText(code.textContent);
+                button.textContent = 'Copied!';
+                button.classList.add('copied');
+            } catch (error) {
+                console.warn('Copy to clipboard failed:', error);
+                button.textContent = 'Copy failed';
+            }
+
+            clearTimeout(button.resetTimer);
+            button.resetTimer = setTimeout(() => {
+                button.textContent = 'Copy';
+                button.classList.remove('copied');
+            }, 2000);
+        });
+    }
 
     /**
-     * Preload all gallery images and use placeholder for failed ones
+     * Create the gallery lightbox (js/lightbox.js) and report its navigation through
+     * onGalleryChange(postId, galleryIndex or null when closed, { opened })
      */
-    async preloadGalleryImages() {
+    setupGallery() {
+        if (typeof Lightbox === 'undefined') return;
+
+        this.lightbox = new Lightbox({
+            imageHTML: (src, options) => this.imageHTML(src, options),
+            fallbackSrc: this.fallbackDataURI
+        });
+        this.lightbox.onChange = (position, { opened }) => {
+            if (this.onGalleryChange) {
+                this.onGalleryChange(this.galleryPostId, this.lightbox.images[position].galleryIndex, { opened });
+            }
+        };
+        this.lightbox.onClose = () => {
+            if (this.onGalleryChange) this.onGalleryChange(this.galleryPostId, null, { opened: false });
+        };
+        this.setupGalleryClicks();
+    }
+
+    /**
+     * Preload all gallery images and use placeholder for failed ones.
+     * checkImage resolves to whether a src is loadable (defaults to loading it in the browser,
+     * unless the build already found it: see loadImages).
+     */
+    async preloadGalleryImages(checkImage = src => this.images.has(this.imageKey(src)) || this.checkImageLoads(src)) {
         if (!this.galleryImages || this.galleryImages.length === 0) {
             this.loadedGalleryImages = [];
+            this.galleries.set(this.currentPost.id, []);
             return;
         }
 
         // Check banner/thumbnail image if present
         const thumbnailSrc = this.currentPost.image || (this.currentPost.images && this.currentPost.images.thumbnail);
         if (thumbnailSrc) {
-            const thumbnailLoaded = await this.checkImageLoads(thumbnailSrc);
+            const thumbnailLoaded = await checkImage(thumbnailSrc);
             this.imageLoadStatus.set(thumbnailSrc, thumbnailLoaded);
         }
 
         const loadPromises = this.galleryImages.map(img => 
-            this.checkImageLoads(img.src)
+            Promise.resolve(checkImage(img.src))
                 .then(loaded => ({ img, loaded }))
         );
 
@@ -308,10 +1186,10 @@ ${this.escapeHtml(block.text)}
             this.imageLoadStatus.set(result.img.src, result.loaded);
         });
 
-        const failedCount = results.filter(r => !r.loaded).length;
-        if (failedCount > 0) {
-            console.log(`Gallery: ${failedCount}/${this.galleryImages.length} images replaced with placeholder`);
-        }
+        // The lightbox shows the images that loaded, with their sizes and EXIF from img/images.json
+        this.galleries.set(this.currentPost.id, this.loadedGalleryImages
+            .map((img, galleryIndex) => ({ ...img, galleryIndex, info: this.images.get(this.imageKey(img.src)) }))
+            .filter(img => !img.isPlaceholder));
     }
 
     /**
@@ -330,176 +1208,162 @@ ${this.escapeHtml(block.text)}
     }
 
     /**
-     * Setup gallery click handlers (only for loaded images)
-     */
-    setupGalleryHandlers(post) {
-        const galleryItems = document.querySelectorAll('.post-gallery-item');
-        
-        galleryItems.forEach(item => {
-            const img = item.querySelector('img');
-            const imageIndex = parseInt(item.getAttribute('data-image-index'));
-            const isPlaceholder = item.getAttribute('data-placeholder') === 'true';
-            
-            // Only allow clicks on non-placeholder images
-            if (img && img.getAttribute('data-loaded') === 'true' && !isPlaceholder) {
-                item.style.cursor = 'pointer';
-                item.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.openGallery(imageIndex);
-                });
-            } else if (isPlaceholder) {
-                // Disable clicking on placeholder images
-                item.style.cursor = 'default';
-                item.title = 'Image not available';
-            }
-        });
-        
-        // Handle clickable images in content blocks
-        const contentImages = document.querySelectorAll('.post-content .post-image.clickable');
-        contentImages.forEach(img => {
-            const imageLoaded = img.complete && img.naturalHeight > 0;
-            
-            if (imageLoaded) {
-                img.style.cursor = 'pointer';
-                img.addEventListener('click', () => {
-                    // Find index in loaded gallery
-                    const src = img.src;
-                    const index = this.loadedGalleryImages.findIndex(gImg => gImg.src === src);
-                    if (index !== -1) {
-                        this.openGallery(index);
-                    }
-                });
-            } else {
-                img.style.cursor = 'not-allowed';
-                img.style.opacity = '0.5';
-                img.title = 'Image not available';
-                img.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                });
-            }
-        });
-    }
-
-    /**
-     * Open gallery at specific index (skip placeholders)
+     * Load img/images.json, the image sizes and variants scripts/build-images.js recorded.
+     * Loaded once and shared; without it images render as plain <img> tags.
+     * readText resolves to a file's text (defaults to fetching it in the browser).
      */
-    openGallery(startIndex = 0) {
-        // Filter out placeholder images for gallery modal
-        const viewableImages = this.loadedGalleryImages.filter(img => !img.isPlaceholder);
-        
-        if (!viewableImages || viewableImages.length === 0) {
-            console.warn('No viewable images available for gallery');
-            return;
+    loadImages(readText = url => fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+    })) {
+        if (!this.imagesLoaded) {
+            this.imagesLoaded = Promise.resolve()
+                .then(() => readText('/img/images.json'))
+                .then(text => Object.entries(JSON.parse(text)).forEach(([key, info]) => this.images.set(key, info)))
+                .catch(error => console.warn('Image manifest could not be loaded:', error));
         }
-        
-        this.currentImageIndex = Math.max(0, Math.min(startIndex, viewableImages.length - 1));
-        this.currentGalleryImages = viewableImages;
-        
-        const modal = document.getElementById('post-gallery-modal');
-        modal.classList.remove('hidden');
-        this.updateGalleryDisplay();
-        document.body.style.overflow = 'hidden';
+        return this.imagesLoaded;
     }
 
     /**
-     * Close gallery
+     * Manifest key of a site image: its root-relative path ('img/a.jpg' -> '/img/a.jpg')
      */
-    closeGallery() {
-        const modal = document.getElementById('post-gallery-modal');
-        modal.classList.add('hidden');
-        document.body.style.overflow = '';
+    imageKey(src) {
+        return `/${String(src).replace(/^\//, '')}`;
     }
 
     /**
-     * Navigate to next image
+     * URL of the resized copy of a site image (see scripts/build-images.js):
+     * /img/posts/a/b.jpg at 640px as WebP -> /img/generated/posts/a/b-640w.webp
      */
-    nextImage() {
-        const images = this.currentGalleryImages || this.loadedGalleryImages;
-        if (!images || images.length === 0) return;
-        
-        this.currentImageIndex = (this.currentImageIndex + 1) % images.length;
-        this.updateGalleryDisplay();
+    imageVariantUrl(src, width, format) {
+        const base = this.imageKey(src).replace(/^\/(img\/)?/, '').replace(/\.[^./]*$/, '');
+        return `/img/generated/${base}-${width}w.${format}`;
     }
 
     /**
-     * Navigate to previous image
+     * srcset of an image's variants in one format, or '' if the build made none
      */
-    previousImage() {
-        const images = this.currentGalleryImages || this.loadedGalleryImages;
-        if (!images || images.length === 0) return;
-        
-        this.currentImageIndex = (this.currentImageIndex - 1 + images.length) % images.length;
-        this.updateGalleryDisplay();
+    imageSrcset(src, format) {
+        const info = this.images.get(this.imageKey(src));
+        if (!info || !info.widths || !info.formats.includes(format)) return '';
+        return info.widths.map(width => `${this.imageVariantUrl(src, width, format)} ${width}w`).join(', ');
     }
 
     /**
-     * Update gallery display
+     * <img> markup for a site image. Images the build processed get their width and height
+     * (so the layout doesn't shift), a blurred placeholder background until they load, and
+     * a <picture> offering AVIF and WebP before the original format at every width made.
+     * sizes is the rendered width (see imageSizes); attrs is extra attribute HTML for the <img>.
      */
-    updateGalleryDisplay() {
-        const images = this.currentGalleryImages || this.loadedGalleryImages;
-        if (!images || images.length === 0) return;
-        const img = images[this.currentImageIndex];
-        const galleryImg = document.getElementById('gallery-img');
-        
-        // Add fallback handler for gallery images (only fallback once)
-        galleryImg.onerror = () => {
-            if (!galleryImg.hasAttribute('data-fallback-tried')) {
-                galleryImg.setAttribute('data-fallback-tried', 'true');
-                galleryImg.src = this.fallbackDataURI;
-            }
-        };
-        
-        galleryImg.src = img.src;
-        galleryImg.alt = img.alt;
-        document.getElementById('gallery-caption').textContent = img.caption || '';
-        document.getElementById('gallery-current').textContent = this.currentImageIndex + 1;
-        document.getElementById('gallery-total').textContent = images.length;
-        const filenameEl = document.getElementById('gallery-filename');
-        if (filenameEl) {
-            filenameEl.textContent = img.name || this.getFilenameFromSrc(img.src) || '';
+    imageHTML(src, { alt = '', sizes = '100vw', attrs = '', fallback = this.fallbackDataURI } = {}) {
+        const info = src ? this.images.get(this.imageKey(src)) : null;
+        // Drop the variants before falling back, or the <picture> would keep choosing a source
+        const dropVariants = info && info.widths
+            ? "this.removeAttribute('srcset');this.parentNode.querySelectorAll('source').forEach(function(s){s.remove();});"
+            : '';
+        const onerror = `if(!this.hasAttribute('data-fallback-tried')){this.setAttribute('data-fallback-tried','true');${dropVariants}this.src='${fallback}';}`;
+        const common = `alt="${this.escapeHtml(alt)}" ${attrs ? `${attrs} ` : ''}onerror="${this.escapeHtml(onerror)}"`;
+        if (!info) {
+            return `<img src="${this.escapeHtml(src)}" ${common}>`;
         }
-    }
 
-    getFilenameFromSrc(src) {
-        try {
-            const parts = src.split('/');
-            const last = parts[parts.length - 1];
-            return decodeURIComponent((last || '').split('?')[0]);
-        } catch (e) {
-            return '';
+        const size = `width="${info.width}" height="${info.height}"`;
+        const placeholder = info.placeholder
+            ? ` style="background-image: url(${info.placeholder})" onload="this.style.backgroundImage='none'"`
+            : '';
+        if (!info.widths) {
+            return `<img src="${this.escapeHtml(src)}" ${size} ${common}${placeholder}>`;
         }
+
+        // The last format is the original's, which every browser can show
+        const fallbackFormat = info.formats[info.formats.length - 1];
+        const sources = info.formats.slice(0, -1).map(format =>
+            `<source type="image/${format}" srcset="${this.escapeHtml(this.imageSrcset(src, format))}" sizes="${this.escapeHtml(sizes)}">`
+        ).join('');
+        const largest = this.imageVariantUrl(src, info.widths[info.widths.length - 1], fallbackFormat);
+        return `<picture class="responsive-image">${sources}<img src="${this.escapeHtml(largest)}" srcset="${this.escapeHtml(this.imageSrcset(src, fallbackFormat))}" sizes="${this.escapeHtml(sizes)}" ${size} ${common}${placeholder}></picture>`;
     }
 
     /**
-     * Setup keyboard navigation
+     * Open the lightbox from gallery tiles and content images. Delegated, so it also works
+     * for posts app.js shows from its cache of rendered pages.
      */
-    setupGalleryKeyboard() {
-        document.addEventListener('keydown', (e) => {
-            if (document.getElementById('post-gallery-modal').classList.contains('hidden')) return;
+    setupGalleryClicks() {
+        document.addEventListener('click', (e) => {
+            const article = e.target.closest('.post-article[data-post-id]');
+            if (!article) return;
+            const postId = article.getAttribute('data-post-id');
 
-            if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+            const item = e.target.closest('.post-gallery-item[data-image-index]');
+            if (item) {
                 e.preventDefault();
-                this.nextImage();
+                if (item.getAttribute('data-placeholder') !== 'true') {
+                    this.openGallery(parseInt(item.getAttribute('data-image-index'), 10), postId);
+                }
+                return;
             }
-            if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-                e.preventDefault();
-                this.previousImage();
-            }
-            if (e.key === 'Escape') {
-                e.preventDefault();
-                this.closeGallery();
+
+            const img = e.target.closest('.post-content .post-image.clickable');
+            if (img && img.getAttribute('data-loaded') === 'true') {
+                // Find index in the gallery by id: the img may show a resized variant
+                const imageId = img.closest('[data-image-id]')?.getAttribute('data-image-id');
+                const index = (this.galleries.get(postId) || []).findIndex(image => image.id === imageId);
+                if (index !== -1) {
+                    this.openGallery(this.galleries.get(postId)[index].galleryIndex, postId);
+                }
             }
         });
     }
 
+    /**
+     * Open the lightbox at a gallery index (position in the post's gallery; placeholders
+     * are skipped, opening the next viewable image instead)
+     */
+    openGallery(galleryIndex = 0, postId = this.currentPost && this.currentPost.id, { notify = true } = {}) {
+        const images = this.galleries.get(postId) || [];
+        if (!this.lightbox || images.length === 0) {
+            console.warn('No viewable images available for gallery');
+            return;
+        }
+
+        const position = images.findIndex(image => image.galleryIndex >= galleryIndex);
+        this.galleryPostId = postId;
+        this.lightbox.open(images, position === -1 ? images.length - 1 : position, { notify });
+    }
+
+    /**
+     * Close the lightbox
+     */
+    closeGallery({ notify = true } = {}) {
+        if (this.lightbox) this.lightbox.close({ notify });
+    }
+
+    /**
+     * Match the lightbox to a route: open at a gallery index, or close for null. Changes
+     * made this way aren't reported to onGalleryChange, since the route already has them.
+     */
+    showGallery(postId, galleryIndex) {
+        if (!this.lightbox) return;
+        if (galleryIndex === null) {
+            this.closeGallery({ notify: false });
+            return;
+        }
+
+        const images = this.galleries.get(postId) || [];
+        const current = this.lightbox.isOpen() && this.lightbox.images === images
+            ? images[this.lightbox.index]
+            : null;
+        if (!current || current.galleryIndex !== galleryIndex) {
+            this.openGallery(galleryIndex, postId, { notify: false });
+        }
+    }
+
     /**
      * Utility: Escape HTML
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return this.sanitizer.escapeHtml(text);
     }
 
     /**
@@ -517,5 +1381,9 @@ ${this.escapeHtml(block.text)}
     }
 }
 
-// Initialize globally
-window.postRenderer = new PostRenderer();
+// Initialize globally in the browser; export the class for Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostRenderer;
+} else {
+    window.postRenderer = new PostRenderer();
+}
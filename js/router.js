@@ -0,0 +1,279 @@
+// router.js - History API routing with clean URLs (/posts/<id>, /posts?q=x&tags=a,b, /posts/<id>#section,
+// /posts/<id>/gallery/<n> for the lightbox open at image n, /tags, /tags/<tag>, /archive)
+
+class Router {
+    constructor() {
+        // First path segment of every route the app renders ('/' is home)
+        this.views = new Set(['home', 'posts', 'tags', 'archive']);
+        this.onChange = null;
+        // Position of the current entry in this tab's history, stored in history.state
+        this.index = 0;
+    }
+
+    /**
+     * Start listening for navigation and render the initial route.
+     * onChange(route) renders the page and may return a promise.
+     */
+    start(onChange) {
+        this.onChange = onChange;
+
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        this.restoreInitialUrl();
+
+        const state = history.state || {};
+        this.index = state.index || 0;
+        history.replaceState({ ...state, index: this.index }, '');
+
+        window.addEventListener('popstate', (e) => {
+            const popped = e.state || {};
+            this.index = popped.index || 0;
+            this.render(popped.scrollTop ?? null, popped.innerScroll);
+        });
+
+        // Remember where we were if the page is reloaded or left
+        window.addEventListener('pagehide', () => this.saveScroll());
+
+        document.addEventListener('click', (e) => this.handleLinkClick(e));
+
+        return this.render(state.scrollTop ?? null, state.innerScroll);
+    }
+
+    /**
+     * Turn 404.html redirects (/?redirect=/posts/x) and legacy hash links (#posts/x,
+     * #posts/x/section, #posts/x/gallery/3, #posts?tags=x) into the clean URL they stand for
+     */
+    restoreInitialUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const redirect = params.get('redirect');
+        if (window.location.pathname === '/' && redirect && redirect.startsWith('/')) {
+            // Only paths on this site: "//host" and "/\host" would leave it
+            const target = new URL(redirect, window.location.origin);
+            if (target.origin === window.location.origin) {
+                history.replaceState(history.state, '', target.pathname + target.search + target.hash);
+                return;
+            }
+        }
+
+        const galleryHash = /^#posts\/([^/?#]+)\/gallery\/(\d+)$/.exec(window.location.hash);
+        if (galleryHash) {
+            history.replaceState(history.state, '', `${this.buildPath('posts', galleryHash[1])}/gallery/${galleryHash[2]}`);
+            return;
+        }
+
+        const legacyHash = /^#([\w-]+)(?:\/([^/?#]+))?(?:\/([^/?#]+))?(\?[^#]*)?$/.exec(window.location.hash);
+        if (legacyHash && this.views.has(legacyHash[1])) {
+            const section = legacyHash[3] ? `#${legacyHash[3]}` : '';
+            const query = legacyHash[4] && legacyHash[4].length > 1 ? legacyHash[4] : '';
+            history.replaceState(history.state, '', this.buildPath(legacyHash[1], legacyHash[2]) + query + section);
+        }
+    }
+
+    /**
+     * Parse the current URL into { view, postId, gallery, tag, params, hash }.
+     * gallery is the 1-based image number of a /posts/<id>/gallery/<n> URL, else null;
+     * tag is the rest of a /tags/<tag> path (hierarchical tags keep their slashes), else null.
+     */
+    getRoute() {
+        const parts = window.location.pathname.split('/').filter(Boolean).map(Router.decode);
+        return {
+            view: parts[0] || 'home',
+            postId: parts[1] || null,
+            gallery: parts[2] === 'gallery' && /^[1-9]\d*$/.test(parts[3] || '') ? Number(parts[3]) : null,
+            tag: parts[0] === 'tags' && parts.length > 1 ? parts.slice(1).join('/') : null,
+            params: new URLSearchParams(window.location.search),
+            hash: Router.decode(window.location.hash.slice(1))
+        };
+    }
+
+    // Percent-decode a URL part, keeping it as typed when it isn't valid (e.g. /posts/%E0)
+    static decode(part) {
+        try {
+            return decodeURIComponent(part);
+        } catch (error) {
+            return part;
+        }
+    }
+
+    /**
+     * Build a clean path for a view, optional post id and optional query params.
+     * Commas and slashes are left readable since tag lists are comma-separated (tags=aws/lambda,b).
+     */
+    buildPath(view, postId = null, params = null) {
+        let path = view === 'home' ? '/' : `/${view}`;
+        if (postId) path += `/${encodeURIComponent(postId)}`;
+        const query = params ? new URLSearchParams(params).toString().replace(/%2C/gi, ',').replace(/%2F/gi, '/') : '';
+        return query ? `${path}?${query}` : path;
+    }
+
+    /**
+     * Change the current page's query params without re-rendering it (e.g. list filters).
+     * Going back or forward to the entry renders it from its params.
+     */
+    setParams(params, { replace = false } = {}) {
+        const { view, postId, hash } = this.getRoute();
+        const path = this.buildPath(view, postId, params) + (hash ? `#${encodeURIComponent(hash)}` : '');
+        const current = window.location.pathname + window.location.search + window.location.hash;
+        if (path === current) return;
+
+        if (replace) {
+            history.replaceState({ ...history.state, index: this.index }, '', path);
+        } else {
+            this.saveScroll();
+            this.index++;
+            history.pushState({ index: this.index }, '', path);
+        }
+    }
+
+    /**
+     * Path of the page a URL shows: the lightbox segment (/gallery/<n>) opens over its post
+     */
+    pagePath(pathname) {
+        return pathname.replace(/\/gallery\/\d+\/?$/, '');
+    }
+
+    /**
+     * Navigate to a path. Navigating to the current URL adds no history entry,
+     * matching what the browser does for a link to the page you're on; changing
+     * only the #section scrolls to it without re-rendering, and changing only the
+     * lightbox image re-routes while keeping the scroll position.
+     */
+    navigate(path, { replace = false } = {}) {
+        const target = new URL(path, window.location.origin);
+        const current = window.location;
+        const samePage = this.pagePath(target.pathname) === this.pagePath(current.pathname) && target.search === current.search;
+        const galleryChanged = target.pathname !== current.pathname;
+        if (samePage && !galleryChanged && target.hash === current.hash) {
+            return Promise.resolve();
+        }
+
+        this.saveScroll();
+        if (samePage) {
+            if (replace) {
+                history.replaceState({ index: this.index }, '', path);
+            } else {
+                this.index++;
+                history.pushState({ index: this.index }, '', path);
+            }
+            if (galleryChanged) {
+                return this.render(this.getScroller().scrollTop);
+            }
+            this.restoreScroll(null);
+            return Promise.resolve();
+        }
+
+        if (replace) {
+            history.replaceState({ index: this.index }, '', path);
+        } else {
+            this.index++;
+            history.pushState({ index: this.index }, '', path);
+        }
+        return this.render(null);
+    }
+
+    /**
+     * Go back like the browser would, or home if this tab has no earlier entry
+     */
+    back() {
+        if (this.index > 0) {
+            history.back();
+        } else {
+            this.navigate('/');
+        }
+    }
+
+    /**
+     * The element that scrolls: #content, since the body itself never scrolls
+     */
+    getScroller() {
+        return document.getElementById('content') || document.scrollingElement;
+    }
+
+    /**
+     * Merge values into the current history entry's state (e.g. how much of a list was loaded)
+     */
+    updateState(values) {
+        history.replaceState({ ...history.state, ...values, index: this.index }, '');
+    }
+
+    /**
+     * Store the scroll position on the current history entry, along with that of elements
+     * marked data-keep-scroll that scroll on their own (e.g. the posts list on small screens)
+     */
+    saveScroll() {
+        const innerScroll = {};
+        document.querySelectorAll('[data-keep-scroll][id]').forEach(element => {
+            if (element.scrollTop) innerScroll[element.id] = element.scrollTop;
+        });
+        this.updateState({ scrollTop: this.getScroller().scrollTop, innerScroll });
+    }
+
+    /**
+     * Scroll to a saved position, or (when there is none) to the #section in the URL or the top
+     */
+    restoreScroll(scrollTop, innerScroll = null) {
+        const { hash } = this.getRoute();
+        // Ids from HTML post content carry the sanitizer's prefix; #intro still finds user-content-intro
+        const section = scrollTop === null && hash
+            ? document.getElementById(`${HtmlSanitizer.ID_PREFIX}${hash}`) || document.getElementById(hash)
+            : null;
+        if (section) {
+            this.revealSection(section);
+            section.scrollIntoView();
+        } else {
+            this.getScroller().scrollTop = scrollTop || 0;
+        }
+        Object.entries(innerScroll || {}).forEach(([id, top]) => {
+            const element = document.getElementById(id);
+            if (element) element.scrollTop = top;
+        });
+    }
+
+    /**
+     * Open the collapsed <details> and hidden tab panels a section sits in, so it can be scrolled to
+     */
+    revealSection(section) {
+        for (let node = section.parentElement; node; node = node.parentElement) {
+            if (node.tagName === 'DETAILS') {
+                node.open = true;
+            } else if (node.getAttribute('role') === 'tabpanel' && node.hidden) {
+                const tab = document.getElementById(node.getAttribute('aria-labelledby'));
+                if (tab) tab.click();
+            }
+        }
+    }
+
+    /**
+     * Render the current route; scrollTop is null for a fresh visit to the URL
+     */
+    async render(scrollTop, innerScroll = null) {
+        if (this.onChange) {
+            await this.onChange(this.getRoute());
+        }
+        requestAnimationFrame(() => this.restoreScroll(scrollTop, innerScroll));
+    }
+
+    /**
+     * Route same-origin links to app views through pushState instead of a page load
+     */
+    handleLinkClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || link.target || link.hasAttribute('download')) return;
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return;
+
+        const view = url.pathname.split('/').filter(Boolean)[0] || 'home';
+        if (!this.views.has(view)) return;
+
+        e.preventDefault();
+        this.navigate(url.pathname + url.search + url.hash);
+    }
+}
+
+// Create global instance
+window.router = new Router();
@@ -0,0 +1,216 @@
+// sanitizer.js - Escaping and allowlist HTML sanitizing for post-supplied content
+//
+// Everything that puts data into innerHTML goes through here: escapeHtml for text and
+// attribute values, safeUrl for links and image sources, and sanitize for HTML-string
+// post content. Works on strings (no DOM), so Node build scripts produce the same output.
+
+class HtmlSanitizer {
+    // Tag -> attributes allowed on it (on top of GLOBAL_ATTRIBUTES)
+    static ALLOWED_TAGS = {
+        a: ['href', 'target', 'rel', 'name'],
+        abbr: [], b: [], blockquote: ['cite'], br: [], caption: [], cite: [], code: [],
+        dd: [], del: ['datetime'], details: ['open'], div: [], dl: [], dt: [], em: [],
+        figcaption: [], figure: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [],
+        iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'frameborder', 'loading'],
+        img: ['src', 'alt', 'width', 'height', 'loading'],
+        ins: ['datetime'], kbd: [], li: ['value'], mark: [], ol: ['start', 'reversed', 'type'], p: [],
+        pre: [], q: ['cite'], s: [], section: [], small: [], span: [], strong: [], sub: [], summary: [],
+        sup: [], table: [], tbody: [], td: ['colspan', 'rowspan', 'align'], tfoot: [],
+        th: ['colspan', 'rowspan', 'align', 'scope'], thead: [], time: ['datetime'], tr: [], u: [], ul: []
+    };
+
+    static GLOBAL_ATTRIBUTES = ['class', 'id', 'title', 'lang', 'dir', 'role'];
+
+    // Post ids are prefixed so they can't take over the page's own (#content, #header...)
+    static ID_PREFIX = 'user-content-';
+
+    // Presentational post classes; the ones the app's click handlers act on (code-copy,
+    // table-sort, tab-button...) are left out so post HTML can't fake those controls
+    static ALLOWED_CLASSES = new Set([
+        'block-callout', 'callout-info', 'callout-warning', 'callout-success', 'callout-error',
+        'callout-title', 'callout-content', 'block-quote', 'block-table', 'block-divider',
+        'block-code', 'block-image', 'block-video', 'video-caption', 'image-container'
+    ]);
+
+    // Removed together with everything inside them
+    static DROP_WITH_CONTENT = new Set([
+        'script', 'style', 'template', 'noscript', 'textarea', 'title', 'svg', 'math', 'object', 'embed', 'select'
+    ]);
+
+    static VOID_TAGS = new Set(['br', 'hr', 'img', 'wbr']);
+
+    static URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+    static SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+    // Only video embeds from these hosts may be iframed
+    static IFRAME_HOSTS = ['www.youtube.com', 'youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'];
+
+    static NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n' };
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute value
+     */
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * The URL if it is relative or uses a safe scheme (http, https, mailto, tel), else null.
+     * Browsers ignore whitespace and control characters inside schemes, so the scheme is read
+     * with those removed; the URL itself comes back only trimmed.
+     */
+    static safeUrl(url) {
+        const trimmed = String(url ?? '').replace(/^[\u0000- ]+|[\u0000- ]+$/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(trimmed.replace(/[\u0000- \u007f]+/g, ''));
+        if (scheme && !HtmlSanitizer.SAFE_SCHEMES.includes(scheme[1].toLowerCase())) {
+            return null;
+        }
+        return trimmed;
+    }
+
+    static decodeEntities(text) {
+        return text.replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));?/gi, (match, decimal, hex, name) => {
+            if (decimal || hex) {
+                const code = parseInt(decimal || hex, decimal ? 10 : 16);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+            }
+            const key = name.toLowerCase();
+            return Object.hasOwn(HtmlSanitizer.NAMED_ENTITIES, key) ? HtmlSanitizer.NAMED_ENTITIES[key] : match;
+        });
+    }
+
+    /**
+     * Allowed attributes of a tag as a string (' name="value"...'), or null if the
+     * tag must be dropped because a required URL is unsafe
+     */
+    static sanitizeAttributes(tag, rawAttributes) {
+        const allowed = [...HtmlSanitizer.GLOBAL_ATTRIBUTES, ...HtmlSanitizer.ALLOWED_TAGS[tag]];
+        const attributes = new Map();
+        const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        let match;
+
+        while ((match = pattern.exec(rawAttributes)) !== null) {
+            const name = match[1].toLowerCase();
+            const isAria = /^aria-[a-z-]+$/.test(name);
+            if (attributes.has(name) || (!allowed.includes(name) && !isAria)) continue;
+
+            let value = HtmlSanitizer.decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+            if (name === 'id') {
+                if (!value.trim()) continue;
+                value = HtmlSanitizer.ID_PREFIX + value.trim();
+            } else if (name === 'class') {
+                // language-* marks the language of a <code> block
+                value = value.split(/\s+/)
+                    .filter(className => HtmlSanitizer.ALLOWED_CLASSES.has(className) || /^language-[\w+#-]+$/.test(className))
+                    .join(' ');
+                if (!value) continue;
+            }
+            if (HtmlSanitizer.URL_ATTRIBUTES.has(name)) {
+                // Inline raster images are harmless; other data: URLs (HTML, SVG) are not
+                const isInlineImage = tag === 'img' && /^data:image\/(png|gif|jpe?g|webp);base64,[\w+/=]+$/i.test(value);
+                value = isInlineImage ? value : HtmlSanitizer.safeUrl(value);
+                if (value === null) continue;
+            }
+            attributes.set(name, value);
+        }
+
+        if (tag === 'iframe') {
+            let host = null;
+            try {
+                host = new URL(attributes.get('src') || '', 'https://invalid.invalid').host;
+            } catch (error) {
+                // Unparseable src; dropped below
+            }
+            if (!/^https:/i.test(attributes.get('src') || '') || !HtmlSanitizer.IFRAME_HOSTS.includes(host)) {
+                return null;
+            }
+        }
+
+        // Links opening a new tab must not get a handle on this window
+        if (tag === 'a' && attributes.get('target') === '_blank') {
+            attributes.set('rel', 'noopener noreferrer');
+        }
+
+        return [...attributes]
+            .map(([name, value]) => (value === '' && !HtmlSanitizer.URL_ATTRIBUTES.has(name)
+                ? ` ${name}`
+                : ` ${name}="${HtmlSanitizer.escapeHtml(value)}"`))
+            .join('');
+    }
+
+    /**
+     * Sanitize an HTML string against the allowlist. Unknown tags are unwrapped (their
+     * text kept), script-like tags are removed with their content, event handler and
+     * style attributes are dropped, unsafe URLs removed and unclosed tags closed.
+     */
+    static sanitize(html) {
+        const source = String(html ?? '');
+        const token = /<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\?[^>]*>?|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?|\s*\/)*)\s*>/g;
+        const open = [];
+        let output = '';
+        let cursor = 0;
+        let match;
+
+        const text = value => value.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        while ((match = token.exec(source)) !== null) {
+            output += text(source.slice(cursor, match.index));
+            cursor = token.lastIndex;
+
+            const [, closing, rawTag = '', rawAttributes = ''] = match;
+            const tag = rawTag.toLowerCase();
+            if (!tag) continue; // comment, doctype or processing instruction
+
+            if (HtmlSanitizer.DROP_WITH_CONTENT.has(tag) || (tag === 'iframe' && !closing)) {
+                if (closing) continue;
+                const end = new RegExp(`</${tag}\\s*>`, 'ig');
+                end.lastIndex = cursor;
+                const endMatch = end.exec(source);
+
+                if (tag === 'iframe') {
+                    const attributes = HtmlSanitizer.sanitizeAttributes(tag, rawAttributes);
+                    if (attributes !== null) output += `<iframe${attributes}></iframe>`;
+                }
+                cursor = endMatch ? end.lastIndex : source.length;
+                token.lastIndex = cursor;
+                continue;
+            }
+
+            if (!Object.hasOwn(HtmlSanitizer.ALLOWED_TAGS, tag)) continue;
+
+            if (closing) {
+                const index = open.lastIndexOf(tag);
+                if (index === -1) continue;
+                // Close anything left open inside this element first
+                while (open.length > index) {
+                    output += `</${open.pop()}>`;
+                }
+                continue;
+            }
+
+            const attributes = HtmlSanitizer.sanitizeAttributes(tag, rawAttributes);
+            if (attributes === null) continue;
+            output += `<${tag}${attributes}>`;
+            if (!HtmlSanitizer.VOID_TAGS.has(tag) && !/\/\s*$/.test(rawAttributes)) {
+                open.push(tag);
+            }
+        }
+
+        output += text(source.slice(cursor));
+        while (open.length > 0) {
+            output += `</${open.pop()}>`;
+        }
+        return output;
+    }
+}
+
+// Export the class for Node build scripts; in the browser it's used as a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlSanitizer;
+}
@@ -0,0 +1,212 @@
+// search.js - Full-text post search over the prebuilt posts/search-index.json
+//
+// The same tokenizer and stemmer run in the browser and in scripts/build-search-index.js,
+// so query terms always line up with the terms stored in the index.
+
+class PostSearch {
+    static STOP_WORDS = new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+        'i', 'if', 'in', 'into', 'is', 'it', 'its', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+        'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your'
+    ]);
+
+    // Query terms that only prefix-match an indexed term count for less than exact matches
+    static PREFIX_MATCH_WEIGHT = 0.5;
+    static SNIPPET_LENGTH = 160;
+
+    constructor() {
+        this.index = null;
+        this.terms = [];
+    }
+
+    /**
+     * Fetch and install the prebuilt index. Resolves to false if it is unavailable.
+     */
+    async load(url = 'posts/search-index.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${url}: ${response.statusText}`);
+            }
+            this.setIndex(await response.json());
+            return true;
+        } catch (error) {
+            console.warn('Search index unavailable, falling back to simple matching:', error);
+            return false;
+        }
+    }
+
+    setIndex(index) {
+        this.index = index;
+        this.terms = Object.keys(index.terms);
+    }
+
+    isReady() {
+        return this.index !== null;
+    }
+
+    /**
+     * Split text into lowercase word tokens
+     */
+    static tokenize(text) {
+        return String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Light English suffix stripping (plurals, -ing/-ed, common derivational endings)
+     */
+    static stem(word) {
+        if (word.length <= 3 || /\d/.test(word)) return word;
+
+        let stem = word;
+        if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+        else if (stem.endsWith('ies')) stem = `${stem.slice(0, -3)}y`;
+        else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us') && !stem.endsWith('is')) stem = stem.slice(0, -1);
+
+        const suffixes = ['ational', 'ization', 'fulness', 'iveness', 'ation', 'ement', 'ments', 'ment', 'ness', 'ings', 'able', 'ible', 'ing', 'ful', 'ers', 'ed', 'er', 'ly'];
+        for (const suffix of suffixes) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                stem = stem.slice(0, -suffix.length);
+                // running -> runn -> run, stopped -> stopp -> stop
+                if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+                break;
+            }
+        }
+
+        return stem.endsWith('e') && stem.length > 4 ? stem.slice(0, -1) : stem;
+    }
+
+    /**
+     * Tokenize, drop stop words and stem: the terms stored in and looked up from the index
+     */
+    static terms(text) {
+        return PostSearch.tokenize(text)
+            .filter(token => !PostSearch.STOP_WORDS.has(token))
+            .map(token => PostSearch.stem(token));
+    }
+
+    /**
+     * Index terms a query token matches: its stem exactly, or any term it is a prefix of
+     */
+    expandToken(token) {
+        const stem = PostSearch.stem(token);
+        const matches = [];
+        this.terms.forEach(term => {
+            if (term === stem) {
+                matches.push({ term, weight: 1 });
+            } else if (term.startsWith(stem) || term.startsWith(token)) {
+                matches.push({ term, weight: PostSearch.PREFIX_MATCH_WEIGHT });
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Search posts. Every query word must match; results are ranked by a TF-IDF
+     * score over the field-weighted term frequencies in the index.
+     * Returns [{ id, score, snippet }] with snippet as highlighted HTML (or '').
+     */
+    search(query) {
+        if (!this.isReady()) return [];
+
+        const tokens = [...new Set(PostSearch.tokenize(query).filter(token => !PostSearch.STOP_WORDS.has(token)))];
+        if (tokens.length === 0) return [];
+
+        const docCount = this.index.docs.length;
+        let scores = null;
+
+        for (const token of tokens) {
+            const tokenScores = new Map();
+            this.expandToken(token).forEach(({ term, weight }) => {
+                const postings = this.index.terms[term];
+                const idf = Math.log(1 + docCount / postings.length);
+                postings.forEach(([docIndex, frequency]) => {
+                    const score = weight * idf * (1 + Math.log(frequency));
+                    tokenScores.set(docIndex, Math.max(tokenScores.get(docIndex) || 0, score));
+                });
+            });
+
+            // AND semantics: keep only documents matching every token so far
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                scores = new Map([...scores]
+                    .filter(([docIndex]) => tokenScores.has(docIndex))
+                    .map(([docIndex, score]) => [docIndex, score + tokenScores.get(docIndex)]));
+            }
+            if (scores.size === 0) return [];
+        }
+
+        return [...scores]
+            .map(([docIndex, score]) => {
+                const doc = this.index.docs[docIndex];
+                return { id: doc.id, score, snippet: this.buildSnippet(doc, tokens) };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Excerpt around the first body match with matching words wrapped in <mark>
+     */
+    buildSnippet(doc, tokens) {
+        const stems = tokens.map(token => PostSearch.stem(token));
+        const isMatch = word => {
+            const lower = word.toLowerCase();
+            const stem = PostSearch.stem(lower);
+            return stems.some(s => stem === s || stem.startsWith(s)) || tokens.some(t => lower.startsWith(t));
+        };
+
+        for (const [, rawText] of doc.sections) {
+            const text = rawText.replace(/\s+/g, ' ').trim();
+            const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+            const first = words.find(match => isMatch(match[0]));
+            if (!first) continue;
+
+            // Start a little before the match, on a word boundary
+            let start = Math.max(0, first.index - 60);
+            if (start > 0) {
+                const boundary = text.indexOf(' ', start);
+                start = boundary === -1 || boundary > first.index ? start : boundary + 1;
+            }
+            let end = Math.min(text.length, start + PostSearch.SNIPPET_LENGTH);
+            if (end < text.length) {
+                const boundary = text.lastIndexOf(' ', end);
+                end = boundary > first.index ? boundary : end;
+            }
+
+            let html = '';
+            let cursor = start;
+            words
+                .filter(match => match.index >= start && match.index + match[0].length <= end && isMatch(match[0]))
+                .forEach(match => {
+                    html += PostSearch.escapeHtml(text.slice(cursor, match.index));
+                    html += `<mark>${PostSearch.escapeHtml(match[0])}</mark>`;
+                    cursor = match.index + match[0].length;
+                });
+            html += PostSearch.escapeHtml(text.slice(cursor, end));
+
+            return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+        }
+
+        return '';
+    }
+
+    /**
+     * Utility: Escape HTML
+     */
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Initialize globally in the browser; export the class for Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostSearch;
+} else {
+    window.postSearch = new PostSearch();
+}
@@ -0,0 +1,280 @@
+// siteConfig.js - Owner details from site.json (name, bio, education, highlights, links, footer)
+// and tag descriptions from tags.json. Shared by the app (home page, header, footer, tag pages)
+// and the build (validation, feed author).
+
+class SiteConfig {
+    static DEFAULTS = {
+        name: 'Portfolio',
+        tagline: '',
+        bio: [],
+        photo: null,
+        education: null,
+        highlights: [],
+        social: [],
+        nav: [
+            { label: 'Home', href: '/' },
+            { label: 'Projects', href: '/posts' }
+        ],
+        footer: '',
+        copyrightYear: null,
+        // Canonical tag -> other spellings merged into it in the posts filter
+        tagAliases: {},
+        // Posts list: cards per page, and numbered 'pages' or 'infinite' scroll
+        postList: { pageSize: 12, pagination: 'pages' }
+    };
+
+    // Font Awesome classes, e.g. "fas fa-book" or "fa-brands fa-github"
+    static ICON = /^fa[a-z-]*( fa-[a-z0-9-]+)*$/;
+    // Site paths ("/posts") or absolute http(s)/mailto links
+    static LINK = /^(\/(?!\/)|https?:\/\/|mailto:)/;
+    // Images: relative ("img/me.jpg") or site paths, or absolute http(s) URLs
+    static IMAGE = /^(https?:\/\/|\/(?![\/\\])|(?![a-z][a-z0-9+.-]*:)[^\s\/\\])/i;
+
+    /**
+     * Fill in defaults and drop anything invalid. Returns { site, problems } where
+     * problems are { pointer, message } (pointer is a JSON pointer into site.json);
+     * the site is usable either way.
+     */
+    static normalize(raw) {
+        const problems = [];
+        const problem = (pointer, message) => problems.push({ pointer, message: `${pointer || '/'} ${message}` });
+        const site = { ...SiteConfig.DEFAULTS, nav: [...SiteConfig.DEFAULTS.nav] };
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            problem('', 'must be an object');
+            return { site, problems };
+        }
+
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+        const text = (pointer, value, { required = false } = {}) => {
+            if (isText(value)) return value.trim();
+            if (value !== undefined || required) problem(pointer, required && value === undefined ? 'is required' : 'must be a non-empty string');
+            return null;
+        };
+        const icon = (pointer, value, fallback) => {
+            if (value === undefined) return fallback;
+            if (typeof value === 'string' && SiteConfig.ICON.test(value)) return value;
+            problem(pointer, `${JSON.stringify(value)} is not a Font Awesome class (e.g. "fas fa-book")`);
+            return fallback;
+        };
+        const link = (pointer, value) => {
+            if (typeof value === 'string' && SiteConfig.LINK.test(value)) return value;
+            problem(pointer, value === undefined ? 'is required' : `${JSON.stringify(value)} must be a site path (/...) or an http(s) or mailto link`);
+            return null;
+        };
+        const image = (pointer, value, { required = false } = {}) => {
+            const src = text(pointer, value, { required });
+            // Browsers ignore whitespace and control characters in a URL's scheme
+            if (src === null || SiteConfig.IMAGE.test(src.replace(/[\u0000- \u007f]+/g, ''))) return src;
+            problem(pointer, `${JSON.stringify(value)} must be an image path or an http(s) URL`);
+            return null;
+        };
+        // Objects in a list; items that come back null are dropped
+        const list = (key, item) => {
+            if (raw[key] === undefined) return SiteConfig.DEFAULTS[key];
+            if (!Array.isArray(raw[key])) {
+                problem(`/${key}`, 'must be an array');
+                return SiteConfig.DEFAULTS[key];
+            }
+            return raw[key].map((value, index) => {
+                const pointer = `/${key}/${index}`;
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    problem(pointer, 'must be an object');
+                    return null;
+                }
+                return item(value, pointer);
+            }).filter(Boolean);
+        };
+
+        const known = new Set(Object.keys(SiteConfig.DEFAULTS));
+        Object.keys(raw).filter(key => !known.has(key) && key !== '$schema').forEach(key => {
+            problem(`/${key}`, `is not a site.json field (expected one of: ${[...known].join(', ')})`);
+        });
+
+        site.name = text('/name', raw.name, { required: true }) || site.name;
+        site.tagline = text('/tagline', raw.tagline) || site.tagline;
+        site.footer = text('/footer', raw.footer) || site.footer;
+
+        // One paragraph or a list of them
+        if (raw.bio !== undefined) {
+            const paragraphs = typeof raw.bio === 'string' ? [raw.bio] : raw.bio;
+            if (Array.isArray(paragraphs)) {
+                site.bio = paragraphs.map((paragraph, index) => text(`/bio/${index}`, paragraph)).filter(Boolean);
+            } else {
+                problem('/bio', 'must be a string or an array of strings');
+            }
+        }
+
+        if (raw.photo !== undefined) {
+            const photo = typeof raw.photo === 'string' ? { src: raw.photo } : raw.photo;
+            const src = photo && typeof photo === 'object' ? image('/photo/src', photo.src, { required: true }) : null;
+            if (!photo || typeof photo !== 'object') problem('/photo', 'must be an image path or { "src", "alt" }');
+            if (src) site.photo = { src, alt: text('/photo/alt', photo.alt) || site.name };
+        }
+
+        if (raw.education !== undefined) {
+            const education = raw.education;
+            if (education && typeof education === 'object' && !Array.isArray(education)) {
+                const badges = Array.isArray(education.badges) ? education.badges : [];
+                if (education.badges !== undefined && !Array.isArray(education.badges)) problem('/education/badges', 'must be an array');
+                site.education = {
+                    title: text('/education/title', education.title) || 'Education',
+                    logo: image('/education/logo', education.logo),
+                    badges: badges.map((badge, index) => {
+                        const pointer = `/education/badges/${index}`;
+                        const entry = typeof badge === 'string' ? { text: badge } : badge;
+                        const label = entry && typeof entry === 'object' ? text(`${pointer}/text`, entry.text, { required: true }) : null;
+                        if (!entry || typeof entry !== 'object') problem(pointer, 'must be a string or { "text", "icon" }');
+                        return label && { text: label, icon: icon(`${pointer}/icon`, entry.icon, 'fas fa-graduation-cap') };
+                    }).filter(Boolean)
+                };
+            } else {
+                problem('/education', 'must be an object');
+            }
+        }
+
+        site.highlights = list('highlights', (value, pointer) => {
+            const title = text(`${pointer}/title`, value.title, { required: true });
+            return title && { title, text: text(`${pointer}/text`, value.text) || '' };
+        });
+
+        site.social = list('social', (value, pointer) => {
+            const label = text(`${pointer}/label`, value.label, { required: true });
+            const url = link(`${pointer}/url`, value.url);
+            return label && url && { label, url, icon: icon(`${pointer}/icon`, value.icon, 'fas fa-link') };
+        });
+
+        site.nav = list('nav', (value, pointer) => {
+            const label = text(`${pointer}/label`, value.label, { required: true });
+            const href = link(`${pointer}/href`, value.href);
+            return label && href && { label, href };
+        });
+
+        if (raw.tagAliases !== undefined) {
+            const aliases = raw.tagAliases;
+            if (aliases && typeof aliases === 'object' && !Array.isArray(aliases)) {
+                // Tags are joined with commas in the posts list URL
+                const tag = (pointer, value) => {
+                    const name = text(pointer, value);
+                    if (name && name.includes(',')) problem(pointer, `${JSON.stringify(value)} can't contain a comma`);
+                    return name && !name.includes(',') ? name : null;
+                };
+                site.tagAliases = {};
+                Object.entries(aliases).forEach(([canonical, spellings]) => {
+                    const pointer = `/tagAliases/${canonical}`;
+                    const list = typeof spellings === 'string' ? [spellings] : spellings;
+                    if (!Array.isArray(list)) {
+                        problem(pointer, 'must be a string or an array of strings');
+                        return;
+                    }
+                    const names = list.map((value, index) => tag(`${pointer}/${index}`, value)).filter(Boolean);
+                    if (tag(pointer, canonical) && names.length > 0) site.tagAliases[canonical.trim()] = names;
+                });
+            } else {
+                problem('/tagAliases', 'must be an object');
+            }
+        }
+
+        if (raw.postList !== undefined) {
+            const postList = raw.postList;
+            if (postList && typeof postList === 'object' && !Array.isArray(postList)) {
+                site.postList = { ...SiteConfig.DEFAULTS.postList };
+                if (postList.pageSize !== undefined) {
+                    if (Number.isInteger(postList.pageSize) && postList.pageSize >= 1 && postList.pageSize <= 100) {
+                        site.postList.pageSize = postList.pageSize;
+                    } else {
+                        problem('/postList/pageSize', 'must be a whole number from 1 to 100');
+                    }
+                }
+                if (postList.pagination !== undefined) {
+                    if (['pages', 'infinite'].includes(postList.pagination)) {
+                        site.postList.pagination = postList.pagination;
+                    } else {
+                        problem('/postList/pagination', `${JSON.stringify(postList.pagination)} must be "pages" or "infinite"`);
+                    }
+                }
+            } else {
+                problem('/postList', 'must be an object');
+            }
+        }
+
+        if (raw.copyrightYear !== undefined) {
+            if (Number.isInteger(raw.copyrightYear) && raw.copyrightYear >= 1900 && raw.copyrightYear <= 9999) {
+                site.copyrightYear = raw.copyrightYear;
+            } else {
+                problem('/copyrightYear', 'must be a four-digit year');
+            }
+        }
+
+        return { site, problems };
+    }
+
+    /**
+     * Read and normalize site.json; a missing or broken file gives the defaults.
+     * readText(url) returns the file's text (fetch by default; the build passes a file reader).
+     */
+    static async load(readText = SiteConfig.fetchText) {
+        let raw;
+        try {
+            raw = JSON.parse(await readText('site.json'));
+        } catch (error) {
+            console.warn('site.json could not be loaded, using defaults:', error.message);
+            return SiteConfig.normalize({ name: SiteConfig.DEFAULTS.name }).site;
+        }
+        const { site, problems } = SiteConfig.normalize(raw);
+        problems.forEach(({ message }) => console.warn(`site.json: ${message}`));
+        return site;
+    }
+
+    /**
+     * Check tags.json, an object of tag -> description shown on the tag's page.
+     * Returns { descriptions, problems } like normalize; bad entries are dropped.
+     */
+    static normalizeTagDescriptions(raw) {
+        const problems = [];
+        const descriptions = {};
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            problems.push({ pointer: '', message: '/ must be an object of tag -> description' });
+            return { descriptions, problems };
+        }
+
+        Object.entries(raw).filter(([tag]) => tag !== '$schema').forEach(([tag, description]) => {
+            const pointer = `/${tag}`;
+            if (tag.trim() === '' || tag.includes(',')) {
+                problems.push({ pointer, message: `${pointer} ${JSON.stringify(tag)} is not a tag name (tags can't be empty or contain a comma)` });
+            } else if (typeof description !== 'string' || description.trim() === '') {
+                problems.push({ pointer, message: `${pointer} must be a non-empty string` });
+            } else {
+                descriptions[tag.trim()] = description.trim();
+            }
+        });
+        return { descriptions, problems };
+    }
+
+    /**
+     * Read and check tags.json; a missing or broken file gives no descriptions
+     */
+    static async loadTagDescriptions(readText = SiteConfig.fetchText) {
+        let raw;
+        try {
+            raw = JSON.parse(await readText('tags.json'));
+        } catch (error) {
+            console.warn('tags.json could not be loaded, tag pages have no descriptions:', error.message);
+            return {};
+        }
+        const { descriptions, problems } = SiteConfig.normalizeTagDescriptions(raw);
+        problems.forEach(({ message }) => console.warn(`tags.json: ${message}`));
+        return descriptions;
+    }
+
+    static async fetchText(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: ${response.statusText}`);
+        return response.text();
+    }
+}
+
+// Export the class for Node build scripts; in the browser it's used as a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteConfig;
+}
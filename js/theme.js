@@ -0,0 +1,116 @@
+// theme.js - Color theme (light, dark, high contrast) from the reader's choice or the system settings
+// Loaded in <head> so data-theme is on <html> before the page paints; the stylesheets
+// only swap custom properties per theme (see the top of css/styles.css).
+
+class ThemeManager {
+    static THEMES = ['light', 'dark', 'high-contrast'];
+    // The toggle steps through these; 'auto' follows prefers-color-scheme / prefers-contrast
+    static PREFERENCES = ['auto', ...ThemeManager.THEMES];
+    static STORAGE_KEY = 'theme';
+    static LABELS = { auto: 'Auto', light: 'Light', dark: 'Dark', 'high-contrast': 'High contrast' };
+    static ICONS = { auto: 'fa-circle-half-stroke', light: 'fa-sun', dark: 'fa-moon', 'high-contrast': 'fa-eye' };
+
+    constructor(root = document.documentElement) {
+        this.root = root;
+        this.preference = this.loadPreference();
+        this.toggles = [];
+        // Called with the theme in use whenever it changes
+        this.onChange = null;
+
+        this.queries = ['(prefers-color-scheme: dark)', '(prefers-contrast: more)']
+            .map(query => window.matchMedia ? window.matchMedia(query) : null)
+            .filter(Boolean);
+        this.queries.forEach(query => query.addEventListener('change', () => {
+            if (this.preference === 'auto') this.apply();
+        }));
+    }
+
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(ThemeManager.STORAGE_KEY);
+            return ThemeManager.PREFERENCES.includes(stored) ? stored : 'auto';
+        } catch (error) {
+            // Storage can be blocked (private browsing, cookies disabled)
+            return 'auto';
+        }
+    }
+
+    /**
+     * The theme the system asks for: high contrast wins over dark
+     */
+    systemTheme() {
+        const [dark, contrast] = this.queries;
+        if (contrast && contrast.matches) return 'high-contrast';
+        if (dark && dark.matches) return 'dark';
+        return 'light';
+    }
+
+    get theme() {
+        return this.preference === 'auto' ? this.systemTheme() : this.preference;
+    }
+
+    apply() {
+        const theme = this.theme;
+        const changed = this.root.getAttribute('data-theme') !== theme;
+        this.root.setAttribute('data-theme', theme);
+        this.toggles.forEach(button => this.updateToggle(button));
+        if (changed && this.onChange) this.onChange(theme);
+    }
+
+    /**
+     * Use a theme ('auto' to follow the system) and remember it for later visits
+     */
+    setPreference(preference) {
+        if (!ThemeManager.PREFERENCES.includes(preference)) return;
+        this.preference = preference;
+        try {
+            if (preference === 'auto') {
+                localStorage.removeItem(ThemeManager.STORAGE_KEY);
+            } else {
+                localStorage.setItem(ThemeManager.STORAGE_KEY, preference);
+            }
+        } catch (error) {
+            // Still applies for this visit
+        }
+        this.apply();
+    }
+
+    cycle() {
+        const { PREFERENCES } = ThemeManager;
+        this.setPreference(PREFERENCES[(PREFERENCES.indexOf(this.preference) + 1) % PREFERENCES.length]);
+    }
+
+    /**
+     * Markup for a toggle button; wire it up with bindToggle once it's in the page
+     */
+    toggleHTML() {
+        return '<button type="button" class="theme-toggle"><i class="fas" aria-hidden="true"></i></button>';
+    }
+
+    bindToggle(button) {
+        if (!button) return;
+        button.addEventListener('click', () => this.cycle());
+        this.toggles = this.toggles.filter(toggle => document.contains(toggle)).concat(button);
+        this.updateToggle(button);
+    }
+
+    updateToggle(button) {
+        const { LABELS, ICONS, PREFERENCES } = ThemeManager;
+        const next = PREFERENCES[(PREFERENCES.indexOf(this.preference) + 1) % PREFERENCES.length];
+        const current = this.preference === 'auto'
+            ? `${LABELS.auto} (${LABELS[this.theme].toLowerCase()})`
+            : LABELS[this.preference];
+        const label = `Theme: ${current}. Switch to ${LABELS[next].toLowerCase()}`;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.querySelector('i').className = `fas ${ICONS[this.preference]}`;
+    }
+}
+
+// Initialize globally in the browser; export the class for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeManager;
+} else {
+    window.themeManager = new ThemeManager();
+    window.themeManager.apply();
+}
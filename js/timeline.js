@@ -6,10 +6,10 @@ class TimelineRenderer {
         this.initialized = false;
     }
 
-    // Load timeline data from JSON file
+    // Load timeline data from JSON file (with the image manifest, for accomplishment images)
     async loadTimelineData() {
         try {
-            const response = await fetch('timeline.json');
+            const [response] = await Promise.all([fetch('timeline.json'), window.postRenderer?.loadImages()]);
             if (!response.ok) {
                 throw new Error(`Failed to load timeline.json: ${response.statusText}`);
             }
@@ -81,21 +81,21 @@ class TimelineRenderer {
         html += '<div class="timeline-items">';
 
         accomplishments.forEach((item, index) => {
-            const postLink = item.postId ? ` onclick="event.stopPropagation(); navigateTo('posts', '${item.postId}')"` : '';
             const postLinkAttr = item.postId ? ' data-has-post="true"' : '';
             
             html += `
                 <div class="timeline-item" ${postLinkAttr}>
                     <div class="timeline-preview">
                         <div class="timeline-dot"></div>
-                        <h4>${item.title}</h4>
-                        <span class="timeline-year">${item.year}</span>
+                        <h4>${this.escapeHtml(item.title)}</h4>
+                        <span class="timeline-year">${this.escapeHtml(item.year)}</span>
                     </div>
                     <div class="timeline-expanded">
-                        <h3>${item.title}</h3>
-                        <p class="timeline-date">${item.month} ${item.year}</p>
-                        <p class="timeline-description">${item.description}</p>
-                        ${item.postId ? `<a href="#posts/${item.postId}" class="timeline-post-link" ${postLink}>View Related Post →</a>` : ''}
+                        <h3>${this.escapeHtml(item.title)}</h3>
+                        <p class="timeline-date">${this.escapeHtml(item.month)} ${this.escapeHtml(item.year)}</p>
+                        ${item.image ? `<div class="timeline-image">${this.imageHTML(item.image, item.title)}</div>` : ''}
+                        <p class="timeline-description">${this.escapeHtml(item.description)}</p>
+                        ${item.postId ? `<a href="/posts/${encodeURIComponent(item.postId)}" class="timeline-post-link" data-post-id="${this.escapeHtml(item.postId)}">View Related Post →</a>` : ''}
                     </div>
                 </div>
             `;
@@ -118,12 +118,12 @@ class TimelineRenderer {
         let html = '<div class="work-history-items">';
 
         workHistory.forEach((job) => {
-            const startDate = `${job.startMonth} ${job.startYear}`;
+            const startDate = `${this.escapeHtml(job.startMonth)} ${this.escapeHtml(job.startYear)}`;
             const endDate = job.current 
                 ? 'Present' 
                 : job.endMonth 
-                    ? `${job.endMonth} ${job.endYear}`
-                    : `${job.endYear}`;
+                    ? `${this.escapeHtml(job.endMonth)} ${this.escapeHtml(job.endYear)}`
+                    : this.escapeHtml(job.endYear);
             
             const currentBadge = job.current 
                 ? '<span class="work-current-badge">Current</span>' 
@@ -148,14 +148,14 @@ class TimelineRenderer {
 
                     const visible = combined.slice(0, 8);
                     const moreCount = Math.max(0, combined.length - visible.length);
-                    const chipsHtml = visible.map(c => `<span class="project-chip">${c}</span>`).join('');
+                    const chipsHtml = visible.map(c => `<span class="project-chip">${this.escapeHtml(c)}</span>`).join('');
 
                     projectsHtml += `
                         <div class="job-project" role="button" aria-expanded="false">
-                            <h4 class="project-title">${project.title}</h4>
-                            ${project.description ? `<p class="project-desc">${project.description}</p>` : ''}
+                            <h4 class="project-title">${this.escapeHtml(project.title)}</h4>
+                            ${project.description ? `<p class="project-desc">${this.escapeHtml(project.description)}</p>` : ''}
                             <div class="project-meta">${chipsHtml}${moreCount > 0 ? `<span class="project-more">+${moreCount}</span>` : ''}</div>
-                            ${project.postId ? `<a href="#posts/${project.postId}" class="project-link">View Related Post →</a>` : ''}
+                            ${project.postId ? `<a href="/posts/${encodeURIComponent(project.postId)}" class="project-link">View Related Post →</a>` : ''}
                         </div>
                     `;
                 });
@@ -166,13 +166,13 @@ class TimelineRenderer {
                 <div class="work-history-item">
                     <div class="work-header">
                         <div>
-                            <h3>${job.position}</h3>
-                            <p class="work-company">${job.company}</p>
+                            <h3>${this.escapeHtml(job.position)}</h3>
+                            <p class="work-company">${this.escapeHtml(job.company)}</p>
                         </div>
                         <span class="work-period">${startDate} – ${endDate}</span>
                         ${currentBadge}
                     </div>
-                    <p class="work-description">${job.description}</p>
+                    <p class="work-description">${this.escapeHtml(job.description)}</p>
                     ${projectsHtml}
                 </div>
             `;
@@ -255,6 +255,14 @@ class TimelineRenderer {
             // Handle click to force-open/close
             item.addEventListener('click', (e) => {
                 e.stopPropagation();
+
+                // Clicks don't reach the router from here, so route the related post link directly
+                const postLink = e.target.closest('.timeline-post-link[data-post-id]');
+                if (postLink) {
+                    e.preventDefault();
+                    navigateTo('posts', postLink.dataset.postId);
+                    return;
+                }
                 
                 // Clear any pending hover timeouts
                 clearTimeout(hoverTimeouts.get(item));
@@ -351,7 +359,7 @@ class TimelineRenderer {
                 overlay.innerHTML = `
                     <div class="project-overlay-inner comic-bubble">
                         <button class="project-overlay-close" aria-label="Close popup">×</button>
-                        <h3 class="project-overlay-title">${title}</h3>
+                        <h3 class="project-overlay-title">${this.escapeHtml(title)}</h3>
                         <div class="project-overlay-meta">${metaHtml}</div>
                         <div class="project-overlay-desc">${descHtml}</div>
                         ${linkHtml}
@@ -434,6 +442,23 @@ class TimelineRenderer {
 
         this.initialized = true;
     }
+
+    /**
+     * Responsive <img> markup from PostRenderer (sizes from img/images.json), or a plain one
+     */
+    imageHTML(src, alt) {
+        if (window.postRenderer) {
+            return window.postRenderer.imageHTML(src, { alt, sizes: window.postRenderer.imageSizes.timeline, attrs: 'loading="lazy"' });
+        }
+        return `<img src="${this.escapeHtml(src)}" alt="${this.escapeHtml(alt)}" loading="lazy">`;
+    }
+
+    /**
+     * Utility: Escape HTML
+     */
+    escapeHtml(text) {
+        return HtmlSanitizer.escapeHtml(text);
+    }
 }
 
 // Create global instance
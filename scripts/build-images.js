@@ -0,0 +1,333 @@
+// build-images.js - Responsive variants and sizes for every image posts and the timeline use
+//
+// For each local raster image (post banners, gallery entries and timeline.json images) this
+// writes AVIF, WebP and original-format copies at several widths to img/generated/, and
+// records the image's size, the widths made and a tiny blurred placeholder in
+// img/images.json. PostRenderer.imageHTML turns that into <picture>/srcset markup with
+// width/height set, so pages don't shift as images arrive.
+//
+// Resizing needs sharp (npm install --no-save sharp). Without it only sizes are recorded,
+// read from the file headers, and images are served at full size.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PostRenderer = require('../js/postRenderer.js');
+const { rootDir, getBannerImage, readIndexedPosts } = require('./build-utils');
+
+const MANIFEST = path.join(rootDir, 'img', 'images.json');
+const GENERATED_DIR = path.join(rootDir, 'img', 'generated');
+const TIMELINE = path.join(rootDir, 'timeline.json');
+
+// Candidate widths; an image also gets one at its own width if that is smaller than the largest
+const WIDTHS = [320, 640, 960, 1280, 1920];
+const QUALITY = { avif: 50, webp: 70, jpg: 75, png: 80 };
+// Formats sharp can resize; anything else (GIF, SVG) is recorded at its own size only
+const RESIZABLE = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+const RASTER = /\.(jpe?g|png|gif|webp|avif)$/i;
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    // Optional: sizes are still recorded without it
+}
+
+const renderer = new PostRenderer();
+
+function filePath(src) {
+    return path.join(rootDir, decodeURIComponent(renderer.imageKey(src).slice(1)));
+}
+
+// Every string under an "image" key, at any depth (timeline entries and their projects)
+function collectImageFields(value, found = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectImageFields(item, found));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => {
+            if (key === 'image' && typeof child === 'string') found.push(child);
+            else collectImageFields(child, found);
+        });
+    }
+    return found;
+}
+
+/**
+ * Manifest keys of the local raster images posts and timeline.json reference
+ */
+function collectImages(posts) {
+    const sources = [];
+    posts.forEach(post => {
+        sources.push(getBannerImage(post));
+        const gallery = post.gallery || (post.images && post.images.gallery) || [];
+        gallery.forEach(img => sources.push(img && img.src));
+    });
+    if (fs.existsSync(TIMELINE)) {
+        sources.push(...collectImageFields(JSON.parse(fs.readFileSync(TIMELINE, 'utf8'))));
+    }
+
+    // Missing files are left out; the renderers show their placeholder for those
+    const keys = sources
+        .filter(src => typeof src === 'string' && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src))
+        .map(src => renderer.imageKey(src))
+        .filter(key => RASTER.test(key) && fs.existsSync(filePath(key)));
+    return [...new Set(keys)].sort();
+}
+
+/**
+ * Width and height of a JPEG, PNG, GIF or WebP from its header, as displayed
+ * (EXIF orientations that rotate a JPEG by 90° swap them). Null for other formats.
+ */
+function readImageSize(buffer) {
+    // PNG: IHDR is the first chunk
+    if (buffer.toString('latin1', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    // GIF: logical screen size
+    if (buffer.toString('latin1', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('latin1', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+    // JPEG: walk the segments to the start-of-frame, noting the EXIF orientation on the way
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let orientation = 1;
+        let offset = 2;
+        while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+            if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 8) === 'Exif') {
+                orientation = readTiffTags(buffer, offset + 10).get(0x0112) || orientation;
+            }
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                const height = buffer.readUInt16BE(offset + 5);
+                const width = buffer.readUInt16BE(offset + 7);
+                return orientation >= 5 ? { width: height, height: width } : { width, height };
+            }
+            offset += 2 + length;
+        }
+    }
+    return null;
+}
+
+// Bytes per value of each TIFF field type (BYTE, ASCII, SHORT, LONG, RATIONAL, UNDEFINED, SLONG, SRATIONAL)
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Tag -> value for the TIFF structure at tiff: the main image directory plus the Exif
+ * sub-directory. Text is trimmed, rationals become numbers. GPS data is never read.
+ */
+function readTiffTags(buffer, tiff) {
+    const tags = new Map();
+    const little = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+    const read16 = at => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+    const read32 = at => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+    const readS32 = at => (little ? buffer.readInt32LE(at) : buffer.readInt32BE(at));
+
+    const readDirectory = offset => {
+        const count = read16(offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const type = read16(entry + 2);
+            const length = read32(entry + 4);
+            // Values over 4 bytes are stored elsewhere, at an offset from the TIFF header
+            const at = (TIFF_TYPE_SIZES[type] || 0) * length > 4 ? tiff + read32(entry + 8) : entry + 8;
+            let value = null;
+            if (type === 2) {
+                value = buffer.toString('latin1', at, at + length).replace(/\0[\s\S]*$/, '').trim();
+            } else if (type === 3) {
+                value = read16(at);
+            } else if (type === 4) {
+                value = read32(at);
+            } else if (type === 5 || type === 10) {
+                const denominator = type === 5 ? read32(at + 4) : readS32(at + 4);
+                value = denominator ? (type === 5 ? read32(at) : readS32(at)) / denominator : null;
+            }
+            tags.set(read16(entry), value);
+        }
+    };
+
+    try {
+        readDirectory(tiff + read32(tiff + 4));
+        if (tags.get(0x8769)) readDirectory(tiff + tags.get(0x8769));
+    } catch (error) {
+        // Truncated EXIF block: keep the tags read so far
+    }
+    return tags;
+}
+
+/**
+ * Camera settings from a JPEG's EXIF block for the gallery's info panel, or null if it has none
+ */
+function readExif(buffer) {
+    if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff && buffer[offset + 1] !== 0xda) {
+        if (buffer[offset + 1] === 0xe1 && buffer.toString('latin1', offset + 4, offset + 8) === 'Exif') {
+            const tags = readTiffTags(buffer, offset + 10);
+            const make = tags.get(0x010f) || '';
+            const model = tags.get(0x0110) || '';
+            // "2024:05:01 14:30:00" -> "2024-05-01T14:30:00"
+            const taken = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(tags.get(0x9003) || tags.get(0x0132) || '');
+            const exif = {
+                camera: model.startsWith(make) ? model : `${make} ${model}`.trim(),
+                lens: tags.get(0xa434),
+                focalLength: tags.get(0x920a),
+                aperture: tags.get(0x829d),
+                exposure: tags.get(0x829a),
+                iso: tags.get(0x8827),
+                taken: taken ? `${taken[1]}-${taken[2]}-${taken[3]}T${taken[4]}` : null
+            };
+            Object.keys(exif).forEach(key => {
+                if (!exif[key]) delete exif[key];
+            });
+            return Object.keys(exif).length > 0 ? exif : null;
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function hashFile(buffer) {
+    return crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 12);
+}
+
+function variantPath(key, width, format) {
+    return path.join(rootDir, decodeURIComponent(renderer.imageVariantUrl(key, width, format).slice(1)));
+}
+
+// A manifest entry still matches its source when the content hash is unchanged and its files exist
+function isCurrent(entry, key, hash) {
+    return entry && entry.hash === hash &&
+        (entry.widths || []).every(width => entry.formats.every(format => fs.existsSync(variantPath(key, width, format))));
+}
+
+// Tiny blurred copy as an SVG data URI, shown as the image's background until it loads
+async function makePlaceholder(buffer, width, height) {
+    const tinyWidth = 16;
+    const tinyHeight = Math.max(1, Math.round(tinyWidth * height / width));
+    const tiny = await sharp(buffer).rotate().resize(tinyWidth, tinyHeight, { fit: 'fill' }).webp({ quality: 40 }).toBuffer();
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${tinyWidth} ${tinyHeight}" preserveAspectRatio="none">` +
+        '<filter id="b" color-interpolation-filters="sRGB"><feGaussianBlur stdDeviation="1"/>' +
+        '<feComponentTransfer><feFuncA type="discrete" tableValues="1 1"/></feComponentTransfer></filter>' +
+        `<image width="100%" height="100%" preserveAspectRatio="none" filter="url(#b)" href="data:image/webp;base64,${tiny.toString('base64')}"/></svg>`;
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+/**
+ * Manifest entry for one image, generating its variants when sharp is available
+ */
+async function processImage(key, buffer, hash) {
+    if (!sharp) {
+        const size = readImageSize(buffer);
+        return size ? { ...size, hash } : null;
+    }
+
+    const metadata = await sharp(buffer).metadata();
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+    const entry = { width, height, hash, placeholder: await makePlaceholder(buffer, width, height) };
+
+    const original = RESIZABLE[metadata.format];
+    if (!original || (metadata.pages || 1) > 1) return entry;
+
+    entry.widths = [...WIDTHS.filter(candidate => candidate < width), Math.min(width, WIDTHS[WIDTHS.length - 1])];
+    entry.formats = [...new Set(['avif', 'webp', original])];
+
+    for (const target of entry.widths) {
+        for (const format of entry.formats) {
+            const out = variantPath(key, target, format);
+            fs.mkdirSync(path.dirname(out), { recursive: true });
+            const options = format === 'png' ? { quality: QUALITY.png, palette: true } : { quality: QUALITY[format] };
+            await sharp(buffer).rotate().resize({ width: target }).toFormat(format === 'jpg' ? 'jpeg' : format, options).toFile(out);
+        }
+    }
+    return entry;
+}
+
+// Generated files no manifest entry refers to (an image was replaced, resized or dropped)
+function removeStaleVariants(manifest) {
+    if (!fs.existsSync(GENERATED_DIR)) return 0;
+    const keep = new Set();
+    Object.entries(manifest).forEach(([key, entry]) => {
+        (entry.widths || []).forEach(width => entry.formats.forEach(format => keep.add(variantPath(key, width, format))));
+    });
+
+    let removed = 0;
+    const sweep = dir => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(item => {
+            const full = path.join(dir, item.name);
+            if (item.isDirectory()) {
+                sweep(full);
+                if (fs.readdirSync(full).length === 0) fs.rmdirSync(full);
+            } else if (!keep.has(full)) {
+                fs.rmSync(full);
+                removed++;
+            }
+        });
+    };
+    sweep(GENERATED_DIR);
+    return removed;
+}
+
+/**
+ * Write img/images.json and img/generated/ for the images posts and timeline.json use.
+ * Images whose content hasn't changed keep their existing variants.
+ */
+async function buildImages(posts) {
+    const previous = fs.existsSync(MANIFEST) ? JSON.parse(fs.readFileSync(MANIFEST, 'utf8')) : {};
+    const manifest = {};
+    let processed = 0;
+
+    for (const key of collectImages(posts)) {
+        const buffer = fs.readFileSync(filePath(key));
+        const hash = hashFile(buffer);
+        // Keep what a build with sharp made, even when this one has no sharp
+        let entry = previous[key];
+        if (!isCurrent(entry, key, hash) || !(entry.placeholder || !sharp)) {
+            entry = await processImage(key, buffer, hash);
+            if (!entry) {
+                console.warn(`⚠ Could not read the size of ${key}; skipped`);
+                continue;
+            }
+            processed++;
+        }
+        // Cheap to read, so always current
+        const exif = readExif(buffer);
+        manifest[key] = { ...entry, exif };
+        if (!exif) delete manifest[key].exif;
+    }
+
+    fs.writeFileSync(MANIFEST, JSON.stringify(manifest, null, 2));
+    const removed = removeStaleVariants(manifest);
+    if (removed > 0) console.log(`✓ Removed ${removed} stale image variant(s)`);
+    if (!sharp) {
+        console.warn('⚠ sharp is not installed, so no resized variants were made (npm install --no-save sharp)');
+    }
+    console.log(`✓ Wrote img/images.json for ${Object.keys(manifest).length} images (${processed} processed)`);
+}
+
+module.exports = { buildImages, readImageSize, readExif };
+
+// Standalone: node scripts/build-images.js (uses the posts listed in posts/index.json)
+if (require.main === module) {
+    buildImages(readIndexedPosts()).catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
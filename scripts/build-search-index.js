@@ -0,0 +1,202 @@
+// build-search-index.js - Build posts/search-index.json, the inverted index used by js/search.js
+//
+// Index format:
+//   docs:  [{ id, sections: [[type, text], ...] }]  body text, used for result snippets
+//   terms: { term: [[docIndex, weightedFrequency], ...] }
+const fs = require('fs');
+const path = require('path');
+const PostSearch = require('../js/search.js');
+const PostRenderer = require('../js/postRenderer.js');
+const HtmlSanitizer = require('../js/sanitizer.js');
+const { postsDir, forEachBlock, readTableSource, readIndexedPosts } = require('./build-utils');
+
+const INDEX_VERSION = 1;
+// Words per minute for readingTime
+const READING_SPEED = 200;
+
+// How much one occurrence of a term counts for, by where it appears
+const FIELD_WEIGHTS = {
+    title: 5,
+    tag: 4,
+    heading: 3,
+    description: 2,
+    paragraph: 1,
+    list: 1,
+    callout: 1,
+    blockquote: 1,
+    caption: 1,
+    table: 1,
+    code: 0.5
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+function htmlToText(html) {
+    return html
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => HTML_ENTITIES[name])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Body sections of an HTML-string post, in document order
+function sectionsFromHtml(html) {
+    const types = { p: 'paragraph', li: 'list', pre: 'code', blockquote: 'blockquote', figcaption: 'caption' };
+    const sections = [];
+    const pattern = /<(h[1-6]|p|li|pre|blockquote|figcaption)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const tag = match[1].toLowerCase();
+        const text = htmlToText(match[2]);
+        if (text) sections.push([/^h\d$/.test(tag) ? 'heading' : types[tag], text]);
+    }
+    return sections;
+}
+
+const renderer = new PostRenderer();
+
+// Body sections of a block-format post, in document order (container blocks' children included)
+function sectionsFromBlocks(blocks, post) {
+    const sections = [];
+    const add = (type, text) => {
+        if (typeof text === 'string' && text.trim()) sections.push([type, text.trim()]);
+    };
+    // Text with inline markup (**bold**, [links](url)...) is indexed as it reads
+    const addInline = (type, text) => add(type, renderer.inlineToText(text));
+
+    forEachBlock(blocks, block => {
+        switch (block.type) {
+            case 'heading':
+            case 'code':
+                add(block.type, block.text);
+                break;
+            case 'paragraph':
+            case 'blockquote':
+                addInline(block.type, block.text);
+                break;
+            case 'list':
+                (block.items || []).forEach(item => addInline('list', item));
+                break;
+            case 'callout':
+                addInline('callout', [block.title, block.text].filter(Boolean).join(': '));
+                break;
+            case 'two-column':
+                // Text columns; block columns are visited as blocks
+                [block.left, block.right].forEach(column => {
+                    if (typeof column === 'string') addInline('paragraph', column);
+                });
+                break;
+            case 'columns':
+                (block.columns || []).forEach(column => {
+                    if (typeof column === 'string') addInline('paragraph', column);
+                });
+                break;
+            case 'details':
+                addInline('heading', block.summary);
+                break;
+            case 'table':
+                add('caption', block.caption);
+                // One section per row, cells joined as they read across
+                tableRows(post, block).forEach(row => addInline('table', row.join(' ')));
+                break;
+            case 'link':
+                add('paragraph', block.text);
+                break;
+            case 'image':
+            case 'video':
+                add('caption', [block.title, block.caption].filter(Boolean).join(': '));
+                break;
+            case 'math':
+            case 'diagram':
+                add('caption', block.caption);
+                break;
+        }
+    });
+    return sections;
+}
+
+// Header and body rows of a table block, inline or from its CSV source
+function tableRows(post, block) {
+    if (block.src) {
+        try {
+            return readTableSource(post, block);
+        } catch (err) {
+            console.warn(`⚠ ${post.id}: table data ${block.src} not indexed: ${err.message}`);
+            return [];
+        }
+    }
+    return [...renderer.normalizeTableHeader(block.header), ...(block.rows || [])];
+}
+
+function postSections(post) {
+    // Index only what the page shows: script/style content and the like is dropped first
+    if (typeof post.content === 'string') return sectionsFromHtml(HtmlSanitizer.sanitize(post.content));
+    if (post.content && Array.isArray(post.content.blocks)) {
+        const footnotes = Object.values(post.footnotes || {}).map(text => ['paragraph', renderer.inlineToText(text)]);
+        return [...sectionsFromBlocks(post.content.blocks, post), ...footnotes];
+    }
+    return [];
+}
+
+/**
+ * Minutes to read a post at ~200 words a minute (at least 1), counting the same text search indexes
+ */
+function readingTime(post) {
+    const text = [post.title, ...postSections(post).map(([, sectionText]) => sectionText)].join(' ');
+    const words = (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+    return Math.max(1, Math.round(words / READING_SPEED));
+}
+
+/**
+ * Build the search index object for a list of posts
+ */
+function buildSearchIndex(posts) {
+    const docs = [];
+    const terms = new Map();
+
+    posts.forEach((post, docIndex) => {
+        const sections = postSections(post);
+        const frequencies = new Map();
+        const count = (text, field) => {
+            PostSearch.terms(text).forEach(term => {
+                frequencies.set(term, (frequencies.get(term) || 0) + FIELD_WEIGHTS[field]);
+            });
+        };
+
+        count(post.title, 'title');
+        (post.tags || []).forEach(tag => count(tag, 'tag'));
+        if (post.shortDescription) count(post.shortDescription, 'description');
+        sections.forEach(([type, text]) => count(text, type));
+
+        frequencies.forEach((frequency, term) => {
+            if (!terms.has(term)) terms.set(term, []);
+            terms.get(term).push([docIndex, Math.round(frequency * 100) / 100]);
+        });
+
+        docs.push({ id: post.id, sections });
+    });
+
+    const sortedTerms = {};
+    [...terms.keys()].sort().forEach(term => {
+        sortedTerms[term] = terms.get(term);
+    });
+
+    return { version: INDEX_VERSION, docs, terms: sortedTerms };
+}
+
+/**
+ * Write posts/search-index.json
+ */
+function writeSearchIndex(posts) {
+    // Drafts, unlisted and scheduled posts stay out of search
+    const index = buildSearchIndex(posts.filter(post => PostRenderer.postStatus(post) === 'published'));
+    fs.writeFileSync(path.join(postsDir, 'search-index.json'), JSON.stringify(index));
+    console.log(`✓ Generated posts/search-index.json with ${Object.keys(index.terms).length} terms`);
+}
+
+module.exports = { buildSearchIndex, writeSearchIndex, readingTime };
+
+// Standalone: node scripts/build-search-index.js (uses the posts listed in posts/index.json)
+if (require.main === module) {
+    writeSearchIndex(readIndexedPosts());
+}
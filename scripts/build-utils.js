@@ -0,0 +1,128 @@
+// build-utils.js - Site constants and helpers shared by the build scripts
+const fs = require('fs');
+const path = require('path');
+const PostRenderer = require('../js/postRenderer.js');
+const SiteConfig = require('../js/siteConfig.js');
+
+const SITE_URL = 'https://bakabea5t.github.io';
+
+const rootDir = path.join(__dirname, '..');
+const postsDir = path.join(rootDir, 'posts');
+
+// Owner details from site.json (problems are reported by validate-site.js)
+function readSite() {
+    try {
+        return SiteConfig.normalize(JSON.parse(fs.readFileSync(path.join(rootDir, 'site.json'), 'utf8'))).site;
+    } catch (error) {
+        return SiteConfig.normalize({ name: SiteConfig.DEFAULTS.name }).site;
+    }
+}
+
+const SITE_NAME = readSite().name;
+// Feed title, also used for the feed links in the page <head>
+const FEED_TITLE = `${SITE_NAME} - Posts`;
+
+function absoluteUrl(src) {
+    return new URL(src, `${SITE_URL}/`).href;
+}
+
+// Site images are referenced as /img/... or img/...; anything else is assumed reachable
+function imageExists(src) {
+    if (/^(https?:)?\/\//.test(src) || src.startsWith('data:')) return true;
+    return fs.existsSync(path.join(rootDir, decodeURIComponent(src.replace(/^\//, '').split('?')[0])));
+}
+
+// Text of a site file referenced by a root-relative URL (e.g. a table's /img/posts/<id>/data.csv)
+function readSiteFile(url) {
+    return fs.readFileSync(path.join(rootDir, decodeURIComponent(url.replace(/^\//, '').split('?')[0])), 'utf8');
+}
+
+/**
+ * All rows (header rows included) of a table block's CSV source.
+ * Throws if the file is missing or is not valid CSV.
+ */
+function readTableSource(post, block) {
+    const renderer = new PostRenderer();
+    return renderer.parseCsv(readSiteFile(renderer.tableSourceUrl(block.src, post)));
+}
+
+// Banner image, supporting the old (images.thumbnail) and new (image) formats
+function getBannerImage(post) {
+    return post.image || (post.images && post.images.thumbnail) || null;
+}
+
+// shortDescription, or the first paragraph of text for posts without one
+function describePost(post) {
+    if (post.shortDescription) return post.shortDescription;
+
+    let text = '';
+    if (typeof post.content === 'string') {
+        const firstParagraph = /<p[^>]*>([\s\S]*?)<\/p>/i.exec(post.content);
+        text = firstParagraph ? firstParagraph[1].replace(/<[^>]+>/g, '') : '';
+    } else if (post.content && Array.isArray(post.content.blocks)) {
+        const paragraph = post.content.blocks.find(block => block.type === 'paragraph');
+        text = paragraph ? new PostRenderer().inlineToText(paragraph.text) : '';
+    }
+    text = text.replace(/\s+/g, ' ').trim();
+    return text.length > 160 ? `${text.slice(0, 157).trimEnd()}...` : text;
+}
+
+// Child block lists of a container block, as [relativePointer, blocks] pairs
+function childBlockLists(block) {
+    const lists = [];
+    switch (block.type) {
+        case 'two-column':
+            ['left', 'right'].forEach(side => lists.push([`/${side}`, block[side]]));
+            break;
+        case 'columns':
+            (Array.isArray(block.columns) ? block.columns : []).forEach((column, index) => lists.push([`/columns/${index}`, column]));
+            break;
+        case 'callout':
+        case 'details':
+            lists.push(['/blocks', block.blocks]);
+            break;
+        case 'tabs':
+            (Array.isArray(block.tabs) ? block.tabs : []).forEach((tab, index) => lists.push([`/tabs/${index}/blocks`, tab && tab.blocks]));
+            break;
+    }
+    return lists.filter(([, blocks]) => Array.isArray(blocks));
+}
+
+/**
+ * Call visit(block, pointer) for every block, including those nested in container
+ * blocks, in document order. pointer is the block's JSON pointer within the post.
+ */
+function forEachBlock(blocks, visit, pointer = '/content/blocks') {
+    (Array.isArray(blocks) ? blocks : []).forEach((block, index) => {
+        if (!block || typeof block !== 'object') return;
+        const blockPointer = `${pointer}/${index}`;
+        visit(block, blockPointer);
+        childBlockLists(block).forEach(([childPointer, children]) => forEachBlock(children, visit, blockPointer + childPointer));
+    });
+}
+
+// Read the posts listed in posts/preview-index.json, or posts/index.json if there is none
+// (for running a build step on its own; each step picks the statuses it covers)
+function readIndexedPosts() {
+    const previewIndex = path.join(postsDir, 'preview-index.json');
+    const indexFile = fs.existsSync(previewIndex) ? previewIndex : path.join(postsDir, 'index.json');
+    const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    return index.map(meta => JSON.parse(fs.readFileSync(path.join(postsDir, `${meta.id}.json`), 'utf8')));
+}
+
+module.exports = {
+    SITE_URL,
+    SITE_NAME,
+    FEED_TITLE,
+    rootDir,
+    readSite,
+    postsDir,
+    absoluteUrl,
+    imageExists,
+    readSiteFile,
+    readTableSource,
+    getBannerImage,
+    describePost,
+    forEachBlock,
+    readIndexedPosts
+};
@@ -0,0 +1,441 @@
+// compile-markdown.js - Compile posts/*.md (YAML front matter + Markdown) into block-format post JSON
+const path = require('path');
+
+// Admonition names mapped onto the callout types PostRenderer styles
+const CALLOUT_TYPES = {
+    note: 'info',
+    info: 'info',
+    important: 'info',
+    tip: 'success',
+    success: 'success',
+    warning: 'warning',
+    caution: 'warning',
+    danger: 'error',
+    error: 'error'
+};
+
+// `:::` containers besides callouts, and the only sections tabs and columns may contain
+const CONTAINERS = ['details', 'tabs', 'columns'];
+const CONTAINER_SECTIONS = {
+    tabs: 'tab',
+    columns: 'column'
+};
+
+/**
+ * Parse a code fence info string: ```js title="app.js" {3,5-7} nonumber
+ */
+function parseFenceInfo(info) {
+    const options = {};
+    const rest = info
+        .replace(/\{([\d,\s-]+)\}/, (match, ranges) => {
+            options.highlight = ranges.split(',').map(range => range.trim()).filter(Boolean)
+                .map(range => (/^\d+$/.test(range) ? Number(range) : range));
+            return ' ';
+        })
+        .replace(/\b(?:title|filename)=(?:"([^"]*)"|(\S+))/, (match, quoted, bare) => {
+            options.filename = quoted !== undefined ? quoted : bare;
+            return ' ';
+        })
+        .replace(/\bnonumbers?\b/, () => {
+            options.lineNumbers = false;
+            return ' ';
+        })
+        .trim();
+
+    const language = rest.split(/\s+/)[0];
+    return { ...(language ? { language } : {}), ...options };
+}
+
+function syntaxError(message, line) {
+    const error = new SyntaxError(message);
+    error.line = line;
+    return error;
+}
+
+/**
+ * Parse a YAML scalar: quoted strings, booleans, null, numbers and [inline, lists].
+ * Dates stay strings so they match the JSON post format.
+ */
+function parseScalar(raw, line) {
+    const value = raw.trim();
+    if (value === '') return '';
+    if (value.startsWith('[')) {
+        if (!value.endsWith(']')) throw syntaxError('Unterminated inline list', line);
+        const inner = value.slice(1, -1).trim();
+        return inner ? splitInlineList(inner).map(item => parseScalar(item, line)) : [];
+    }
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            throw syntaxError(`Invalid quoted string: ${value}`, line);
+        }
+    }
+    if (value.startsWith("'")) {
+        if (!value.endsWith("'") || value.length < 2) throw syntaxError(`Invalid quoted string: ${value}`, line);
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null' || value === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+// Split "a, 'b, c', d" on top-level commas
+function splitInlineList(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    items.push(current);
+    return items;
+}
+
+/**
+ * Parse the YAML subset used in post front matter: top-level `key: value`,
+ * block lists of scalars and block lists of flat maps (for gallery entries).
+ * Returns { data, lines } where lines maps each key to its line number.
+ */
+function parseFrontMatter(text, firstLine) {
+    const data = {};
+    const lines = new Map();
+    const rows = text.split('\n');
+    let currentKey = null;
+    let currentItem = null;
+
+    rows.forEach((row, index) => {
+        const line = firstLine + index;
+        if (!row.trim() || row.trim().startsWith('#')) return;
+
+        const topLevel = /^([A-Za-z_][\w-]*):(.*)$/.exec(row);
+        if (topLevel) {
+            const [, key, rest] = topLevel;
+            currentKey = key;
+            currentItem = null;
+            lines.set(key, line);
+            data[key] = rest.trim() === '' ? [] : parseScalar(rest, line);
+            return;
+        }
+
+        // Items may be indented or not (`tags:` then `- aws` is standard YAML)
+        const listItem = /^\s*-\s*(.*)$/.exec(row);
+        if (listItem && currentKey && Array.isArray(data[currentKey])) {
+            const content = listItem[1];
+            const pair = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(content);
+            if (pair) {
+                currentItem = { [pair[1]]: parseScalar(pair[2], line) };
+                data[currentKey].push(currentItem);
+            } else {
+                currentItem = null;
+                data[currentKey].push(parseScalar(content, line));
+            }
+            return;
+        }
+
+        const mapEntry = /^\s+([A-Za-z_][\w-]*):\s*(.*)$/.exec(row);
+        if (mapEntry && currentItem) {
+            currentItem[mapEntry[1]] = parseScalar(mapEntry[2], line);
+            return;
+        }
+
+        throw syntaxError(`Unsupported front matter syntax: ${row.trim()}`, line);
+    });
+
+    return { data, lines };
+}
+
+/**
+ * Convert a Markdown body into post blocks. Images are registered in `gallery`
+ * (reusing entries with the same src) because image blocks reference gallery ids.
+ * Returns { blocks, blockLines, footnotes } where blockLines[i] is the source line of
+ * blocks[i] and footnotes maps `[^id]: text` definitions to their text.
+ * parent is the enclosing `:::` container name when compiling a container's body.
+ */
+function markdownToBlocks(body, firstLine, gallery, parent = null) {
+    const rows = body.split('\n');
+    const blocks = [];
+    const blockLines = [];
+    const footnotes = {};
+    let paragraph = [];
+    let paragraphLine = 0;
+    let i = 0;
+
+    const isFence = row => /^(```|~~~)/.test(row.trim());
+    const isHeading = row => /^#{1,6}\s/.test(row);
+    const isRule = row => /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(row);
+    const isQuote = row => /^ {0,3}>/.test(row);
+    const isListItem = row => /^\s*([-*+]|\d+[.)])\s+/.test(row);
+    const isAdmonition = row => /^:::\s*\w+/.test(row.trim());
+    const isFootnote = row => /^\[\^[^\]\s]+\]:\s/.test(row);
+    const isDisplayMath = row => row.trim().startsWith('$$');
+
+    function push(block, line) {
+        blocks.push(block);
+        blockLines.push(line);
+    }
+
+    function flushParagraph() {
+        if (paragraph.length === 0) return;
+        const text = paragraph.join(' ');
+        const image = /^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)$/.exec(text);
+        const link = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(text);
+
+        if (image) {
+            const [, alt, src, caption] = image;
+            let entry = gallery.find(img => img.src === src);
+            if (!entry) {
+                let n = gallery.length + 1;
+                while (gallery.some(img => img.id === `img-${n}`)) n++;
+                entry = { id: `img-${n}`, src, alt };
+                gallery.push(entry);
+            }
+            push({ type: 'image', imageId: entry.id, ...(caption ? { caption } : {}) }, paragraphLine);
+        } else if (link) {
+            push({ type: 'link', text: link[1], href: link[2] }, paragraphLine);
+        } else {
+            push({ type: 'paragraph', text }, paragraphLine);
+        }
+        paragraph = [];
+    }
+
+    while (i < rows.length) {
+        const row = rows[i];
+        const line = firstLine + i;
+
+        if (!row.trim()) {
+            flushParagraph();
+            i++;
+            continue;
+        }
+
+        if (isFence(row)) {
+            flushParagraph();
+            const fence = row.trim().slice(0, 3);
+            const info = parseFenceInfo(row.trim().slice(3));
+            const code = [];
+            i++;
+            while (i < rows.length && !rows[i].trim().startsWith(fence)) {
+                code.push(rows[i]);
+                i++;
+            }
+            if (i >= rows.length) throw syntaxError('Unclosed code fence', line);
+            i++;
+            // ```math and ```mermaid fences are figures; their title="..." is the caption
+            const figure = { math: 'math', latex: 'math', mermaid: 'diagram', diagram: 'diagram' }[info.language];
+            if (figure) {
+                push({ type: figure, text: code.join('\n'), ...(info.filename ? { caption: info.filename } : {}) }, line);
+            } else {
+                push({ type: 'code', ...info, text: code.join('\n') }, line);
+            }
+            continue;
+        }
+
+        if (isDisplayMath(row)) {
+            flushParagraph();
+            // $$ ... $$ on one line or spread over several
+            const tex = [row.trim().slice(2)];
+            while (!/\$\$$/.test(tex[tex.length - 1])) {
+                i++;
+                if (i >= rows.length) throw syntaxError('Unclosed "$$" math block', line);
+                tex.push(rows[i].trim());
+            }
+            i++;
+            push({ type: 'math', text: tex.join('\n').replace(/\$\$$/, '').trim() }, line);
+            continue;
+        }
+
+        if (isFootnote(row)) {
+            flushParagraph();
+            const [, id, text] = /^\[\^([^\]\s]+)\]:\s+(.*)$/.exec(row);
+            const lines = [text.trim()];
+            i++;
+            // Indented continuation lines
+            while (i < rows.length && rows[i].trim() && /^\s+/.test(rows[i])) {
+                lines.push(rows[i].trim());
+                i++;
+            }
+            footnotes[id] = lines.join(' ');
+            continue;
+        }
+
+        if (isAdmonition(row)) {
+            flushParagraph();
+            const [, name, title] = /^:::\s*(\w+)\s*(.*)$/.exec(row.trim());
+            const inner = [];
+            let depth = 1;
+            i++;
+            // Collect the body up to the matching ":::", so containers can nest
+            while (i < rows.length) {
+                const current = rows[i].trim();
+                if (isAdmonition(current)) depth++;
+                if (current === ':::' && --depth === 0) break;
+                inner.push(rows[i]);
+                i++;
+            }
+            if (i >= rows.length) throw syntaxError(`Unclosed ":::${name}" block`, line);
+            i++;
+            const nested = markdownToBlocks(inner.join('\n'), line + 1, gallery, name.toLowerCase());
+            Object.assign(footnotes, nested.footnotes);
+            push(createContainer(name, title, nested.blocks, parent, line), line);
+            continue;
+        }
+
+        if (isHeading(row)) {
+            flushParagraph();
+            const [, hashes, text] = /^(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(row);
+            push({ type: 'heading', level: hashes.length, text }, line);
+            i++;
+            continue;
+        }
+
+        if (isRule(row) && paragraph.length === 0) {
+            push({ type: 'divider' }, line);
+            i++;
+            continue;
+        }
+
+        if (isQuote(row)) {
+            flushParagraph();
+            const quoted = [];
+            while (i < rows.length && isQuote(rows[i])) {
+                quoted.push(rows[i].replace(/^ {0,3}>\s?/, ''));
+                i++;
+            }
+            const alert = /^\[!(\w+)\]\s*(.*)$/.exec(quoted[0].trim());
+            if (alert) {
+                const text = quoted.slice(1).map(q => q.trim()).filter(Boolean).join(' ');
+                push(createCallout(alert[1], alert[2], { text }, line), line);
+            } else {
+                push({ type: 'blockquote', text: quoted.map(q => q.trim()).filter(Boolean).join(' ') }, line);
+            }
+            continue;
+        }
+
+        if (isListItem(row)) {
+            flushParagraph();
+            const ordered = /^\s*\d+[.)]\s+/.test(row);
+            const indent = row.search(/\S/);
+            const items = [];
+            while (i < rows.length) {
+                const current = rows[i];
+                if (isListItem(current)) {
+                    // List blocks are flat; merging a sublist into its parent would lose the nesting
+                    if (current.search(/\S/) > indent) {
+                        throw syntaxError('Nested lists are not supported; flatten the list', firstLine + i);
+                    }
+                    items.push(current.replace(/^\s*([-*+]|\d+[.)])\s+/, '').trim());
+                } else if (current.trim() && /^\s+/.test(current)) {
+                    // Indented continuation of the previous item
+                    items[items.length - 1] += ` ${current.trim()}`;
+                } else {
+                    break;
+                }
+                i++;
+            }
+            push({ type: 'list', ordered, items }, line);
+            continue;
+        }
+
+        if (paragraph.length === 0) paragraphLine = line;
+        paragraph.push(row.trim());
+        i++;
+    }
+
+    flushParagraph();
+    return { blocks, blockLines, footnotes };
+}
+
+/**
+ * Block for a `:::name title` container holding its already compiled child blocks
+ */
+function createContainer(name, title, blocks, parent, line) {
+    const type = name.toLowerCase();
+
+    const section = CONTAINER_SECTIONS[parent];
+    if (section && type !== section) {
+        throw syntaxError(`":::${parent}" may only contain ":::${section}" sections`, line);
+    }
+    const sectionOf = Object.keys(CONTAINER_SECTIONS).find(key => CONTAINER_SECTIONS[key] === type);
+    if (sectionOf && parent !== sectionOf) {
+        throw syntaxError(`":::${type}" must be directly inside ":::${sectionOf}"`, line);
+    }
+
+    switch (type) {
+        case 'tab':
+            return { type: 'tab', label: title || 'Tab', blocks };
+        case 'column':
+            return { type: 'column', blocks };
+        case 'tabs':
+            return { type: 'tabs', tabs: blocks.map(tab => ({ label: tab.label, blocks: tab.blocks })) };
+        case 'columns':
+            return { type: 'columns', columns: blocks.map(column => column.blocks) };
+        case 'details':
+            return { type: 'details', summary: title || 'Details', blocks };
+        default:
+            // A callout holding at most one paragraph keeps the plain text form
+            if (blocks.length === 0 || (blocks.length === 1 && blocks[0].type === 'paragraph')) {
+                return createCallout(name, title, { text: blocks.length > 0 ? blocks[0].text : '' }, line);
+            }
+            return createCallout(name, title, { blocks }, line);
+    }
+}
+
+/**
+ * Callout block; content is { text } or { blocks }
+ */
+function createCallout(name, title, content, line) {
+    const calloutType = CALLOUT_TYPES[name.toLowerCase()];
+    if (!calloutType) {
+        const names = [...Object.keys(CALLOUT_TYPES), ...CONTAINERS];
+        throw syntaxError(`Unknown block type "${name}" (expected one of: ${names.join(', ')})`, line);
+    }
+    return { type: 'callout', calloutType, ...(title ? { title } : {}), ...content };
+}
+
+/**
+ * Compile a Markdown post into the JSON post format. Same contract as
+ * validate-posts' parseWithLines: returns { value, lines } and throws
+ * SyntaxErrors carrying a `line` property.
+ */
+function compileMarkdownPost(source, file) {
+    const rows = source.replace(/\r\n?/g, '\n').split('\n');
+    if (rows[0].trim() !== '---') {
+        throw syntaxError('Markdown posts must start with a "---" front matter block', 1);
+    }
+    const end = rows.findIndex((row, index) => index > 0 && row.trim() === '---');
+    if (end === -1) throw syntaxError('Unclosed front matter (missing closing "---")', 1);
+
+    const { data, lines: keyLines } = parseFrontMatter(rows.slice(1, end).join('\n'), 2);
+    const gallery = Array.isArray(data.gallery) ? data.gallery : [];
+    const bodyLine = end + 2;
+    const { blocks, blockLines, footnotes } = markdownToBlocks(rows.slice(end + 1).join('\n'), bodyLine, gallery);
+
+    const post = { id: path.basename(file, '.md'), ...data, content: { blocks } };
+    delete post.gallery;
+    if (gallery.length > 0) post.gallery = gallery;
+    if (Object.keys(footnotes).length > 0) post.footnotes = { ...post.footnotes, ...footnotes };
+
+    const lines = new Map([['', 1], ['/content', bodyLine], ['/content/blocks', bodyLine]]);
+    keyLines.forEach((line, key) => lines.set(`/${key}`, line));
+    blockLines.forEach((line, index) => lines.set(`/content/blocks/${index}`, line));
+
+    return { value: post, lines };
+}
+
+module.exports = {
+    parseFrontMatter,
+    markdownToBlocks,
+    compileMarkdownPost
+};
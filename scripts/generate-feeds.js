@@ -0,0 +1,205 @@
+// generate-feeds.js - Emit feed.xml (RSS 2.0), atom.xml (Atom) and feed.json (JSON Feed 1.1)
+const fs = require('fs');
+const path = require('path');
+const PostRenderer = require('../js/postRenderer.js');
+const {
+    SITE_URL,
+    SITE_NAME,
+    FEED_TITLE,
+    rootDir,
+    absoluteUrl,
+    imageExists,
+    readSiteFile,
+    getBannerImage,
+    describePost,
+    readIndexedPosts
+} = require('./build-utils');
+
+const FEED_DESCRIPTION = 'Blog posts, tutorials, and articles on software development and technology';
+const FEED_LIMIT = 20;
+
+const renderer = new PostRenderer();
+const escape = text => renderer.escapeHtml(text);
+
+const IMAGE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml'
+};
+
+function imageType(src) {
+    return IMAGE_TYPES[path.extname(src.split('?')[0]).toLowerCase()] || 'image/jpeg';
+}
+
+// Posts use dates without a time; publish them at midnight UTC
+function postDate(post) {
+    return new Date(`${post.date}T00:00:00Z`);
+}
+
+// Last edit, for readers to refetch changed entries
+function updatedDate(post) {
+    return post.updated ? new Date(`${post.updated}T00:00:00Z`) : postDate(post);
+}
+
+// Feed readers have no page URL to resolve against, so make src/href absolute
+function absolutizeUrls(html) {
+    return html.replace(/\b(src|href)="([^"]*)"/g, (match, attr, url) => {
+        if (!url || /^(#|[a-z][a-z0-9+.-]*:)/i.test(url)) return match;
+        return `${attr}="${absoluteUrl(url)}"`;
+    });
+}
+
+// Most feed readers strip inline SVG, so math and diagrams become SVG images with their source as alt text
+function svgToImages(html) {
+    return html.replace(/<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"[\s\S]*?<\/svg>/g, svg => {
+        const attr = name => (new RegExp(`\\s${name}="([^"]*)"`).exec(svg) || [])[1];
+        const size = value => (/^[\d.]+$/.test(value) ? `${value}px` : value);
+        const style = [`width: ${size(attr('width'))}`, `height: ${size(attr('height'))}`, attr('style')].filter(Boolean).join('; ');
+        return `<img src="data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}" alt="${attr('aria-label') || ''}" style="${style}">`;
+    });
+}
+
+/**
+ * Full post body as it renders on the site, ready to embed in a feed
+ */
+async function renderFeedContent(post) {
+    renderer.setCurrentPost(post);
+    await renderer.preloadGalleryImages(imageExists);
+    await renderer.loadTableSources(readSiteFile);
+    // Copy and sort buttons only work with the site's script: drop them, keeping column headings
+    const html = renderer.buildContentHTML(post)
+        .replace(/<button type="button" class="code-copy"[^>]*>[^<]*<\/button>/g, '')
+        .replace(/<button type="button" class="table-sort"[^>]*>([\s\S]*?)<\/button>/g, '$1');
+    return absolutizeUrls(svgToImages(html)).trim();
+}
+
+// Indent element lines under their parent, dropping empty optional ones
+function element(name, lines, indent) {
+    const pad = ' '.repeat(indent);
+    return [`${pad}<${name}>`, ...lines.filter(Boolean).map(line => `${pad}    ${line}`), `${pad}</${name}>`].join('\n');
+}
+
+function buildRss(items, updated) {
+    const entries = items.map(({ post, url, summary, banner, content }) => element('item', [
+        `<title>${escape(post.title)}</title>`,
+        `<link>${url}</link>`,
+        `<guid isPermaLink="true">${url}</guid>`,
+        `<pubDate>${postDate(post).toUTCString()}</pubDate>`,
+        `<description>${escape(summary)}</description>`,
+        ...(post.tags || []).map(tag => `<category>${escape(tag)}</category>`),
+        banner && `<media:content url="${escape(banner)}" medium="image" type="${imageType(banner)}"/>`,
+        `<content:encoded>${escape(content)}</content:encoded>`
+    ], 8));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">
+    <channel>
+        <title>${escape(FEED_TITLE)}</title>
+        <link>${SITE_URL}/posts</link>
+        <description>${escape(FEED_DESCRIPTION)}</description>
+        <language>en-us</language>
+        <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+        <atom:link href="${SITE_URL}/feed.xml" rel="self" type="application/rss+xml"/>
+${entries.join('\n')}
+    </channel>
+</rss>
+`;
+}
+
+function buildAtom(items, updated) {
+    const entries = items.map(({ post, url, summary, banner, content }) => element('entry', [
+        `<title>${escape(post.title)}</title>`,
+        `<link href="${url}"/>`,
+        `<id>${url}</id>`,
+        `<published>${postDate(post).toISOString()}</published>`,
+        `<updated>${updatedDate(post).toISOString()}</updated>`,
+        `<author><name>${escape(post.author || SITE_NAME)}</name></author>`,
+        ...(post.tags || []).map(tag => `<category term="${escape(tag)}"/>`),
+        banner && `<link rel="enclosure" type="${imageType(banner)}" href="${escape(banner)}"/>`,
+        `<summary>${escape(summary)}</summary>`,
+        `<content type="html">${escape(content)}</content>`
+    ], 4));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>${escape(FEED_TITLE)}</title>
+    <subtitle>${escape(FEED_DESCRIPTION)}</subtitle>
+    <link href="${SITE_URL}/posts"/>
+    <link href="${SITE_URL}/atom.xml" rel="self" type="application/atom+xml"/>
+    <id>${SITE_URL}/</id>
+    <updated>${updated.toISOString()}</updated>
+    <author><name>${escape(SITE_NAME)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function buildJsonFeed(items) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        description: FEED_DESCRIPTION,
+        home_page_url: `${SITE_URL}/posts`,
+        feed_url: `${SITE_URL}/feed.json`,
+        language: 'en-US',
+        authors: [{ name: SITE_NAME, url: SITE_URL }],
+        items: items.map(({ post, url, summary, banner, content }) => ({
+            id: url,
+            url,
+            title: post.title,
+            summary,
+            content_html: content,
+            ...(banner ? { image: banner, banner_image: banner } : {}),
+            date_published: postDate(post).toISOString(),
+            ...(post.updated ? { date_modified: updatedDate(post).toISOString() } : {}),
+            tags: post.tags || [],
+            ...(post.author ? { authors: [{ name: post.author }] } : {})
+        }))
+    };
+    return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+/**
+ * Write feed.xml, atom.xml and feed.json for the newest published posts
+ */
+async function generateFeeds(posts) {
+    const newest = posts
+        .filter(post => PostRenderer.postStatus(post) === 'published')
+        .sort((a, b) => postDate(b) - postDate(a))
+        .slice(0, FEED_LIMIT);
+
+    const items = [];
+    for (const post of newest) {
+        const banner = getBannerImage(post);
+        items.push({
+            post,
+            url: `${SITE_URL}/posts/${post.id}`,
+            summary: describePost(post),
+            banner: banner ? absoluteUrl(banner) : null,
+            content: await renderFeedContent(post)
+        });
+    }
+
+    // Derive "updated" from content so regenerating an unchanged site leaves the feeds unchanged;
+    // the latest edit of any item, so readers refetch the feed when an older post changes
+    const updated = new Date(Math.max(0, ...items.map(item => updatedDate(item.post).getTime())));
+
+    fs.writeFileSync(path.join(rootDir, 'feed.xml'), buildRss(items, updated));
+    fs.writeFileSync(path.join(rootDir, 'atom.xml'), buildAtom(items, updated));
+    fs.writeFileSync(path.join(rootDir, 'feed.json'), buildJsonFeed(items));
+    console.log(`✓ Generated feed.xml, atom.xml and feed.json with ${items.length} posts`);
+}
+
+module.exports = { generateFeeds };
+
+// Standalone: node scripts/generate-feeds.js (uses the posts listed in posts/index.json)
+if (require.main === module) {
+    generateFeeds(readIndexedPosts()).catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
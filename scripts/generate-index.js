@@ -1,27 +1,138 @@
 // generate-index.js - Auto-generate posts/index.json from post files
+//
+// Usage:
+//   node scripts/generate-index.js           Compile Markdown posts, validate, write posts/index.json
+//                                            and posts/search-index.json, pre-render math and
+//                                            diagrams to posts/<id>/figures.json, build responsive
+//                                            image variants and img/images.json,
+//                                            pre-render posts/<id>/index.html pages and write the feeds
+//   node scripts/generate-index.js --check   Validate posts, site.json and tags.json only (no files written)
 const fs = require('fs');
 const path = require('path');
+const { validatePostFiles, formatError } = require('./validate-posts');
+const { validateSiteFile, validateTagsFile } = require('./validate-site');
+const { writeSearchIndex, readingTime } = require('./build-search-index');
+const { renderFigures } = require('./render-figures');
+const { buildImages } = require('./build-images');
+const { compileMarkdownPost } = require('./compile-markdown');
+const { getBannerImage } = require('./build-utils');
+const PostRenderer = require('../js/postRenderer.js');
+const { prerenderPosts } = require('./prerender-posts');
+const { generateFeeds } = require('./generate-feeds');
+const { generateServiceWorker } = require('./generate-service-worker');
 
-const postsDir = path.join(__dirname, '../posts');
+const rootDir = path.join(__dirname, '..');
+const postsDir = path.join(rootDir, 'posts');
 const indexPath = path.join(postsDir, 'index.json');
+// Every post, drafts included, for ?preview on a local server; git-ignored so it's never deployed
+const previewIndexPath = path.join(postsDir, 'preview-index.json');
+// Generated files in posts/ that are not posts themselves
+const generatedFiles = new Set(['index.json', 'preview-index.json', 'search-index.json']);
+const checkOnly = process.argv.includes('--check');
 
-// Read all JSON files in posts directory (except index.json)
-const postFiles = fs.readdirSync(postsDir)
-    .filter(file => file.endsWith('.json') && file !== 'index.json')
-    .map(file => {
-        const filePath = path.join(postsDir, file);
-        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        
+const postFiles = fs.readdirSync(postsDir);
+
+// Markdown posts are the source of truth for their compiled posts/<id>.json
+const markdownFiles = postFiles.filter(file => file.endsWith('.md'));
+const compiledNames = new Set(markdownFiles.map(file => file.replace(/\.md$/, '.json')));
+
+const readEntry = (file, parse) => {
+    const filePath = path.join(postsDir, file);
+    return {
+        file: path.relative(rootDir, filePath),
+        source: fs.readFileSync(filePath, 'utf8'),
+        parse
+    };
+};
+
+// Read all JSON files in posts directory (except generated indexes and compiled Markdown output)
+const entries = [
+    ...postFiles
+        .filter(file => file.endsWith('.json') && !generatedFiles.has(file) && !compiledNames.has(file))
+        .map(file => readEntry(file)),
+    ...markdownFiles.map(file => readEntry(file, compileMarkdownPost))
+];
+
+// Refuse to publish an index built from broken posts or a broken site.json or tags.json
+const { posts, errors } = validatePostFiles(entries);
+const siteErrors = [...validateSiteFile(), ...validateTagsFile()];
+if (errors.length > 0 || siteErrors.length > 0) {
+    [...errors, ...siteErrors].forEach(error => console.error(formatError(error)));
+    if (errors.length > 0) {
+        console.error(`✗ ${errors.length} problem(s) found in ${entries.length} post files`);
+    }
+    if (siteErrors.length > 0) {
+        console.error(`✗ ${siteErrors.length} problem(s) found in site.json and tags.json`);
+    }
+    process.exit(1);
+}
+
+if (checkOnly) {
+    console.log(`✓ All ${posts.length} posts, site.json and tags.json are valid`);
+    process.exit(0);
+}
+
+// Write the JSON the site loads for each Markdown post
+const compiledPosts = posts.filter(({ file }) => file.endsWith('.md'));
+compiledPosts.forEach(({ post }) => {
+    fs.writeFileSync(path.join(postsDir, `${post.id}.json`), JSON.stringify(post, null, 2));
+});
+if (compiledPosts.length > 0) {
+    console.log(`✓ Compiled ${compiledPosts.length} Markdown post(s)`);
+}
+
+// Everything the posts list needs, so it renders without fetching post bodies
+const postIndex = posts
+    .map(({ post }) => {
+        const gallery = post.gallery || (post.images && post.images.gallery) || [];
         return {
-            id: content.id,
-            title: content.title,
-            date: content.date,
-            tags: content.tags || []
+            id: post.id,
+            title: post.title,
+            date: post.date,
+            updated: post.updated || null,
+            category: post.category || null,
+            tags: post.tags || [],
+            shortDescription: post.shortDescription || '',
+            // Card image: banner, else the first gallery image
+            image: getBannerImage(post) || (gallery.length > 0 ? gallery[0].src : null),
+            hasGallery: gallery.length > 0,
+            readingTime: readingTime(post),
+            featured: post.featured === true,
+            pinned: post.pinned === true,
+            // Only the preview index has drafts, unlisted and scheduled posts (PostRenderer.postStatus)
+            status: post.status || 'published',
+            publishAt: post.publishAt || null
         };
     })
     // Sort by date (newest first)
     .sort((a, b) => new Date(b.date) - new Date(a.date));
 
-// Write index.json
-fs.writeFileSync(indexPath, JSON.stringify(postFiles, null, 2));
-console.log(`✓ Generated posts/index.json with ${postFiles.length} posts`);
+// Write index.json with published posts only: it's public, so anything else would leak
+const publicIndex = postIndex.filter(post => PostRenderer.postStatus(post) === 'published');
+fs.writeFileSync(indexPath, JSON.stringify(publicIndex, null, 2));
+fs.writeFileSync(previewIndexPath, JSON.stringify(postIndex, null, 2));
+const hidden = ['draft', 'scheduled', 'unlisted']
+    .map(status => [status, postIndex.filter(post => PostRenderer.postStatus(post) === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${status}`);
+console.log(`✓ Generated posts/index.json with ${publicIndex.length} posts${hidden.length ? ` (preview-index.json adds ${hidden.join(', ')})` : ''}`);
+
+// Full-text search over post bodies. Each step below decides which posts it covers
+// (PostRenderer.postStatus): search and feeds take published posts only, pages unlisted ones too.
+const allPosts = posts.map(({ post }) => post);
+writeSearchIndex(allPosts);
+
+// SVG for math and diagrams, so readers don't need the rendering engines
+renderFigures(allPosts);
+
+// Resized image variants and sizes, then static pages for crawlers and link unfurlers
+// (which use them), then RSS/Atom/JSON feeds for subscribers
+buildImages(allPosts)
+    .then(() => prerenderPosts(allPosts))
+    .then(() => generateFeeds(allPosts))
+    // Offline support: new version hash whenever the app shell changed
+    .then(() => generateServiceWorker())
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -0,0 +1,81 @@
+// generate-service-worker.js - Stamp sw.js with the app shell file list and a version hash
+//
+// The version is a hash of the shell files' contents, so the service worker (and with it
+// every cache) is replaced exactly when a deploy changes the shell.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, readSite, imageExists } = require('./build-utils');
+
+const SERVICE_WORKER = path.join(rootDir, 'sw.js');
+
+// The placeholder PostRenderer falls back to
+const PLACEHOLDER_IMAGE = 'img/placeholder.png';
+
+const GENERATED_BLOCK = /\/\/ BEGIN GENERATED\n[\s\S]*?\/\/ END GENERATED/;
+
+function listFiles(dir, extension) {
+    return fs.readdirSync(path.join(rootDir, dir))
+        .filter(file => file.endsWith(extension))
+        .sort()
+        .map(file => `${dir}/${file}`);
+}
+
+/**
+ * Site-relative paths of every app shell file
+ */
+function shellFiles() {
+    return ['index.html', ...listFiles('css', '.css'), ...listFiles('js', '.js'), ...shellImages()];
+}
+
+/**
+ * Local images the home page shows (site.json's photo and education logo), plus the placeholder
+ */
+function shellImages() {
+    const site = readSite();
+    const images = [site.education && site.education.logo, site.photo && site.photo.src]
+        .filter(src => src && !/^(https?:)?\/\//.test(src) && imageExists(src))
+        .map(src => src.replace(/^\//, ''));
+    return [...new Set([...images.sort(), PLACEHOLDER_IMAGE])];
+}
+
+function versionHash(files) {
+    const hash = crypto.createHash('sha256');
+    files.forEach(file => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(rootDir, file)));
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Rewrite the generated block at the top of sw.js
+ */
+function generateServiceWorker() {
+    const files = shellFiles();
+    const version = versionHash(files);
+    const urls = ['/', ...files.map(file => `/${file}`)];
+
+    const block = [
+        '// BEGIN GENERATED',
+        `const CACHE_VERSION = '${version}';`,
+        'const APP_SHELL = [',
+        urls.map(url => `    '${url}'`).join(',\n'),
+        '];',
+        '// END GENERATED'
+    ].join('\n');
+
+    const source = fs.readFileSync(SERVICE_WORKER, 'utf8');
+    if (!GENERATED_BLOCK.test(source)) {
+        throw new Error('sw.js no longer contains the BEGIN/END GENERATED block; update generate-service-worker.js');
+    }
+    fs.writeFileSync(SERVICE_WORKER, source.replace(GENERATED_BLOCK, block));
+    console.log(`✓ Stamped sw.js with version ${version} (${urls.length} shell files)`);
+}
+
+module.exports = { generateServiceWorker, shellFiles };
+
+// Standalone: node scripts/generate-service-worker.js
+if (require.main === module) {
+    generateServiceWorker();
+}
@@ -0,0 +1,166 @@
+// prerender-posts.js - Emit crawlable posts/<id>/index.html pages using PostRenderer
+//
+// Each page is index.html with the post article already inside <main id="content">
+// plus title, description, Open Graph and Twitter meta. GitHub Pages serves it for
+// /posts/<id>/, and the SPA router then re-renders the post with full interactivity.
+// The site name from site.json is first written into the <head> of index.html and 404.html.
+const fs = require('fs');
+const path = require('path');
+const PostRenderer = require('../js/postRenderer.js');
+const {
+    SITE_URL,
+    SITE_NAME,
+    FEED_TITLE,
+    rootDir,
+    postsDir,
+    absoluteUrl,
+    imageExists,
+    readSiteFile,
+    getBannerImage,
+    describePost,
+    readIndexedPosts
+} = require('./build-utils');
+
+const GENERATED_MARKER = '<!-- Generated by scripts/prerender-posts.js - do not edit -->';
+// Feed link type -> format named in its title
+const FEED_FORMATS = { 'application/rss+xml': 'RSS', 'application/atom+xml': 'Atom', 'application/feed+json': 'JSON Feed' };
+
+const renderer = new PostRenderer();
+const escape = text => renderer.escapeHtml(text);
+
+function buildMetaTags(post) {
+    const url = `${SITE_URL}/posts/${post.id}/`;
+    const title = `${post.title} - ${SITE_NAME}`;
+    const description = describePost(post);
+    const banner = getBannerImage(post);
+
+    const meta = [
+        `<title>${escape(title)}</title>`,
+        `<meta name="description" content="${escape(description)}">`,
+        `<link rel="canonical" href="${url}">`,
+        `<meta property="og:type" content="article">`,
+        `<meta property="og:site_name" content="${escape(SITE_NAME)}">`,
+        `<meta property="og:title" content="${escape(post.title)}">`,
+        `<meta property="og:description" content="${escape(description)}">`,
+        `<meta property="og:url" content="${url}">`,
+        `<meta property="article:published_time" content="${escape(post.date)}">`,
+        ...(post.tags || []).map(tag => `<meta property="article:tag" content="${escape(tag)}">`),
+        `<meta name="twitter:card" content="${banner ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="twitter:title" content="${escape(post.title)}">`,
+        `<meta name="twitter:description" content="${escape(description)}">`
+    ];
+
+    // Unlisted posts work by direct link but shouldn't show up in search engines either
+    if (PostRenderer.postStatus(post) === 'unlisted') {
+        meta.push('<meta name="robots" content="noindex">');
+    }
+
+    if (banner) {
+        meta.push(
+            `<meta property="og:image" content="${escape(absoluteUrl(banner))}">`,
+            `<meta name="twitter:image" content="${escape(absoluteUrl(banner))}">`
+        );
+    }
+
+    return meta.map(tag => `    ${tag}`).join('\n');
+}
+
+async function renderPostPage(shell, post) {
+    renderer.setCurrentPost(post);
+    await renderer.loadImages(readSiteFile);
+    await renderer.preloadGalleryImages(imageExists);
+    await renderer.loadTableSources(readSiteFile);
+    const article = renderer.buildPostHTML(post);
+
+    // Same markup renderPostDetail produces, so hydration swaps in identical content
+    const content = `<main id="content" data-prerendered="true">
+        <div class="post-navigation">
+            <button onclick="goBack()" class="back-button">&larr; Back</button>
+        </div>
+        <div id="post-container">${article}</div>
+    </main>`;
+
+    const replacements = [
+        [/<meta charset="UTF-8">/, match => `${GENERATED_MARKER}\n    ${match}`],
+        [/ *<title>[\s\S]*?<\/title>/, () => buildMetaTags(post)],
+        [/<link rel="stylesheet" href="css\/styles.css">/, match => `${match}\n    <link rel="stylesheet" href="css/postRenderer.css" id="postRenderer-styles">`],
+        [/<main id="content"><\/main>/, () => content]
+    ];
+
+    return replacements.reduce((html, [pattern, replace]) => {
+        if (!pattern.test(html)) {
+            throw new Error(`index.html no longer contains ${pattern}; update prerender-posts.js`);
+        }
+        return html.replace(pattern, replace);
+    }, shell);
+}
+
+/**
+ * Write site.json's name into the <title> and feed link titles of index.html and 404.html,
+ * which are plain HTML that the app can't reach before it loads
+ */
+function stampSiteName() {
+    ['index.html', '404.html'].forEach(file => {
+        const filePath = path.join(rootDir, file);
+        const html = fs.readFileSync(filePath, 'utf8');
+        const stamped = html
+            .replace(/<title>[^<]*<\/title>/, `<title>${escape(`${SITE_NAME} - Portfolio`)}</title>`)
+            .replace(/(<link rel="alternate" type="([^"]+)" title=")[^"]*"/g, (match, start, type) => (
+                FEED_FORMATS[type] ? `${start}${escape(`${FEED_TITLE} (${FEED_FORMATS[type]})`)}"` : match
+            ));
+        if (stamped !== html) {
+            fs.writeFileSync(filePath, stamped);
+            console.log(`✓ Wrote the site name into ${file}`);
+        }
+    });
+}
+
+/**
+ * Write posts/<id>/index.html for every published or unlisted post. Drafts and scheduled
+ * posts get no page (a page left from before is removed), and the folders of posts that
+ * are gone are removed.
+ */
+async function prerenderPosts(posts) {
+    stampSiteName();
+    const shell = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    const ids = new Set(posts.map(post => post.id));
+    const isGenerated = page => fs.existsSync(page) && fs.readFileSync(page, 'utf8').includes(GENERATED_MARKER);
+    let written = 0;
+
+    for (const post of posts) {
+        const dir = path.join(postsDir, post.id);
+        const page = path.join(dir, 'index.html');
+        if (['draft', 'scheduled'].includes(PostRenderer.postStatus(post))) {
+            // Keep the folder: it may hold the post's figures.json
+            if (isGenerated(page)) {
+                fs.rmSync(page);
+                console.log(`✓ Removed page posts/${post.id}/ (${PostRenderer.postStatus(post)})`);
+            }
+            continue;
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(page, await renderPostPage(shell, post));
+        written++;
+    }
+
+    fs.readdirSync(postsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !ids.has(entry.name))
+        .forEach(entry => {
+            if (isGenerated(path.join(postsDir, entry.name, 'index.html'))) {
+                fs.rmSync(path.join(postsDir, entry.name), { recursive: true });
+                console.log(`✓ Removed stale page posts/${entry.name}/`);
+            }
+        });
+
+    console.log(`✓ Pre-rendered ${written} post pages`);
+}
+
+module.exports = { prerenderPosts };
+
+// Standalone: node scripts/prerender-posts.js (uses the posts listed in posts/index.json)
+if (require.main === module) {
+    prerenderPosts(readIndexedPosts()).catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,43 @@
+// render-figures.js - Pre-render math and diagrams to posts/<id>/figures.json
+//
+// PostRenderer draws $math$, math blocks and diagram blocks with js/mathRenderer.js and
+// js/diagramRenderer.js. The build renders each post once and saves the SVGs by figure
+// key, so the browser shows them without loading either engine. A post edited since the
+// last build has keys missing from its file; those figures are drawn client-side.
+const fs = require('fs');
+const path = require('path');
+const PostRenderer = require('../js/postRenderer.js');
+const { postsDir, readIndexedPosts } = require('./build-utils');
+
+/**
+ * Write posts/<id>/figures.json for every post that has figures, and remove files
+ * left behind by posts that no longer do
+ */
+function renderFigures(posts) {
+    const renderer = new PostRenderer();
+    let written = 0;
+
+    posts.forEach(post => {
+        const file = path.join(postsDir, post.id, 'figures.json');
+        renderer.setCurrentPost(post);
+        renderer.buildContentHTML(post);
+
+        if (renderer.renderedFigures.size > 0) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(Object.fromEntries(renderer.renderedFigures)));
+            written++;
+        } else if (fs.existsSync(file)) {
+            fs.rmSync(file);
+            console.log(`✓ Removed stale posts/${post.id}/figures.json`);
+        }
+    });
+
+    console.log(`✓ Pre-rendered math and diagrams for ${written} post(s)`);
+}
+
+module.exports = { renderFigures };
+
+// Standalone: node scripts/render-figures.js (uses the posts listed in posts/index.json)
+if (require.main === module) {
+    renderFigures(readIndexedPosts());
+}
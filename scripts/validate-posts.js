@@ -0,0 +1,447 @@
+// validate-posts.js - Validate post files against post-schema.json
+const path = require('path');
+
+const schema = require('./post-schema.json');
+const { forEachBlock, readTableSource } = require('./build-utils');
+const MathRenderer = require('../js/mathRenderer.js');
+const DiagramRenderer = require('../js/diagramRenderer.js');
+const PostRenderer = require('../js/postRenderer.js');
+
+/**
+ * Parse JSON while recording the line each value starts on.
+ * Returns { value, lines } where lines maps a JSON pointer ("/content/blocks/0")
+ * to a 1-based line number. Syntax errors are thrown with a `line` property.
+ */
+function parseWithLines(source) {
+    const lines = new Map();
+    let pos = 0;
+    let line = 1;
+
+    function fail(message) {
+        const error = new SyntaxError(message);
+        error.line = line;
+        throw error;
+    }
+
+    function skipWhitespace() {
+        while (pos < source.length && /\s/.test(source[pos])) {
+            if (source[pos] === '\n') line++;
+            pos++;
+        }
+    }
+
+    function expect(char) {
+        if (source[pos] !== char) {
+            fail(`Expected '${char}' but found ${pos < source.length ? `'${source[pos]}'` : 'end of file'}`);
+        }
+        pos++;
+    }
+
+    function parseString() {
+        const start = pos;
+        expect('"');
+        while (pos < source.length && source[pos] !== '"') {
+            if (source[pos] === '\n') fail('Unterminated string');
+            pos += source[pos] === '\\' ? 2 : 1;
+        }
+        expect('"');
+        try {
+            return JSON.parse(source.slice(start, pos));
+        } catch (err) {
+            fail('Invalid string escape');
+        }
+    }
+
+    function parseValue(pointer) {
+        skipWhitespace();
+        lines.set(pointer, line);
+        const char = source[pos];
+
+        if (char === '{') {
+            pos++;
+            const obj = {};
+            skipWhitespace();
+            if (source[pos] === '}') {
+                pos++;
+                return obj;
+            }
+            for (;;) {
+                skipWhitespace();
+                const key = parseString();
+                skipWhitespace();
+                expect(':');
+                obj[key] = parseValue(`${pointer}/${key}`);
+                skipWhitespace();
+                if (source[pos] === ',') {
+                    pos++;
+                    continue;
+                }
+                expect('}');
+                return obj;
+            }
+        }
+
+        if (char === '[') {
+            pos++;
+            const arr = [];
+            skipWhitespace();
+            if (source[pos] === ']') {
+                pos++;
+                return arr;
+            }
+            for (;;) {
+                arr.push(parseValue(`${pointer}/${arr.length}`));
+                skipWhitespace();
+                if (source[pos] === ',') {
+                    pos++;
+                    continue;
+                }
+                expect(']');
+                return arr;
+            }
+        }
+
+        if (char === '"') return parseString();
+
+        const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(source.slice(pos));
+        if (!literal) {
+            fail(pos < source.length ? `Unexpected token '${char}'` : 'Unexpected end of file');
+        }
+        pos += literal[0].length;
+        return JSON.parse(literal[0]);
+    }
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (pos < source.length) fail(`Unexpected token '${source[pos]}' after end of document`);
+    return { value, lines };
+}
+
+/**
+ * Resolve a local "#/definitions/..." reference
+ */
+function resolveRef(ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], schema);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by post-schema.json
+ * ($ref, type, enum, const, pattern, minLength, minimum, maximum, minItems, required,
+ * properties, items, allOf, if/then). Pushes { pointer, message } into errors.
+ */
+function validateSchema(value, node, pointer, errors) {
+    if (node.$ref) {
+        validateSchema(value, resolveRef(node.$ref), pointer, errors);
+        return;
+    }
+
+    const where = pointer || '/';
+
+    if (node.type) {
+        const types = Array.isArray(node.type) ? node.type : [node.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ pointer, message: `${where} must be ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if ('const' in node && value !== node.const) {
+        errors.push({ pointer, message: `${where} must be ${JSON.stringify(node.const)}` });
+    }
+
+    if (node.enum && !node.enum.includes(value)) {
+        errors.push({
+            pointer,
+            message: `${where} has unknown value ${JSON.stringify(value)} (expected one of: ${node.enum.join(', ')})`
+        });
+    }
+
+    if (typeof value === 'string') {
+        if (node.minLength !== undefined && value.length < node.minLength) {
+            errors.push({ pointer, message: `${where} must not be empty` });
+        }
+        if (node.pattern && !new RegExp(node.pattern).test(value)) {
+            errors.push({ pointer, message: `${where} ${JSON.stringify(value)} does not match ${node.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (node.minimum !== undefined && value < node.minimum) {
+            errors.push({ pointer, message: `${where} must be >= ${node.minimum}` });
+        }
+        if (node.maximum !== undefined && value > node.maximum) {
+            errors.push({ pointer, message: `${where} must be <= ${node.maximum}` });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (node.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ pointer, message: `${where} is missing required property "${key}"` });
+            }
+        });
+        Object.entries(node.properties || {}).forEach(([key, child]) => {
+            if (key in value) {
+                validateSchema(value[key], child, `${pointer}/${key}`, errors);
+            }
+        });
+    }
+
+    if (Array.isArray(value) && node.minItems !== undefined && value.length < node.minItems) {
+        errors.push({ pointer, message: `${where} must have at least ${node.minItems} item(s)` });
+    }
+
+    if (Array.isArray(value) && node.items) {
+        value.forEach((item, index) => validateSchema(item, node.items, `${pointer}/${index}`, errors));
+    }
+
+    (node.allOf || []).forEach(child => validateSchema(value, child, pointer, errors));
+
+    if (node.if && node.then) {
+        const conditionErrors = [];
+        validateSchema(value, node.if, pointer, conditionErrors);
+        if (conditionErrors.length === 0) {
+            validateSchema(value, node.then, pointer, errors);
+        }
+    }
+}
+
+/**
+ * Checks the schema cannot express: real calendar dates (date, updated, publishAt), file name vs id,
+ * image blocks pointing at gallery entries, callouts having some content,
+ * table blocks having rows (inline or a readable CSV file) and math and
+ * diagram sources that render
+ */
+function validateSemantics(post, file, errors) {
+    ['date', 'updated', 'publishAt'].forEach(field => {
+        const match = typeof post[field] === 'string' && /^(\d{4})-(\d{2})-(\d{2})/.exec(post[field]);
+        if (!match) return;
+        const [year, month, day] = match.slice(1).map(num => parseInt(num, 10));
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            errors.push({ pointer: `/${field}`, message: `/${field} "${post[field]}" is not a valid calendar date` });
+        }
+    });
+
+    const expectedId = path.basename(file, path.extname(file));
+    if (typeof post.id === 'string' && post.id !== expectedId) {
+        errors.push({ pointer: '/id', message: `/id "${post.id}" must match the file name "${expectedId}"` });
+    }
+
+    const gallery = post.gallery || (post.images && post.images.gallery) || [];
+    const galleryIds = new Set(Array.isArray(gallery) ? gallery.map(img => img && img.id).filter(Boolean) : []);
+    const blocks = post.content && Array.isArray(post.content.blocks) ? post.content.blocks : [];
+
+    forEachBlock(blocks, (block, pointer) => {
+        if (block.type === 'image' && typeof block.imageId === 'string' && !galleryIds.has(block.imageId)) {
+            errors.push({
+                pointer: `${pointer}/imageId`,
+                message: `image block references "${block.imageId}" which is not in the gallery`
+            });
+        }
+        if (block.type === 'callout' && !('text' in block) && !('blocks' in block)) {
+            errors.push({ pointer, message: `${pointer} callout needs "text" or "blocks"` });
+        }
+        if (block.type === 'table') {
+            validateTable(post, block, pointer, errors);
+        }
+        if ((block.type === 'math' || block.type === 'diagram') && typeof block.text === 'string') {
+            validateFigure(block.type, block.text, `${pointer}/text`, errors);
+        }
+    });
+
+    validateFootnotes(post, blocks, errors);
+    validateInlineMath(post, blocks, errors);
+}
+
+// Parse errors from the engines are SyntaxErrors; anything else is a bug worth surfacing
+function validateFigure(kind, source, pointer, errors) {
+    try {
+        if (kind === 'diagram') DiagramRenderer.render(source);
+        else MathRenderer.render(source, { display: kind === 'math' });
+    } catch (err) {
+        if (!(err instanceof SyntaxError)) throw err;
+        errors.push({ pointer, message: `${kind === 'diagram' ? 'diagram' : 'math'} does not render: ${err.message}` });
+    }
+}
+
+function validateTable(post, block, pointer, errors) {
+    if (('src' in block) === ('rows' in block)) {
+        errors.push({ pointer, message: `${pointer} table needs either "rows" or "src" (not both)` });
+        return;
+    }
+    if (typeof block.src !== 'string') return;
+
+    try {
+        const rows = readTableSource(post, block);
+        if (rows.length <= (block.headerRows ?? 1)) {
+            errors.push({ pointer: `${pointer}/src`, message: `table data "${block.src}" has no rows below its header` });
+        }
+    } catch (err) {
+        const reason = err.code === 'ENOENT' ? 'was not found' : `could not be read: ${err.message}`;
+        errors.push({ pointer: `${pointer}/src`, message: `table data "${block.src}" ${reason}` });
+    }
+}
+
+// Text fields that PostRenderer parses inline markup (and footnote refs) in
+const INLINE_FIELDS = {
+    paragraph: ['text'],
+    blockquote: ['text'],
+    callout: ['text'],
+    'two-column': ['left', 'right'],
+    columns: ['columns'],
+    table: ['header', 'rows'],
+    list: ['items']
+};
+
+/**
+ * Every [^id] footnote reference needs a definition in post.footnotes
+ */
+function validateFootnotes(post, blocks, errors) {
+    const footnotes = typeOf(post.footnotes) === 'object' ? post.footnotes : {};
+    const check = (value, pointer) => {
+        for (const [, id] of value.matchAll(/(?<!\\)\[\^([^\]\s]+)\]/g)) {
+            if (!Object.hasOwn(footnotes, id)) {
+                errors.push({ pointer, message: `footnote reference [^${id}] has no definition in "footnotes"` });
+            }
+        }
+    };
+
+    // Footnote text can reference other footnotes too
+    Object.entries(footnotes).forEach(([id, text]) => {
+        if (typeof text !== 'string') {
+            errors.push({ pointer: `/footnotes/${id}`, message: `/footnotes/${id} must be string, got ${typeOf(text)}` });
+        } else {
+            check(text, `/footnotes/${id}`);
+        }
+    });
+
+    forEachBlock(blocks, (block, pointer) => {
+        (INLINE_FIELDS[block.type] || []).forEach(field => {
+            // Table rows are lists of cells; column fields may hold nested blocks instead of
+            // text, which forEachBlock visits on their own
+            const values = [].concat(block[field]).flat().filter(value => typeof value === 'string');
+            values.forEach(value => check(value, `${pointer}/${field}`));
+        });
+    });
+}
+
+/**
+ * Every $...$ in inline text (and footnotes) must be math the renderer understands
+ */
+function validateInlineMath(post, blocks, errors) {
+    // Same rule as PostRenderer.renderInline, skipping escaped \$
+    const inlineMath = new RegExp(`(?<!\\\\)${PostRenderer.INLINE_MATH.source.slice(1)}`, 'g');
+    const check = (value, pointer) => {
+        for (const [, tex] of value.matchAll(inlineMath)) {
+            validateFigure('inline-math', tex, pointer, errors);
+        }
+    };
+
+    forEachBlock(blocks, (block, pointer) => {
+        (INLINE_FIELDS[block.type] || []).forEach(field => {
+            [].concat(block[field]).flat()
+                .filter(value => typeof value === 'string')
+                .forEach(value => check(value, `${pointer}/${field}`));
+        });
+    });
+    if (typeOf(post.footnotes) === 'object') {
+        Object.entries(post.footnotes).forEach(([id, text]) => {
+            if (typeof text === 'string') check(text, `/footnotes/${id}`);
+        });
+    }
+}
+
+/**
+ * Validate a single post object. Returns a list of { pointer, message }.
+ */
+function validatePost(post, file) {
+    const errors = [];
+    validateSchema(post, schema, '', errors);
+    if (typeOf(post) === 'object') {
+        validateSemantics(post, file, errors);
+    }
+    return errors;
+}
+
+/**
+ * Line of a JSON pointer in parseWithLines output, falling back to the nearest
+ * parent that has a recorded line
+ */
+function lineOf(lines, pointer) {
+    while (!lines.has(pointer) && pointer) {
+        pointer = pointer.replace(/\/[^/]*$/, '');
+    }
+    return lines.get(pointer) || 1;
+}
+
+/**
+ * Validate post files. Each entry is { file, source, parse } where file is the path
+ * reported in messages and parse (default parseWithLines) turns source into
+ * { value, lines }. Returns { posts, errors } where posts holds the parsed
+ * content of every file that could be parsed, and errors are { file, line, message }.
+ */
+function validatePostFiles(entries) {
+    const posts = [];
+    const errors = [];
+    const seenIds = new Map();
+
+    entries.forEach(({ file, source, parse = parseWithLines }) => {
+        let parsed;
+        try {
+            parsed = parse(source, file);
+        } catch (err) {
+            const prefix = parse === parseWithLines ? 'Invalid JSON' : 'Invalid post';
+            errors.push({ file, line: err.line || 1, message: `${prefix}: ${err.message}` });
+            return;
+        }
+
+        const { value: post, lines } = parsed;
+        const lineFor = pointer => lineOf(lines, pointer);
+
+        validatePost(post, file).forEach(error => {
+            errors.push({ file, line: lineFor(error.pointer), message: error.message });
+        });
+
+        if (post && typeof post.id === 'string') {
+            if (seenIds.has(post.id)) {
+                errors.push({
+                    file,
+                    line: lineFor('/id'),
+                    message: `duplicate id "${post.id}" (also used by ${seenIds.get(post.id)})`
+                });
+            } else {
+                seenIds.set(post.id, file);
+            }
+        }
+
+        posts.push({ file, post });
+    });
+
+    return { posts, errors };
+}
+
+function formatError(error) {
+    return `${error.file}:${error.line}: ${error.message}`;
+}
+
+module.exports = {
+    schema,
+    parseWithLines,
+    lineOf,
+    validatePost,
+    validatePostFiles,
+    formatError
+};
@@ -0,0 +1,57 @@
+// validate-site.js - Validate site.json (the owner details on the home page, header and footer)
+// and tags.json (descriptions on the tag pages)
+const fs = require('fs');
+const path = require('path');
+const SiteConfig = require('../js/siteConfig.js');
+const { rootDir } = require('./build-utils');
+const { parseWithLines, lineOf } = require('./validate-posts');
+
+const SITE_FILE = 'site.json';
+const TAGS_FILE = 'tags.json';
+
+/**
+ * Check site.json with the same rules the app uses to read it (SiteConfig.normalize).
+ * Returns errors as { file, line, message }; a missing site.json is fine (the app
+ * falls back to its defaults).
+ */
+function validateSiteFile() {
+    const filePath = path.join(rootDir, SITE_FILE);
+    if (!fs.existsSync(filePath)) return [];
+
+    let parsed;
+    try {
+        parsed = parseWithLines(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        return [{ file: SITE_FILE, line: err.line || 1, message: `Invalid JSON: ${err.message}` }];
+    }
+
+    return SiteConfig.normalize(parsed.value).problems.map(({ pointer, message }) => ({
+        file: SITE_FILE,
+        line: lineOf(parsed.lines, pointer),
+        message
+    }));
+}
+
+/**
+ * Check tags.json with SiteConfig.normalizeTagDescriptions. Returns errors like
+ * validateSiteFile; a missing tags.json is fine (tag pages just have no descriptions).
+ */
+function validateTagsFile() {
+    const filePath = path.join(rootDir, TAGS_FILE);
+    if (!fs.existsSync(filePath)) return [];
+
+    let parsed;
+    try {
+        parsed = parseWithLines(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        return [{ file: TAGS_FILE, line: err.line || 1, message: `Invalid JSON: ${err.message}` }];
+    }
+
+    return SiteConfig.normalizeTagDescriptions(parsed.value).problems.map(({ pointer, message }) => ({
+        file: TAGS_FILE,
+        line: lineOf(parsed.lines, pointer),
+        message
+    }));
+}
+
+module.exports = { validateSiteFile, validateTagsFile };
@@ -0,0 +1,164 @@
+// sw.js - Service worker: offline support with versioned caches
+//
+// - App shell (index.html, js/, css/, home page images): precached, cache-first
+// - posts/*.json, pre-rendered figures (posts/<id>/figures.json), timeline.json, site.json, tags.json,
+//   the image manifest (img/images.json) and table CSV files: stale-while-revalidate
+// - Images: cached the first time they are viewed; offline, another cached width of a resized
+//   image (img/generated/) stands in for the one the page asked for
+// - Page navigations: network-first, falling back to the cached shell (the router renders the route)
+//
+// CACHE_VERSION and APP_SHELL are written by scripts/generate-service-worker.js. The version is
+// a hash of the shell files, so any deploy that changes them replaces every cache.
+
+// BEGIN GENERATED
+const CACHE_VERSION = '00c5c7e136bb';
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/css/comic-popup.css',
+    '/css/postRenderer.css',
+    '/css/styles.css',
+    '/js/app.js',
+    '/js/diagramRenderer.js',
+    '/js/filterUI.js',
+    '/js/highlighter.js',
+    '/js/lightbox.js',
+    '/js/mathRenderer.js',
+    '/js/postList.js',
+    '/js/postRenderer.js',
+    '/js/router.js',
+    '/js/sanitizer.js',
+    '/js/search.js',
+    '/js/siteConfig.js',
+    '/js/theme.js',
+    '/js/timeline.js',
+    '/img/Kentucky_Wildcats_logo.svg',
+    '/img/Pondering.JPG',
+    '/img/placeholder.png'
+];
+// END GENERATED
+
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+
+// Data the app fetches on every visit, precached so the first offline visit works
+const DATA_FILES = ['/posts/index.json', '/posts/search-index.json', '/timeline.json', '/site.json', '/tags.json', '/img/images.json'];
+
+// Oldest viewed images are dropped beyond this many
+const MAX_IMAGES = 200;
+
+// Bypass the HTTP cache so a new version never precaches stale files
+const fresh = urls => urls.map(url => new Request(url, { cache: 'reload' }));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(fresh(APP_SHELL))),
+        caches.open(DATA_CACHE).then(cache => cache.addAll(fresh(DATA_FILES)))
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = new Set([SHELL_CACHE, DATA_CACHE, IMAGE_CACHE]);
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.has(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, { maxEntries: MAX_IMAGES }).catch(() => cachedVariant(url)));
+    } else if (url.origin !== self.location.origin) {
+        // Icon font stylesheet and font files from the CDN
+        if (request.destination === 'style' || request.destination === 'font') {
+            event.respondWith(cacheFirst(request, SHELL_CACHE, { opaque: true }));
+        }
+    } else if (/^\/posts\/[^/]+(?:\/figures)?\.json$/.test(url.pathname) || DATA_FILES.includes(url.pathname) || /^\/img\/posts\/.+\.csv$/.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    } else if (APP_SHELL.includes(url.pathname)) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Try the network; offline, serve the cached page or the app shell
+ */
+async function networkFirstPage(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        return (await cache.match(request)) || (await cache.match('/')) || Response.error();
+    }
+}
+
+/**
+ * Serve from cache, fetching and storing successful responses on a miss.
+ * Opaque (cross-origin no-cors) responses hide their status, so a failed one would stick,
+ * and each counts as several MB of quota; only the CDN fonts pass opaque: true to keep them.
+ */
+async function cacheFirst(request, cacheName, { maxEntries = 0, opaque = false } = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || (opaque && response.type === 'opaque')) {
+        await cache.put(request, response.clone());
+        if (maxEntries) await trimCache(cache, maxEntries);
+    }
+    return response;
+}
+
+/**
+ * Serve from cache immediately and refresh the cached copy in the background
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok) {
+            return cache.put(event.request, response.clone()).then(() => response);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Any cached width or format of a resized image (img/generated/<name>-<width>w.<format>),
+ * for when the srcset picks one that was never viewed online
+ */
+async function cachedVariant(url) {
+    const match = /^(\/img\/generated\/.+)-\d+w\.[a-z]+$/.exec(url.pathname);
+    if (match) {
+        const cache = await caches.open(IMAGE_CACHE);
+        const keys = await cache.keys();
+        const sibling = keys.find(key => {
+            const { pathname } = new URL(key.url);
+            return pathname.startsWith(`${match[1]}-`) && /^\d+w\.[a-z]+$/.test(pathname.slice(match[1].length + 1));
+        });
+        if (sibling) return cache.match(sibling);
+    }
+    return Response.error();
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,26 @@
+// footnotes.test.js - Footnote numbering and the element ids their links point at
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PostRenderer = require('../js/postRenderer.js');
+
+function render(text, footnotes) {
+    const renderer = new PostRenderer();
+    const post = { id: 'p', content: { blocks: [{ type: 'paragraph', text }] }, footnotes };
+    renderer.currentPost = post;
+    return renderer.buildContentHTML(post);
+}
+
+const ids = html => [...html.matchAll(/\sid="([^"]+)"/g)].map(match => match[1]);
+
+test('footnote ids that slug alike get their own element ids', () => {
+    const html = render('One[^a.b] two[^ab] three[^ab-2]', { 'a.b': 'first', ab: 'second', 'ab-2': 'third' });
+    assert.deepEqual(ids(html), ['fnref-ab', 'fnref-ab-2', 'fnref-ab-2-2', 'fn-ab', 'fn-ab-2', 'fn-ab-2-2']);
+    assert.equal(new Set(ids(html)).size, ids(html).length);
+    assert.match(html, /<li id="fn-ab-2">\s*second\s*<a href="\/posts\/p#fnref-ab-2"/);
+});
+
+test('footnotes referenced only from other footnotes are listed', () => {
+    const html = render('Text[^a]', { a: 'see[^b]', b: 'end', unused: 'never shown' });
+    assert.deepEqual(ids(html), ['fnref-a', 'fn-a', 'fnref-b', 'fn-b']);
+});
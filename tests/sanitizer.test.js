@@ -0,0 +1,70 @@
+// sanitizer.test.js - Script tags, event handlers and javascript: URLs never survive sanitizing
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HtmlSanitizer = require('../js/sanitizer.js');
+const PostRenderer = require('../js/postRenderer.js');
+
+const renderer = new PostRenderer();
+
+test('sanitize drops script elements with their content', () => {
+    assert.equal(HtmlSanitizer.sanitize('<p>a<script>alert(1)</script>b</p>'), '<p>ab</p>');
+    assert.equal(HtmlSanitizer.sanitize('<SCRIPT SRC=//evil.example/x.js></SCRIPT>'), '');
+    assert.equal(HtmlSanitizer.sanitize('<svg onload=alert(1)><script>alert(1)</script></svg>'), '');
+});
+
+test('sanitize drops event handler attributes', () => {
+    assert.equal(HtmlSanitizer.sanitize('<img src="a.png" onerror="alert(1)">'), '<img src="a.png">');
+    assert.equal(HtmlSanitizer.sanitize('<div onclick=alert(1) onmouseover=\'alert(2)\'>text</div>'), '<div>text</div>');
+});
+
+test('sanitize drops javascript: URLs however they are spelled', () => {
+    [
+        '<a href="javascript:alert(1)">x</a>',
+        '<a href="JaVaScRiPt:alert(1)">x</a>',
+        '<a href="  java\tscript:alert(1)">x</a>',
+        '<a href="javascript&colon;alert(1)">x</a>',
+        '<a href="&#106;avascript:alert(1)">x</a>'
+    ].forEach(html => assert.equal(HtmlSanitizer.sanitize(html), '<a>x</a>', html));
+    assert.equal(HtmlSanitizer.sanitize('<iframe src="javascript:alert(1)"></iframe>'), '');
+});
+
+test('sanitize unwraps tags and entities named like Object.prototype members', () => {
+    assert.equal(HtmlSanitizer.sanitize('<constructor>x</constructor><toString title="a">y</toString>'), 'xy');
+    assert.equal(HtmlSanitizer.sanitize('<a title="&constructor;&hasOwnProperty;">x</a>'), '<a title="&amp;constructor;&amp;hasOwnProperty;">x</a>');
+});
+
+test('sanitize keeps post ids and classes from reusing the page\'s own', () => {
+    assert.equal(HtmlSanitizer.sanitize('<div id="content">x</div>'), '<div id="user-content-content">x</div>');
+    assert.equal(HtmlSanitizer.sanitize('<span class="code-copy table-sort tab-button">x</span>'), '<span>x</span>');
+    assert.equal(HtmlSanitizer.sanitize('<div class="block-callout callout-info evil">x</div>'), '<div class="block-callout callout-info">x</div>');
+    assert.equal(HtmlSanitizer.sanitize('<code class="language-js">x</code>'), '<code class="language-js">x</code>');
+});
+
+test('sanitize keeps safe links as written', () => {
+    assert.equal(HtmlSanitizer.sanitize('<a href="/docs/my file.pdf">ok</a>'), '<a href="/docs/my file.pdf">ok</a>');
+    assert.equal(HtmlSanitizer.sanitize('<a href="https://example.com/a%20b">ok</a>'), '<a href="https://example.com/a%20b">ok</a>');
+});
+
+test('safeUrl rejects unsafe schemes', () => {
+    ['javascript:alert(1)', ' java\nscript:alert(1)', '\u0001javascript:alert(1)', 'vbscript:msgbox(1)', 'data:text/html,<script>alert(1)</script>']
+        .forEach(url => assert.equal(HtmlSanitizer.safeUrl(url), null, JSON.stringify(url)));
+});
+
+test('safeUrl returns safe URLs trimmed but otherwise unchanged', () => {
+    assert.equal(HtmlSanitizer.safeUrl('  https://example.com/a b?q=%20  '), 'https://example.com/a b?q=%20');
+    assert.equal(HtmlSanitizer.safeUrl('/posts/my post'), '/posts/my post');
+    assert.equal(HtmlSanitizer.safeUrl('mailto:me@example.com'), 'mailto:me@example.com');
+    assert.equal(HtmlSanitizer.safeUrl('#section'), '#section');
+});
+
+test('renderInline escapes HTML in post text', () => {
+    assert.equal(renderer.renderInline('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+    assert.equal(renderer.renderInline('<img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+});
+
+test('renderInline does not link javascript: URLs', () => {
+    const html = renderer.renderInline('[click](javascript:alert(1))');
+    assert.doesNotMatch(html, /<a\b/);
+    assert.match(renderer.renderInline('[ok](https://example.com)'), /<a href="https:\/\/example\.com"/);
+});